@@ -33,34 +33,61 @@ import { debug } from '../utils/debug';
 import {
   DefaultIcon,
   MultipleIcon,
+  HotspotIcon,
+  NewSightingIcon,
   initializeMapIcons,
   calculateViewportRadius,
   shouldFetchNewData,
-  formatCoordinates,
+  formatBounds,
+  FETCH_BOUNDS_PADDING,
   isWithinBounds,
   getCachedCountry,
-  updateCountryCache
+  updateCountryCache,
+  calculateDistance,
+  calculateBearing,
+  boundingBoxToLatLngs
 } from '../utils/mapUtils';
 import { getMapParamsFromUrl, updateUrlParams } from '../utils/urlUtils';
-import { fetchBirdPhotos, processBirdSightings, buildApiUrl, fetchLocationDetails, searchLocation } from '../utils/dataUtils';
+import {
+  fetchBirdPhotos,
+  processBirdSightings,
+  buildApiUrl,
+  buildRegionApiUrl,
+  fetchLocationDetails,
+  fetchHotspots,
+  fetchNearestSightings,
+  buildStreamUrl,
+  mergeNewSightings,
+  getResponseError,
+  describeError
+} from '../utils/dataUtils';
 import {
   filterSpeciesByName,
   fetchRegionSpecies,
   updateRegionCache,
   isRegionCached,
-  getCachedSpecies
+  getCachedSpecies,
+  selectRegionCode,
+  getTaxonomyEntry
 } from '../utils/taxonomyUtils';
 import {
   MAP_TILE_URL,
   DAYS_BACK_OPTIONS,
   SPECIES_CODES,
   DEFAULT_MAP_PARAMS,
+  SIGHTING_DETAIL,
+  REGION_CODE_PATTERN,
+  SPECIES_REGION_LEVELS,
+  DEFAULT_SPECIES_REGION_LEVEL,
   generateAttribution
 } from '../utils/mapconstants';
 import { BirdPopupContent, PopupInteractionHandler } from '../components/popups/BirdPopups';
+import { HotspotPopupContent } from '../components/popups/HotspotPopups';
 import { LocationControl } from '../components/location/LocationControls';
-import { FadeNotification, LoadingOverlay } from '../components/ui/Notifications';
+import { LocationSearch } from '../components/location/LocationSearch';
+import { FadeNotification, LoadingOverlay, ErrorNotification } from '../components/ui/Notifications';
 import SpeciesSearch from '../components/ui/SpeciesSearch';
+import { NearestSightings } from '../components/ui/NearestSightings';
 import 'leaflet/dist/leaflet.css';
 import 'leaflet.locatecontrol/dist/L.Control.Locate.min.css';
 import 'leaflet.locatecontrol';
@@ -68,13 +95,17 @@ import 'leaflet.locatecontrol';
 // Initialize default map icons
 initializeMapIcons();
 
+const PARTIAL_COVERAGE_MESSAGE = 'This view is too large to load in full, so some of its ' +
+  'sightings are missing. Zoom in to see the rest.';
+
 /**
  * Memoized marker component that displays bird sighting locations
  * @param {Object} props - Component props
  * @param {Object} props.location - Location data with coordinates and birds
  * @param {L.Icon} props.icon - Leaflet icon to display
+ * @param {Function} props.onSpeciesSelect - Filters the map to a species picked in a checklist
  */
-const BirdMarker = memo(({ location, icon }) => {
+const BirdMarker = memo(({ location, icon, onSpeciesSelect }) => {
   const [isPopupOpen, setIsPopupOpen] = useState(false);
 
   const eventHandlers = useCallback({
@@ -95,7 +126,9 @@ const BirdMarker = memo(({ location, icon }) => {
       eventHandlers={eventHandlers}
     >
       <Popup>
-        {isPopupOpen && <BirdPopupContent birds={location.birds} />}
+        {isPopupOpen && (
+          <BirdPopupContent birds={location.birds} onSpeciesSelect={onSpeciesSelect} />
+        )}
       </Popup>
     </Marker>
   );
@@ -103,6 +136,25 @@ const BirdMarker = memo(({ location, icon }) => {
 
 BirdMarker.displayName = 'BirdMarker';
 
+/**
+ * Memoized marker component that displays an eBird hotspot
+ * @param {Object} props - Component props
+ * @param {Object} props.hotspot - Hotspot record with coordinates
+ */
+const HotspotMarker = memo(({ hotspot }) => (
+  <Marker
+    position={[hotspot.lat, hotspot.lng]}
+    icon={HotspotIcon}
+    zIndexOffset={-1000}
+  >
+    <Popup>
+      <HotspotPopupContent hotspot={hotspot} />
+    </Popup>
+  </Marker>
+));
+
+HotspotMarker.displayName = 'HotspotMarker';
+
 /**
  * Component that handles map events and updates
  * @param {Object} props - Component props
@@ -142,13 +194,13 @@ const BirdMap = () => {
   // State declarations
   const [urlParams, setUrlParams] = useState(null);
   const [mapCenter, setMapCenter] = useState(null);
-  const [lastFetchLocation, setLastFetchLocation] = useState(null);
   const [lastFetchParams, setLastFetchParams] = useState(null);
   const [birdSightings, setBirdSightings] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [searchInput, setSearchInput] = useState('');
   const [currentCountry, setCurrentCountry] = useState(null);
   const [countryBounds, setCountryBounds] = useState(null);
+  const [regionCodes, setRegionCodes] = useState(null);
+  const [speciesRegionLevel, setSpeciesRegionLevel] = useState(DEFAULT_SPECIES_REGION_LEVEL);
   const [regionSpecies, setRegionSpecies] = useState([]);
   const [speciesLoading, setSpeciesLoading] = useState(false);
   const [mapRef, setMapRef] = useState(null);
@@ -156,7 +208,17 @@ const BirdMap = () => {
   const [back, setBack] = useState(DEFAULT_MAP_PARAMS.back);
   const [zoom, setZoom] = useState(null);
   const [showNotification, setShowNotification] = useState(true);
-  const inputRef = useRef(null);
+  const [coverageNotice, setCoverageNotice] = useState(null);
+  const [showHotspots, setShowHotspots] = useState(false);
+  const [hotspotsOnly, setHotspotsOnly] = useState(false);
+  const [hotspots, setHotspots] = useState([]);
+  const [regionCode, setRegionCode] = useState(DEFAULT_MAP_PARAMS.region);
+  const [regionInput, setRegionInput] = useState('');
+  const [userLocation, setUserLocation] = useState(null);
+  const [nearestResults, setNearestResults] = useState(null);
+  const [nearestSearching, setNearestSearching] = useState(false);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const hotspotBoundsRef = useRef(null);
 
   /**
    * Fetches and updates species list for the current region
@@ -195,6 +257,21 @@ const BirdMap = () => {
     }
   }, []);
 
+  const isSpeciesFilter = selectedSpecies !== SPECIES_CODES.ALL && selectedSpecies !== SPECIES_CODES.RARE;
+
+  // Load the species list for the chosen level whenever the resolved region changes
+  const speciesRegionCode = selectRegionCode(regionCodes, speciesRegionLevel);
+  useEffect(() => {
+    if (speciesRegionCode) {
+      updateRegionSpecies(speciesRegionCode);
+    }
+  }, [speciesRegionCode, updateRegionSpecies]);
+
+  const handleSpeciesRegionLevelChange = (e) => {
+    debug.debug('Changing species list level to:', e.target.value);
+    setSpeciesRegionLevel(e.target.value);
+  };
+
   /**
    * Handles selection of a bird species from the search component
    * @param {Object} selection - The selected species object
@@ -217,39 +294,32 @@ const BirdMap = () => {
     }
   }, [mapRef]);
 
-  const handleSearch = async (e) => {
-    e.preventDefault();
-    if (!searchInput.trim() || !mapRef) return;
-  
-    debug.debug('Initiating location search for:', searchInput);
-  
-    if (inputRef.current) {
-      inputRef.current.blur();
-      document.body.style.transform = 'scale(1)';
-      requestAnimationFrame(() => {
-        window.scrollTo({
-          top: 0,
-          behavior: 'instant'
-        });
-      });
-    }
-  
-    try {
-      const data = await searchLocation(searchInput);
-  
-      if (data.found) {
-        debug.info('Location found:', data);
-        mapRef.flyTo([data.lat, data.lon], 12);
-        setSearchInput('');
-      } else {
-        debug.warn('No location found for search:', searchInput);
-        alert('Location not found');
-      }
-    } catch (error) {
-      debug.error('Error searching location:', error);
-      alert('Error searching location');
+  /**
+   * Filters the map to a species picked from a checklist and closes its popup
+   * @param {Object} entry - Taxonomy entry of the selected species
+   */
+  const handleChecklistSpeciesSelect = useCallback((entry) => {
+    debug.debug('Species selected from checklist:', entry.speciesCode);
+    handleSpeciesSelect(entry);
+    mapRef?.closePopup();
+  }, [handleSpeciesSelect, mapRef]);
+
+  /**
+   * Moves the map to a place picked in the location search, fitting its
+   * bounding box when it has one. Points without one (coordinates, eBird
+   * hotspots) carry the zoom to show them at.
+   * @param {Object} result - Geocode result
+   */
+  const handleLocationSelect = useCallback((result) => {
+    if (!mapRef) return;
+
+    const bounds = boundingBoxToLatLngs(result.boundingbox);
+    if (bounds) {
+      mapRef.flyToBounds(bounds, { maxZoom: 15 });
+    } else {
+      mapRef.flyTo([result.lat, result.lon], result.zoom || 12);
     }
-  };
+  }, [mapRef]);
 
   const handleDaysChange = (e) => {
     const newDays = e.target.value;
@@ -263,6 +333,123 @@ const BirdMap = () => {
     }
   };
 
+  const handleHotspotsToggle = (e) => {
+    debug.debug('Toggling hotspot layer:', e.target.checked);
+    setShowHotspots(e.target.checked);
+  };
+
+  const handleHotspotsOnlyToggle = (e) => {
+    debug.debug('Toggling hotspots-only sightings:', e.target.checked);
+    setHotspotsOnly(e.target.checked);
+    setLastFetchParams(null); // Force refetch with new hotspot filter
+  };
+
+  /**
+   * Switches to region mode, showing every sighting in the entered eBird region
+   * @param {Event} e - Form submit event
+   */
+  const handleRegionSubmit = (e) => {
+    e.preventDefault();
+    const code = regionInput.trim().toUpperCase();
+
+    if (!REGION_CODE_PATTERN.test(code)) {
+      debug.warn('Invalid region code entered:', code);
+      setErrorMessage('Enter an eBird region code like US-CA or US-CA-087');
+      return;
+    }
+
+    debug.debug('Switching to region mode:', code);
+    setRegionCode(code);
+    setRegionInput('');
+    updateUrlParams({ region: code });
+    setLastFetchParams(null); // Force refetch for the region
+  };
+
+  // Stable so the error message's auto-hide timer only restarts for a new message
+  const handleErrorClose = useCallback(() => setErrorMessage(null), []);
+
+  /**
+   * Returns to map area mode, showing sightings in the current viewport
+   */
+  const handleRegionClear = () => {
+    debug.debug('Leaving region mode:', regionCode);
+    setRegionCode('');
+    updateUrlParams({ region: '' });
+    setLastFetchParams(null); // Force refetch for the viewport
+  };
+
+  // Remember the user's location once found, to measure nearest sightings from it
+  useEffect(() => {
+    if (!mapRef) return;
+
+    const handleLocationFound = (e) => {
+      setUserLocation({ lat: e.latlng.lat, lng: e.latlng.lng });
+    };
+
+    mapRef.on('locationfound', handleLocationFound);
+    return () => {
+      mapRef.off('locationfound', handleLocationFound);
+    };
+  }, [mapRef]);
+
+  // Nearest results belong to one species and lookback
+  useEffect(() => {
+    setNearestResults(null);
+  }, [selectedSpecies, back]);
+
+  /**
+   * Finds the closest recent reports of the selected species, measured from
+   * the user's location when known or else the map center, and fits them in view
+   */
+  const handleFindNearest = async () => {
+    const origin = userLocation || mapRef.getCenter();
+    debug.debug('Finding nearest sightings:', { species: selectedSpecies, origin });
+    setNearestSearching(true);
+
+    let reports;
+    try {
+      const data = await fetchNearestSightings({
+        speciesCode: selectedSpecies,
+        lat: origin.lat,
+        lng: origin.lng,
+        back
+      });
+      reports = data
+        .map(report => ({
+          ...report,
+          distance: calculateDistance(origin.lat, origin.lng, report.lat, report.lng),
+          bearing: calculateBearing(origin.lat, origin.lng, report.lat, report.lng)
+        }))
+        .sort((a, b) => a.distance - b.distance);
+
+      const uniqueSpecies = [...new Set(data.map(sighting => `${sighting.sciName}_${sighting.comName}`))];
+      const speciesPhotos = await fetchBirdPhotos(uniqueSpecies);
+      setNearestResults({
+        originLabel: userLocation ? 'your location' : 'the map center',
+        reports,
+        locations: processBirdSightings(data, speciesPhotos)
+      });
+    } catch (error) {
+      debug.error('Error finding nearest sightings:', error);
+      setErrorMessage(describeError('Error finding nearest sightings', error));
+      return;
+    } finally {
+      setNearestSearching(false);
+    }
+
+    if (reports.length > 0) {
+      mapRef.fitBounds(
+        reports.map(report => [report.lat, report.lng]),
+        { padding: [20, 20], maxZoom: 12 }
+      );
+    }
+  };
+
+  const handleNearestReportSelect = (report) => {
+    debug.debug('Centering on nearest report:', report.locName);
+    mapRef.setView([report.lat, report.lng], Math.max(mapRef.getZoom(), 12));
+  };
+
   /**
    * Handles map movement events, updates center position and detects region changes
    * @param {L.LatLng} center - New center coordinates of the map
@@ -279,6 +466,10 @@ const BirdMap = () => {
       const updateCountry = async () => {
         try {
           const countryInfo = await fetchLocationDetails(center.lat, center.lng);
+
+          // State and county can change without the country changing
+          setRegionCodes(countryInfo.regionCodes);
+          setCountryBounds(countryInfo.bounds);
           
           if (countryInfo.countryCode !== currentCountry) {
             debug.debug('Country code comparison:', {
@@ -288,13 +479,8 @@ const BirdMap = () => {
             });
     
             setCurrentCountry(countryInfo.countryCode);
-            setCountryBounds(countryInfo.bounds);
             updateCountryCache(countryInfo.countryCode, countryInfo.bounds);
     
-            debug.debug('Initiating species fetch for country:', countryInfo.countryCode);
-            await updateRegionSpecies(countryInfo.countryCode);
-            debug.debug('Completed species fetch');
-    
             setLastFetchParams(null);
           }
         } catch (error) {
@@ -304,56 +490,71 @@ const BirdMap = () => {
     
       updateCountry();
     }
-  }, [currentCountry, countryBounds, updateRegionSpecies]);
+  }, [currentCountry, countryBounds]);
 
   /**
    * Fetches bird sighting data based on current map position and filters
    * @async
    */
   const fetchBirdData = async () => {
-    const currentRadius = calculateViewportRadius(mapRef.getBounds());
+    const bounds = mapRef.getBounds();
+    const currentRadius = calculateViewportRadius(bounds);
     const currentParams = {
       back,
       species: selectedSpecies,
       radius: currentRadius,
-      country: currentCountry
+      country: currentCountry,
+      hotspotsOnly,
+      region: regionCode,
+      bounds
     };
 
-    if (!shouldFetchNewData(
-      lastFetchParams,
-      currentParams,
-      lastFetchLocation,
-      mapCenter
-    )) {
-      debug.debug('Skipping fetch - within threshold');
+    if (!shouldFetchNewData(lastFetchParams, currentParams)) {
+      debug.debug('Skipping fetch - within fetched bounds');
       return;
     }
 
     setLoading(true);
     try {
-      const { lat, lng } = formatCoordinates(mapCenter.lat, mapCenter.lng);
-      const apiUrl = buildApiUrl({
-        lat,
-        lng,
-        radius: currentRadius,
+      const fetchBounds = bounds.pad(FETCH_BOUNDS_PADDING);
+      const bbox = formatBounds(fetchBounds);
+      const apiUrl = regionCode ? buildRegionApiUrl({
+        regionCode,
         species: selectedSpecies,
-        country: currentCountry,
-        back
+        back,
+        detail: SIGHTING_DETAIL,
+        hotspotsOnly
+      }) : buildApiUrl({
+        bbox,
+        species: selectedSpecies,
+        back,
+        detail: SIGHTING_DETAIL,
+        hotspotsOnly
       });
 
       debug.info('Fetching bird data:', {
-        lat,
-        lng,
+        bbox,
+        region: regionCode,
         radius: currentRadius,
         species: selectedSpecies,
         country: currentCountry,
-        back
+        back,
+        hotspotsOnly
       });
 
       const response = await fetch(apiUrl);
 
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw await getResponseError(response);
+      }
+
+      if (response.headers.get('X-Coverage') === 'partial') {
+        debug.warn('Viewport only partially covered:', response.headers.get('X-Region') || response.headers.get('X-Tiles'));
+        // Replaces the API limits note, which sits in the same spot
+        setShowNotification(false);
+        setCoverageNotice({ id: Date.now(), message: PARTIAL_COVERAGE_MESSAGE });
+      } else {
+        setCoverageNotice(null);
       }
 
       const data = await response.json();
@@ -365,12 +566,19 @@ const BirdMap = () => {
       const processedSightings = processBirdSightings(data, speciesPhotos);
 
       setBirdSightings(processedSightings);
-      setLastFetchLocation({ lat, lng });
-      setLastFetchParams({ back, species: selectedSpecies, radius: currentRadius });
+      setLastFetchParams({ ...currentParams, bounds: fetchBounds });
+
+      // Region sightings can lie outside the view, so bring them all into it
+      if (regionCode && processedSightings.length > 0) {
+        mapRef.fitBounds(
+          processedSightings.map(location => [location.lat, location.lng]),
+          { padding: [20, 20], maxZoom: 12 }
+        );
+      }
 
     } catch (error) {
       debug.error('Error fetching bird data:', error);
-      alert('Error fetching bird sightings');
+      setErrorMessage(describeError('Error fetching bird sightings', error));
     } finally {
       setLoading(false);
     }
@@ -389,7 +597,70 @@ const BirdMap = () => {
       debug.debug('Triggering bird data fetch');
       fetchBirdData();
     }
-  }, [back, selectedSpecies, mapCenter, zoom, mapRef]);
+  }, [back, selectedSpecies, hotspotsOnly, regionCode, mapCenter, zoom, mapRef]);
+
+  // Stream sightings reported after the last fetch for the same area and filter
+  useEffect(() => {
+    if (!lastFetchParams) return;
+
+    let active = true;
+    const source = new EventSource(buildStreamUrl({
+      bbox: formatBounds(lastFetchParams.bounds),
+      regionCode: lastFetchParams.region,
+      species: lastFetchParams.species,
+      back: lastFetchParams.back,
+      detail: SIGHTING_DETAIL,
+      hotspotsOnly: lastFetchParams.hotspotsOnly
+    }));
+
+    source.addEventListener('sightings', async (event) => {
+      const sightings = JSON.parse(event.data);
+      debug.info('Received live sightings:', sightings.length);
+
+      const uniqueSpecies = [...new Set(sightings
+        .filter(sighting => sighting.obsValid === true)
+        .map(sighting => `${sighting.sciName}_${sighting.comName}`))];
+      const speciesPhotos = await fetchBirdPhotos(uniqueSpecies);
+
+      if (active) {
+        setBirdSightings(current => mergeNewSightings(current, sightings, speciesPhotos));
+      }
+    });
+    source.onerror = () => {
+      debug.warn('Live sightings stream interrupted');
+    };
+
+    return () => {
+      active = false;
+      source.close();
+    };
+  }, [lastFetchParams]);
+
+  // Load hotspots for the visible area while the hotspot layer is shown
+  useEffect(() => {
+    if (!showHotspots || !mapRef || !mapCenter) return;
+
+    const bounds = mapRef.getBounds();
+    if (hotspotBoundsRef.current && hotspotBoundsRef.current.contains(bounds)) {
+      debug.debug('Skipping hotspot fetch - within fetched bounds');
+      return;
+    }
+
+    let cancelled = false;
+    fetchHotspots(formatBounds(bounds))
+      .then((data) => {
+        if (cancelled) return;
+        setHotspots(data);
+        hotspotBoundsRef.current = bounds;
+      })
+      .catch((error) => {
+        debug.error('Error loading hotspots:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [showHotspots, mapCenter, mapRef]);
 
   // Load URL parameters on component mount
   useEffect(() => {
@@ -402,6 +673,7 @@ const BirdMap = () => {
         setSelectedSpecies(params.species);
         setBack(params.back);
         setZoom(params.zoom);
+        setRegionCode(params.region);
 
         // Get initial country info
         try {
@@ -415,14 +687,9 @@ const BirdMap = () => {
               updateCountryCache(countryInfo.countryCode, countryInfo.bounds);
             }
         
-            debug.debug('Fetching initial species list for country:', countryInfo.countryCode);
-            const cachedSpecies = getCachedSpecies(countryInfo.countryCode);
-            if (cachedSpecies) {
-              debug.debug('Using cached species data:', { count: cachedSpecies.length });
-              setRegionSpecies(cachedSpecies);
-            } else {
-              await updateRegionSpecies(countryInfo.countryCode);
-            }
+            // The species list effect loads the list for the chosen region level
+            debug.debug('Initial region codes:', countryInfo.regionCodes);
+            setRegionCodes(countryInfo.regionCodes);
           }
         } catch (error) {
           debug.error('Error getting initial country:', error);
@@ -435,7 +702,7 @@ const BirdMap = () => {
     }
   };
   loadUrlParams();
-}, [updateRegionSpecies]);
+}, []);
 
   // Show notification only once on initial mount
   useEffect(() => {
@@ -459,6 +726,20 @@ const BirdMap = () => {
             rareSpeciesCode={SPECIES_CODES.RARE}
           />
 
+          <div style={LAYOUT_STYLES.pullDown}>
+            <select
+              value={speciesRegionLevel}
+              onChange={handleSpeciesRegionLevelChange}
+              aria-label="Species list region"
+              title={speciesRegionCode ? `Species recorded in ${speciesRegionCode}` : 'Species list region'}
+              style={MAP_CONTROL_STYLES.input}
+            >
+              {SPECIES_REGION_LEVELS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
           <div style={LAYOUT_STYLES.pullDown}>
             <span style={{ color: COLORS.text.primary }}>Last</span>
             <select
@@ -472,30 +753,64 @@ const BirdMap = () => {
             </select>
             <span style={{ color: COLORS.text.primary }}>days</span>
           </div>
+
+          <div style={LAYOUT_STYLES.toggleGroup}>
+            <label style={LAYOUT_STYLES.toggleLabel}>
+              <input
+                type="checkbox"
+                checked={showHotspots}
+                onChange={handleHotspotsToggle}
+              />
+              Hotspots
+            </label>
+            <label style={LAYOUT_STYLES.toggleLabel}>
+              <input
+                type="checkbox"
+                checked={hotspotsOnly}
+                onChange={handleHotspotsOnlyToggle}
+                disabled={loading}
+              />
+              Hotspots only
+            </label>
+          </div>
         </div>
 
         <form
-          onSubmit={handleSearch}
-          style={LAYOUT_STYLES.searchForm}
+          onSubmit={handleRegionSubmit}
+          style={LAYOUT_STYLES.regionForm}
         >
           <input
-            ref={inputRef}
             type="text"
-            value={searchInput}
-            onChange={(e) => setSearchInput(e.target.value)}
-            placeholder="Location..."
+            value={regionInput}
+            onChange={(e) => setRegionInput(e.target.value)}
+            placeholder={regionCode || 'Region code...'}
+            aria-label="eBird region code"
             style={{
               ...MAP_CONTROL_STYLES.input,
-              flex: 1
+              width: '8rem'
             }}
           />
           <button
             type="submit"
             style={MAP_CONTROL_STYLES.button}
           >
-            Go
+            Region
           </button>
+          {regionCode && (
+            <button
+              type="button"
+              onClick={handleRegionClear}
+              style={MAP_CONTROL_STYLES.button}
+            >
+              Map area
+            </button>
+          )}
         </form>
+
+        <LocationSearch
+          onSelect={handleLocationSelect}
+          onError={setErrorMessage}
+        />
       </div>
 
       <div style={{ flex: 1, minHeight: 0, position: 'relative' }}>
@@ -523,18 +838,48 @@ const BirdMap = () => {
             <MapEvents onMoveEnd={handleMoveEnd} />
             <PopupInteractionHandler />
             <ZoomControl position="topright" />
-            <LocationControl />
+            <LocationControl onError={setErrorMessage} />
+            {showHotspots && hotspots.map((hotspot) => (
+              <HotspotMarker key={hotspot.locId} hotspot={hotspot} />
+            ))}
+            {nearestResults?.locations.map((location, index) => (
+              <BirdMarker
+                key={`nearest-${location.lat}-${location.lng}-${index}`}
+                location={location}
+                icon={location.birds.length > 1 ? MultipleIcon : DefaultIcon}
+                onSpeciesSelect={handleChecklistSpeciesSelect}
+              />
+            ))}
             {birdSightings.map((location, index) => (
               <BirdMarker
                 key={`${location.lat}-${location.lng}-${index}`}
                 location={location}
-                icon={location.birds.length > 1 ? MultipleIcon : DefaultIcon}
+                icon={location.hasNew ? NewSightingIcon : location.birds.length > 1 ? MultipleIcon : DefaultIcon}
+                onSpeciesSelect={handleChecklistSpeciesSelect}
               />
             ))}
             {showNotification && <FadeNotification />}
+            {coverageNotice && <FadeNotification key={coverageNotice.id} message={coverageNotice.message} />}
             {loading && <LoadingOverlay />}
           </MapContainer>
         )}
+        {isSpeciesFilter && !regionCode && (nearestResults || (!loading && lastFetchParams && birdSightings.length === 0)) && (
+          <NearestSightings
+            speciesName={getTaxonomyEntry(selectedSpecies)?.commonName}
+            results={nearestResults}
+            back={back}
+            searching={nearestSearching}
+            onSearch={handleFindNearest}
+            onReportSelect={handleNearestReportSelect}
+            onClose={() => setNearestResults(null)}
+          />
+        )}
+        {errorMessage && (
+          <ErrorNotification
+            message={errorMessage}
+            onClose={handleErrorClose}
+          />
+        )}
       </div>
     </div>
   );
@@ -31,9 +31,11 @@ import { debug } from '../../utils/debug';
 /**
 * Custom Leaflet control component for location tracking
 * @component
+* @param {Object} props
+* @param {Function} props.onError - Called with a message when location lookup fails
 * @returns {null} - Renders no DOM elements directly
 */
-export const LocationControl = () => {
+export const LocationControl = ({ onError }) => {
  const map = useMap();
  const [isLocating, setIsLocating] = useState(false);
 
@@ -75,10 +77,10 @@ export const LocationControl = () => {
        ? 'Location access denied. Please enable Location Services in your settings.'
        : 'Unable to get your location. Please try again.';
 
-     alert(errorMsg);
+     onError(errorMsg);
      setIsLocating(false);
    }
- }), [map]);
+ }), [map, onError]);
 
  useEffect(() => {
    const customControl = createCustomControl(handleLocate, isLocating);
@@ -0,0 +1,367 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Location search box. Suggests places as the user types and
+ * offers recently used places on an empty box; the list can be driven with
+ * the arrow keys, Enter and Escape. A search matching one place selects it
+ * right away; one matching several places (two Springfields, a park and the
+ * town named after it) lists them so the user can pick. Coordinates, eBird
+ * hotspot IDs (L123456) and eBird region codes (US-CA-087) go straight to
+ * that spot, hotspot or region without geocoding.
+ *
+ * Dependencies: react, lodash, utils/dataUtils, utils/locationQuery,
+ * utils/recentPlaces, utils/debug, styles/controls, styles/layout
+ */
+
+import { useState, useRef, useMemo, useEffect } from 'react';
+import { debounce } from 'lodash';
+import {
+  searchLocation,
+  fetchLocationSuggestions,
+  fetchHotspotInfo,
+  fetchRegionInfo,
+  describeError
+} from '../../utils/dataUtils';
+import { parseLocationQuery } from '../../utils/locationQuery';
+import { getRecentPlaces, addRecentPlace } from '../../utils/recentPlaces';
+import { debug } from '../../utils/debug';
+import { MAP_CONTROL_STYLES, LOCATION_SEARCH_STYLES } from '../../styles/controls';
+import { LAYOUT_STYLES } from '../../styles/layout';
+
+// Suggestions wait for a pause in typing and a few characters, as on the server
+const SUGGEST_DELAY_MS = 300;
+const SUGGEST_MIN_LENGTH = 3;
+
+// Headings for each kind of list
+const LIST_LABELS = {
+  recent: 'Recent places',
+  suggestions: 'Suggestions',
+  results: 'Matching places'
+};
+
+/**
+ * Describes a place's kind and country, e.g. "City · United States"
+ * @param {Object} result - Geocode result
+ * @returns {string} Detail line
+ */
+const describePlace = ({ type, country }) => {
+  const kind = type ? type.charAt(0).toUpperCase() + type.slice(1).replace(/_/g, ' ') : null;
+  return [kind, country].filter(Boolean).join(' · ');
+};
+
+/**
+ * Turns recognized search input into a place shaped like a geocode result
+ * @param {Object} parsed - Output of parseLocationQuery
+ * @returns {Promise<Object|null>} The place, or null to geocode the text instead
+ */
+const resolveLocationQuery = async (parsed) => {
+  if (parsed.kind === 'coordinates') {
+    const { lat, lon } = parsed;
+    return {
+      displayName: `${lat.toFixed(5)}, ${lon.toFixed(5)}`,
+      lat,
+      lon,
+      type: 'coordinates',
+      boundingbox: null,
+      zoom: 14
+    };
+  }
+
+  if (parsed.kind === 'hotspot') {
+    const hotspot = await fetchHotspotInfo(parsed.locId);
+    return {
+      displayName: hotspot.name,
+      lat: hotspot.latitude,
+      lon: hotspot.longitude,
+      type: 'eBird hotspot',
+      boundingbox: null,
+      country: hotspot.countryName,
+      countryCode: hotspot.countryCode,
+      zoom: 15
+    };
+  }
+
+  // A code eBird doesn't know (or a region without bounds) may still be a
+  // place name, so let the geocoder have a go
+  try {
+    const { result, bounds } = await fetchRegionInfo(parsed.regionCode);
+    if (!bounds) return null;
+    return {
+      displayName: result,
+      lat: (bounds.minY + bounds.maxY) / 2,
+      lon: (bounds.minX + bounds.maxX) / 2,
+      type: 'eBird region',
+      boundingbox: [bounds.minY, bounds.maxY, bounds.minX, bounds.maxX].map(String),
+      countryCode: parsed.regionCode.slice(0, 2)
+    };
+  } catch (error) {
+    debug.warn('Region lookup failed, geocoding instead:', parsed.regionCode, error.message);
+    return null;
+  }
+};
+
+/**
+ * Search form with suggested, recent and matching places
+ * @component
+ * @param {Object} props
+ * @param {Function} props.onSelect - Called with the chosen geocode result
+ * @param {Function} props.onError - Called with a message when nothing is found or the search fails
+ * @returns {React.ReactElement} The search form
+ */
+export const LocationSearch = ({ onSelect, onError }) => {
+  const [query, setQuery] = useState('');
+  const [list, setList] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [searching, setSearching] = useState(false);
+  const inputRef = useRef(null);
+  const containerRef = useRef(null);
+  const suggestionRequestRef = useRef(null);
+
+  /**
+   * Shows a list of places, or hides the list when there are none
+   * @param {string} kind - 'recent', 'suggestions' or 'results'
+   * @param {Object[]} places - Places to list
+   */
+  const showList = (kind, places) => {
+    setList(places.length > 0 ? { kind, places } : null);
+    setActiveIndex(-1);
+  };
+
+  const closeList = () => {
+    setList(null);
+    setActiveIndex(-1);
+  };
+
+  const cancelSuggestions = () => {
+    suggestionRequestRef.current?.abort();
+    suggestionRequestRef.current = null;
+  };
+
+  const requestSuggestions = useMemo(() => debounce(async (text) => {
+    suggestionRequestRef.current?.abort();
+    const controller = new AbortController();
+    suggestionRequestRef.current = controller;
+
+    const suggestions = await fetchLocationSuggestions(text, controller.signal);
+    if (!controller.signal.aborted) {
+      debug.debug('Location suggestions:', { text, count: suggestions.length });
+      showList('suggestions', suggestions);
+    }
+  }, SUGGEST_DELAY_MS), []);
+
+  useEffect(() => () => {
+    requestSuggestions.cancel();
+    suggestionRequestRef.current?.abort();
+  }, [requestSuggestions]);
+
+  const handleChoose = (result) => {
+    debug.info('Location selected:', result);
+    requestSuggestions.cancel();
+    cancelSuggestions();
+    closeList();
+    setQuery('');
+    addRecentPlace(result);
+    onSelect(result);
+  };
+
+  const handleInputChange = (e) => {
+    const text = e.target.value;
+    setQuery(text);
+    cancelSuggestions();
+
+    // Coordinates and eBird codes aren't place names worth suggesting for
+    if (text.trim().length >= SUGGEST_MIN_LENGTH && !parseLocationQuery(text)) {
+      requestSuggestions(text.trim());
+    } else {
+      requestSuggestions.cancel();
+      if (text.trim()) {
+        closeList();
+      } else {
+        showList('recent', getRecentPlaces());
+      }
+    }
+  };
+
+  const handleFocus = () => {
+    if (!query.trim() && !list) {
+      showList('recent', getRecentPlaces());
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!query.trim() || searching) return;
+
+    debug.debug('Initiating location search for:', query);
+    requestSuggestions.cancel();
+    cancelSuggestions();
+
+    if (inputRef.current) {
+      inputRef.current.blur();
+      document.body.style.transform = 'scale(1)';
+      requestAnimationFrame(() => {
+        window.scrollTo({
+          top: 0,
+          behavior: 'instant'
+        });
+      });
+    }
+
+    const parsed = parseLocationQuery(query);
+    setSearching(true);
+    try {
+      const place = parsed && await resolveLocationQuery(parsed);
+      if (place) {
+        handleChoose(place);
+        return;
+      }
+
+      const data = await searchLocation(query);
+
+      if (!data.found) {
+        debug.warn('No location found for search:', query);
+        closeList();
+        onError('Location not found');
+      } else if (data.results.length === 1) {
+        handleChoose(data.results[0]);
+      } else {
+        debug.debug('Location search matched several places:', data.results.length);
+        showList('results', data.results);
+      }
+    } catch (error) {
+      debug.error('Error searching location:', error);
+      if (parsed?.kind === 'hotspot' && error.status === 404) {
+        closeList();
+        onError(`No eBird hotspot ${parsed.locId}`);
+        return;
+      }
+      onError(describeError('Error searching location', error));
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  // Arrow keys move through the list, Enter picks the highlighted place
+  // (or searches when none is), Escape closes the list
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      closeList();
+      return;
+    }
+    if (!list) {
+      if (e.key === 'ArrowDown' && !query.trim()) {
+        showList('recent', getRecentPlaces());
+      }
+      return;
+    }
+
+    const count = list.places.length;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % count);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? count - 1 : index - 1));
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault();
+      handleChoose(list.places[activeIndex]);
+    }
+  };
+
+  // Close the list once focus leaves the search box and its options
+  const handleBlur = () => {
+    setTimeout(() => {
+      if (!containerRef.current?.contains(document.activeElement)) {
+        closeList();
+      }
+    }, 200);
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      style={LOCATION_SEARCH_STYLES.container}
+      onBlur={handleBlur}
+    >
+      <form onSubmit={handleSubmit} style={LAYOUT_STYLES.searchForm}>
+        <input
+          ref={inputRef}
+          type="text"
+          value={query}
+          onChange={handleInputChange}
+          onFocus={handleFocus}
+          onKeyDown={handleKeyDown}
+          placeholder="Location..."
+          role="combobox"
+          autoComplete="off"
+          aria-label="Search for a location"
+          aria-expanded={Boolean(list)}
+          aria-controls="location-search-options"
+          aria-autocomplete="list"
+          aria-activedescendant={activeIndex >= 0 ? `location-option-${activeIndex}` : undefined}
+          style={{
+            ...MAP_CONTROL_STYLES.input,
+            flex: 1
+          }}
+        />
+        <button
+          type="submit"
+          disabled={searching}
+          style={MAP_CONTROL_STYLES.button}
+        >
+          {searching ? '...' : 'Go'}
+        </button>
+      </form>
+      {list && (
+        <div style={LOCATION_SEARCH_STYLES.dropdown}>
+          <div style={LOCATION_SEARCH_STYLES.listLabel}>{LIST_LABELS[list.kind]}</div>
+          <ul
+            id="location-search-options"
+            role="listbox"
+            aria-label={LIST_LABELS[list.kind]}
+            style={LOCATION_SEARCH_STYLES.list}
+          >
+            {list.places.map((place, index) => (
+              <li
+                key={`${place.lat},${place.lon},${index}`}
+                id={`location-option-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+              >
+                <button
+                  type="button"
+                  tabIndex={-1}
+                  onClick={() => handleChoose(place)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  style={{
+                    ...LOCATION_SEARCH_STYLES.option,
+                    ...(index === activeIndex && LOCATION_SEARCH_STYLES.optionActive)
+                  }}
+                >
+                  <div style={LOCATION_SEARCH_STYLES.placeName}>{place.displayName}</div>
+                  <div style={LOCATION_SEARCH_STYLES.placeDetail}>{describePlace(place)}</div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+LocationSearch.displayName = 'LocationSearch';
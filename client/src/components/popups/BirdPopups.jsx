@@ -16,30 +16,47 @@
 *
 * Project: bird-sightings-map
 * Description: React components for map popups showing bird sighting details.
-* Includes photo modals, observation details, and interaction handling for
-* smooth map interactions.
+* Includes photo modals, observation details, an in-popup checklist viewer,
+* and interaction handling for smooth map interactions.
 * 
-* Dependencies: react, react-leaflet, utils/debug, styles/layout,
-* styles/typography, styles/colors
+* Dependencies: react, react-leaflet, utils/debug, utils/mapconstants,
+* styles/layout, styles/typography, styles/colors, popups/ChecklistPanel
 */
 
-import React, { useState, memo, useEffect } from 'react';
+import { useState, memo, useEffect } from 'react';
 import { useMap } from 'react-leaflet';
 import { debug } from '../../utils/debug';
+import { EXOTIC_CATEGORIES } from '../../utils/mapconstants';
 import { LAYOUT_STYLES, POPUP_LAYOUT_STYLES } from '../../styles/layout';
 import { TYPOGRAPHY_STYLES } from '../../styles/typography';
 import { COLORS } from '../../styles/colors';
+import { ChecklistPanel } from './ChecklistPanel';
 
 /**
 * Main popup content component for bird sightings
 * @component
 * @param {Object} props
 * @param {Array} props.birds - Array of bird sighting data
+* @param {Function} [props.onSpeciesSelect] - Filters the map to a species picked in a checklist
 */
-export const BirdPopupContent = memo(({ birds }) => {
+export const BirdPopupContent = memo(({ birds, onSpeciesSelect }) => {
  const [selectedPhoto, setSelectedPhoto] = useState(null);
+ const [selectedChecklist, setSelectedChecklist] = useState(null);
  debug.debug('Rendering popup content for birds:', birds.length);
 
+ if (selectedChecklist) {
+   return (
+     <div style={POPUP_LAYOUT_STYLES.contentContainer}>
+       <ChecklistPanel
+         subId={selectedChecklist.subId}
+         locName={selectedChecklist.locName}
+         onBack={() => setSelectedChecklist(null)}
+         onSpeciesSelect={onSpeciesSelect}
+       />
+     </div>
+   );
+ }
+
  return (
    <>
      {selectedPhoto && (
@@ -56,6 +73,7 @@ export const BirdPopupContent = memo(({ birds }) => {
            bird={bird}
            isLast={birdIndex === birds.length - 1}
            onPhotoClick={() => setSelectedPhoto(bird.fullPhotoUrl)}
+           onChecklistClick={setSelectedChecklist}
          />
        ))}
      </div>
@@ -91,21 +109,31 @@ const PopupHeader = ({ birdCount }) => (
 * Individual bird entry component
 * @component
 */
-const BirdEntry = ({ bird, isLast, onPhotoClick }) => (
+const BirdEntry = ({ bird, isLast, onPhotoClick, onChecklistClick }) => (
  <div
    style={{
      borderBottom: isLast ? 'none' : '1px solid' + COLORS.border,
      ...POPUP_LAYOUT_STYLES.birdEntry
    }}
  >
-   <h4 style={TYPOGRAPHY_STYLES.birdName}>{bird.comName}</h4>
+   <h4 style={TYPOGRAPHY_STYLES.birdName}>
+     {bird.comName}
+     {bird.isNew && (
+       <span style={TYPOGRAPHY_STYLES.newTag}>New</span>
+     )}
+     {EXOTIC_CATEGORIES[bird.exoticCategory] && (
+       <span style={TYPOGRAPHY_STYLES.exoticTag}>
+         {EXOTIC_CATEGORIES[bird.exoticCategory]}
+       </span>
+     )}
+   </h4>
    {bird.thumbnailUrl && (
      <BirdThumbnail
        bird={bird}
        onClick={onPhotoClick}
      />
    )}
-   <ObservationDetails bird={bird} />
+   <ObservationDetails bird={bird} onChecklistClick={onChecklistClick} />
  </div>
 );
 
@@ -123,32 +151,58 @@ const BirdThumbnail = ({ bird, onClick }) => (
 );
 
 /**
-* Component displaying observation date and checklist links
+* Component displaying observation date and a line per checklist with its
+* count, observer and time when those details are available
 * @component
 */
-const ObservationDetails = ({ bird }) => (
+const ObservationDetails = ({ bird, onChecklistClick }) => (
  <>
    <p style={TYPOGRAPHY_STYLES.observationDate}>
      Last Observed: {new Date(bird.obsDt).toLocaleDateString()}
    </p>
-   <p style={TYPOGRAPHY_STYLES.checklistText}>
-     Checklists: {bird.subIds.map((subId, index) => (
-       <React.Fragment key={subId}>
-         <a
-           href={`https://ebird.org/checklist/${subId}`}
-           target="_blank"
-           rel="noopener noreferrer"
-           style={TYPOGRAPHY_STYLES.checklistLink}
-         >
-           {subId}
-         </a>
-         {index < bird.subIds.length - 1 ? ', ' : ''}
-       </React.Fragment>
+   <ul style={TYPOGRAPHY_STYLES.checklistList}>
+     {bird.checklists.map((checklist) => (
+       <ChecklistEntry
+         key={checklist.subId}
+         checklist={checklist}
+         onClick={() => onChecklistClick(checklist)}
+       />
      ))}
-   </p>
+   </ul>
  </>
 );
 
+/**
+* Single checklist line with observation details; the ID opens the checklist
+* @component
+*/
+const ChecklistEntry = ({ checklist, onClick }) => {
+ // Observer names only come with full detail; a missing count then means "X" (present)
+ const isFullDetail = checklist.userDisplayName !== undefined;
+ const obsDate = new Date(`${checklist.obsDate}T${checklist.obsTime || '00:00'}`);
+ const details = [
+   isFullDetail && `${checklist.howMany ?? 'X'} seen`,
+   checklist.userDisplayName,
+   [obsDate.toLocaleDateString(), checklist.obsTime].filter(Boolean).join(' ')
+ ].filter(Boolean);
+
+ return (
+   <li style={TYPOGRAPHY_STYLES.checklistText}>
+     <button
+       type="button"
+       onClick={onClick}
+       style={TYPOGRAPHY_STYLES.linkButton}
+     >
+       {checklist.subId}
+     </button>
+     {' '}{details.join(' · ')}
+     {checklist.obsReviewed && (
+       <span style={TYPOGRAPHY_STYLES.reviewedTag}>Reviewed</span>
+     )}
+   </li>
+ );
+};
+
 /**
 * Component that handles map interactions during popup events
 * @component
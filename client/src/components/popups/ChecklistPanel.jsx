@@ -0,0 +1,171 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Checklist viewer shown inside a sighting popup. Loads a
+* checklist through the server, shows its location, date and effort, and
+* lists every species with its count. Selecting a species filters the map.
+*
+* Dependencies: react, utils/debug, utils/dataUtils, utils/taxonomyUtils,
+* utils/mapconstants, styles/typography
+*/
+
+import { useState, useEffect } from 'react';
+import { debug } from '../../utils/debug';
+import { fetchChecklist } from '../../utils/dataUtils';
+import { getTaxonomyEntry } from '../../utils/taxonomyUtils';
+import { CHECKLIST_PROTOCOLS } from '../../utils/mapconstants';
+import { TYPOGRAPHY_STYLES } from '../../styles/typography';
+
+/**
+* Formats a checklist duration given in hours
+* @param {number} [hours] - Duration in hours
+* @returns {string|null} Duration such as "1 h 30 min", or null when not recorded
+*/
+const formatDuration = (hours) => {
+ if (!hours) return null;
+ const totalMinutes = Math.round(hours * 60);
+ const h = Math.floor(totalMinutes / 60);
+ const min = totalMinutes % 60;
+ return [h && `${h} h`, min && `${min} min`].filter(Boolean).join(' ');
+};
+
+/**
+* Describes the checklist protocol with its distance or area
+* @param {Object} checklist - Checklist record from the eBird checklist view API
+* @returns {string|null} Effort description, or null when unknown
+*/
+const formatEffort = (checklist) => {
+ const details = [
+   CHECKLIST_PROTOCOLS[checklist.protocolId],
+   checklist.effortDistanceKm && `${checklist.effortDistanceKm.toFixed(2)} km`,
+   checklist.effortAreaHa && `${checklist.effortAreaHa} ha`
+ ].filter(Boolean);
+ return details.length ? details.join(', ') : null;
+};
+
+/**
+* Resolves checklist observations to taxonomy entries, in taxonomic order
+* @param {Object[]} observations - Checklist observations
+* @returns {Array<{obsId: string, speciesCode: string, count: string, entry: Object|null}>}
+*/
+const resolveSpecies = (observations = []) => observations
+ .map(observation => ({
+   obsId: observation.obsId,
+   speciesCode: observation.speciesCode,
+   count: observation.howManyStr || 'X',
+   entry: getTaxonomyEntry(observation.speciesCode)
+ }))
+ .sort((a, b) =>
+   (a.entry?.taxonOrder ?? Infinity) - (b.entry?.taxonOrder ?? Infinity)
+ );
+
+/**
+* Checklist details and species list for one eBird checklist
+* @component
+* @param {Object} props
+* @param {string} props.subId - eBird checklist ID
+* @param {string} [props.locName] - Location name from the sighting, shown while loading
+* @param {Function} props.onBack - Returns to the sighting list
+* @param {Function} [props.onSpeciesSelect] - Called with a taxonomy entry to filter the map
+*/
+export const ChecklistPanel = ({ subId, locName, onBack, onSpeciesSelect }) => {
+ const [checklist, setChecklist] = useState(null);
+ const [error, setError] = useState(null);
+
+ useEffect(() => {
+   let cancelled = false;
+   setChecklist(null);
+   setError(null);
+
+   fetchChecklist(subId)
+     .then(data => {
+       if (!cancelled) setChecklist(data);
+     })
+     .catch(() => {
+       if (!cancelled) setError('Unable to load checklist');
+     });
+
+   return () => {
+     cancelled = true;
+   };
+ }, [subId]);
+
+ debug.debug('Rendering checklist panel:', { subId, loaded: !!checklist });
+
+ const species = checklist ? resolveSpecies(checklist.obs) : [];
+ const details = checklist ? [
+   checklist.obsDt && new Date(checklist.obsDt.replace(' ', 'T')).toLocaleString(),
+   formatDuration(checklist.durationHrs),
+   formatEffort(checklist),
+   checklist.numObservers && `${checklist.numObservers} ${checklist.numObservers === 1 ? 'observer' : 'observers'}`
+ ].filter(Boolean) : [];
+
+ return (
+   <div>
+     <button type="button" onClick={onBack} style={TYPOGRAPHY_STYLES.linkButton}>
+       ← Back to sightings
+     </button>
+     <h3 style={TYPOGRAPHY_STYLES.popupHeader}>
+       {checklist?.loc?.name || locName || subId}
+     </h3>
+     {error && <p style={TYPOGRAPHY_STYLES.observationDate}>{error}</p>}
+     {!checklist && !error && (
+       <p style={TYPOGRAPHY_STYLES.observationDate}>Loading checklist...</p>
+     )}
+     {checklist && (
+       <>
+         <p style={TYPOGRAPHY_STYLES.observationDate}>{details.join(' · ')}</p>
+         {checklist.userDisplayName && (
+           <p style={TYPOGRAPHY_STYLES.checklistText}>{checklist.userDisplayName}</p>
+         )}
+         <p style={TYPOGRAPHY_STYLES.observationDate}>
+           {species.length} species
+         </p>
+         <ul style={TYPOGRAPHY_STYLES.checklistList}>
+           {species.map(item => (
+             <li key={item.obsId || item.speciesCode} style={TYPOGRAPHY_STYLES.checklistText}>
+               {item.count}{' '}
+               {item.entry && onSpeciesSelect ? (
+                 <button
+                   type="button"
+                   onClick={() => onSpeciesSelect(item.entry)}
+                   style={TYPOGRAPHY_STYLES.linkButton}
+                   title="Show this species on the map"
+                 >
+                   {item.entry.commonName}
+                 </button>
+               ) : (
+                 item.entry?.commonName || item.speciesCode
+               )}
+             </li>
+           ))}
+         </ul>
+         <p style={TYPOGRAPHY_STYLES.checklistText}>
+           <a
+             href={`https://ebird.org/checklist/${subId}`}
+             target="_blank"
+             rel="noopener noreferrer"
+             style={TYPOGRAPHY_STYLES.checklistLink}
+           >
+             View on eBird
+           </a>
+         </p>
+       </>
+     )}
+   </div>
+ );
+};
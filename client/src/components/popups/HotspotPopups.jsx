@@ -0,0 +1,62 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: React component for eBird hotspot marker popups, showing the
+* hotspot name, all-time species count and latest checklist date.
+*
+* Dependencies: react, utils/debug, styles/typography
+*/
+
+import { memo } from 'react';
+import { debug } from '../../utils/debug';
+import { TYPOGRAPHY_STYLES } from '../../styles/typography';
+
+/**
+* Popup content for a single eBird hotspot
+* @component
+* @param {Object} props
+* @param {Object} props.hotspot - Hotspot record from the eBird hotspot API
+*/
+export const HotspotPopupContent = memo(({ hotspot }) => {
+ debug.debug('Rendering hotspot popup:', hotspot.locId);
+
+ return (
+   <div>
+     <h3 style={TYPOGRAPHY_STYLES.popupHeader}>{hotspot.locName}</h3>
+     <p style={TYPOGRAPHY_STYLES.observationDate}>
+       Species all time: {hotspot.numSpeciesAllTime ?? 'Unknown'}
+     </p>
+     <p style={TYPOGRAPHY_STYLES.observationDate}>
+       Latest checklist: {hotspot.latestObsDt
+         ? new Date(hotspot.latestObsDt.replace(' ', 'T')).toLocaleDateString()
+         : 'None'}
+     </p>
+     <p style={TYPOGRAPHY_STYLES.checklistText}>
+       <a
+         href={`https://ebird.org/hotspot/${hotspot.locId}`}
+         target="_blank"
+         rel="noopener noreferrer"
+         style={TYPOGRAPHY_STYLES.checklistLink}
+       >
+         View on eBird
+       </a>
+     </p>
+   </div>
+ );
+});
+
+HotspotPopupContent.displayName = 'HotspotPopupContent';
@@ -0,0 +1,113 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Map overlay offered when a selected species has no sightings
+ * in view. Looks up the closest recent reports and lists them with their
+ * distance and compass bearing.
+ *
+ * Dependencies: react, utils/debug, utils/mapUtils, styles/layout,
+ * styles/typography, styles/controls
+ */
+
+import { debug } from '../../utils/debug';
+import { formatBearing } from '../../utils/mapUtils';
+import { NOTIFICATION_LAYOUT_STYLES } from '../../styles/layout';
+import { TYPOGRAPHY_STYLES } from '../../styles/typography';
+import { MAP_CONTROL_STYLES } from '../../styles/controls';
+
+/**
+ * Overlay with a nearest-sighting search and its results
+ * @component
+ * @param {Object} props
+ * @param {string} props.speciesName - Common name of the selected species
+ * @param {Object|null} props.results - Search results, null before searching
+ * @param {Object[]} props.results.reports - Reports with distance (km) and bearing (degrees)
+ * @param {string} props.results.originLabel - What distances are measured from
+ * @param {number} props.back - Days searched
+ * @param {boolean} props.searching - Whether a search is in progress
+ * @param {Function} props.onSearch - Starts the search
+ * @param {Function} props.onReportSelect - Called with a report to center on it
+ * @param {Function} props.onClose - Hides the results
+ */
+export const NearestSightings = ({
+  speciesName,
+  results,
+  back,
+  searching,
+  onSearch,
+  onReportSelect,
+  onClose
+}) => {
+  debug.debug('Rendering nearest sightings:', { speciesName, count: results?.reports.length });
+
+  if (!results) {
+    return (
+      <div style={NOTIFICATION_LAYOUT_STYLES.nearestPanel}>
+        <p style={{ margin: '0 0 0.5rem' }}>
+          No {speciesName || 'sightings of this species'} in view.
+        </p>
+        <button
+          type="button"
+          onClick={onSearch}
+          disabled={searching}
+          style={MAP_CONTROL_STYLES.button}
+        >
+          {searching ? 'Searching...' : 'Find nearest sightings'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={NOTIFICATION_LAYOUT_STYLES.nearestPanel}>
+      <button type="button" onClick={onClose} style={TYPOGRAPHY_STYLES.linkButton}>
+        Close
+      </button>
+      <h3 style={TYPOGRAPHY_STYLES.popupHeader}>
+        Nearest {speciesName || 'reports'}
+      </h3>
+      {results.reports.length === 0 ? (
+        <p style={TYPOGRAPHY_STYLES.observationDate}>
+          No reports in the last {back} days.
+        </p>
+      ) : (
+        <>
+          <p style={TYPOGRAPHY_STYLES.observationDate}>
+            Distances from {results.originLabel}
+          </p>
+          <ul style={TYPOGRAPHY_STYLES.checklistList}>
+            {results.reports.map(report => (
+              <li key={`${report.subId}-${report.speciesCode}`} style={TYPOGRAPHY_STYLES.checklistText}>
+                <button
+                  type="button"
+                  onClick={() => onReportSelect(report)}
+                  style={TYPOGRAPHY_STYLES.linkButton}
+                >
+                  {report.locName}
+                </button>
+                {' '}{Math.round(report.distance)} km {formatBearing(report.bearing)}
+                {' · '}{new Date(report.obsDt.replace(' ', 'T')).toLocaleDateString()}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+NearestSightings.displayName = 'NearestSightings';
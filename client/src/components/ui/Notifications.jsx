@@ -16,7 +16,8 @@
  *
  * Project: bird-sightings-map
  * Description: React components for displaying loading states and user notifications.
- * Includes an auto-dismissing notification and an interactive loading overlay.
+ * Includes an auto-dismissing notification, a dismissible error message and an
+ * interactive loading overlay.
  * 
  * Dependencies: react, styles/layout, styles/animations, utils/debug
  */
@@ -26,12 +27,17 @@ import { NOTIFICATION_LAYOUT_STYLES } from '../../styles/layout';
 import { ANIMATIONS } from '../../styles/animations';
 import { debug } from '../../utils/debug';
 
+const API_LIMIT_MESSAGE = 'eBird API limits the number records returned for bird sightings. ' +
+  'You may see sightings change as you pan and the number increase as you zoom in.';
+
 /**
- * Displays a temporary notification about eBird API limitations
+ * Displays a temporary notification, by default about eBird API limitations
  * @component
+ * @param {Object} props
+ * @param {string} [props.message] - Message to show instead of the API limits note
  * @returns {React.ReactElement|null}
  */
-export const FadeNotification = () => {
+export const FadeNotification = ({ message = API_LIMIT_MESSAGE }) => {
   const [visible, setVisible] = useState(true);
 
   useEffect(() => {
@@ -53,8 +59,37 @@ export const FadeNotification = () => {
       <style>
         {ANIMATIONS.fadeInOut}
       </style>
-      eBird API limits the number records returned for bird sightings.
-      You may see sightings change as you pan and the number increase as you zoom in.
+      {message}
+    </div>
+  );
+};
+
+/**
+ * Displays an error message until dismissed or replaced, hiding itself after
+ * a while so it doesn't linger over the map
+ * @component
+ * @param {Object} props
+ * @param {string} props.message - Message to show
+ * @param {Function} props.onClose - Called to dismiss the message
+ * @returns {React.ReactElement}
+ */
+export const ErrorNotification = ({ message, onClose }) => {
+  useEffect(() => {
+    const timer = setTimeout(onClose, 10000);
+    return () => clearTimeout(timer);
+  }, [message, onClose]);
+
+  return (
+    <div role="alert" style={NOTIFICATION_LAYOUT_STYLES.errorNotification}>
+      <span>{message}</span>
+      <button
+        type="button"
+        aria-label="Dismiss"
+        onClick={onClose}
+        style={NOTIFICATION_LAYOUT_STYLES.errorDismiss}
+      >
+        ×
+      </button>
     </div>
   );
 };
@@ -92,4 +127,5 @@ export const LoadingOverlay = () => (
 );
 
 LoadingOverlay.displayName = 'LoadingOverlay';
+ErrorNotification.displayName = 'ErrorNotification';
 FadeNotification.displayName = 'FadeNotification';
\ No newline at end of file
@@ -21,6 +21,7 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { debounce } from 'lodash';
 import { debug } from '../../utils/debug';
+import { getTaxonomyEntry } from '../../utils/taxonomyUtils';
 import { SPECIES_SEARCH_STYLES } from '../../styles/controls';
 
 const SpeciesSearch = ({
@@ -52,7 +53,8 @@ const SpeciesSearch = ({
     const getDisplayName = useCallback((code) => {
         if (code === allSpeciesCode) return 'All Birds';
         if (code === rareSpeciesCode) return 'Rare Birds';
-        const species = regionSpecies.find(s => s.speciesCode === code);
+        // Species picked outside the search (e.g. from a checklist) may not be in the region list
+        const species = regionSpecies.find(s => s.speciesCode === code) || getTaxonomyEntry(code);
         return species ? species.commonName : '';
     }, [regionSpecies, allSpeciesCode, rareSpeciesCode]);
 
@@ -44,6 +44,12 @@ export const COLORS = {
     
     // Interactive elements
     link: '#3B82F6',
+
+    // Error messages
+    error: {
+        background: '#B91C1C',
+        text: 'white'
+    },
     
     // Modal colors
     modal: {
@@ -233,4 +233,52 @@ export const SPECIES_SEARCH_STYLES = {
         textAlign: 'center',
         fontSize: BASE_STYLES.fontSize.small
     }
-};
\ No newline at end of file
+};
+/**
+ * Styles for the location search box and its list of suggested, recent
+ * and matching places
+ * @constant
+ */
+export const LOCATION_SEARCH_STYLES = {
+    container: {
+        position: 'relative',
+        flex: 1,
+        minWidth: '200px',
+        zIndex: 1001
+    },
+    dropdown: {
+        ...SPECIES_SEARCH_STYLES.dropdown
+    },
+    listLabel: {
+        padding: '0.5rem 1rem 0.25rem',
+        color: COLORS.text.secondary,
+        fontSize: BASE_STYLES.fontSize.small,
+        fontWeight: 'bold'
+    },
+    list: {
+        listStyle: 'none',
+        margin: 0,
+        padding: BASE_STYLES.padding.tiny
+    },
+    option: {
+        display: 'block',
+        width: '100%',
+        textAlign: 'left',
+        padding: BASE_STYLES.padding.default,
+        backgroundColor: 'white',
+        border: 'none',
+        borderBottom: BASE_STYLES.border,
+        cursor: BASE_STYLES.interactive.cursor
+    },
+    optionActive: {
+        ...BASE_STYLES.hoverBackground
+    },
+    placeName: {
+        color: COLORS.text.primary,
+        fontSize: BASE_STYLES.fontSize.normal
+    },
+    placeDetail: {
+        color: COLORS.text.secondary,
+        fontSize: BASE_STYLES.fontSize.small
+    }
+};
@@ -63,6 +63,29 @@ export const LAYOUT_STYLES = {
         whiteSpace: 'nowrap',
         flexShrink: 0
     },
+    // Stacked layer and filter checkboxes
+    toggleGroup: {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '0.125rem',
+        flexShrink: 0
+    },
+    // Checkbox with its label text
+    toggleLabel: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.25rem',
+        whiteSpace: 'nowrap',
+        fontSize: '0.875rem',
+        color: COLORS.text.primary,
+        cursor: 'pointer'
+    },
+    // Region code form, sized to its contents
+    regionForm: {
+        display: 'flex',
+        gap: '0.25rem',
+        flexShrink: 0
+    },
     // Search form with flexible width
     searchForm: {
         display: 'flex',
@@ -163,6 +186,48 @@ export const NOTIFICATION_LAYOUT_STYLES = {
         textAlign: 'center',
         animation: 'fadeInOut 8s ease-in-out forwards'
     },
+    // Dismissible error message, above the fade notification
+    errorNotification: {
+        position: 'absolute',
+        bottom: '80px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px',
+        backgroundColor: COLORS.error.background,
+        color: COLORS.error.text,
+        padding: '10px 16px',
+        borderRadius: '8px',
+        zIndex: 1001,
+        maxWidth: '80%',
+        boxShadow: `0 1px 5px ${COLORS.shadow.dark}`
+    },
+    // Close button inside the error message
+    errorDismiss: {
+        background: 'none',
+        border: 'none',
+        color: COLORS.error.text,
+        fontSize: '1.25rem',
+        lineHeight: 1,
+        cursor: 'pointer',
+        padding: 0
+    },
+    // Panel listing the nearest reports of a species
+    nearestPanel: {
+        position: 'absolute',
+        top: '10px',
+        left: '10px',
+        zIndex: 1000,
+        maxWidth: '320px',
+        maxHeight: '40%',
+        overflowY: 'auto',
+        backgroundColor: 'white',
+        padding: '0.5rem 0.75rem',
+        borderRadius: '0.375rem',
+        boxShadow: `0 1px 5px ${COLORS.shadow.dark}`,
+        fontSize: '0.875rem'
+    },
     // Full-screen loading overlay
     loadingOverlay: {
         position: 'absolute',
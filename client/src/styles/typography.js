@@ -54,5 +54,43 @@ export const TYPOGRAPHY_STYLES = {
    checklistLink: {
      color: COLORS.link,
      textDecoration: 'underline'
+   },
+   // List of checklists for a species
+   checklistList: {
+     listStyle: 'none',
+     margin: '0.25rem',
+     padding: 0
+   },
+   // Exotic species category label next to the bird name
+   exoticTag: {
+     marginLeft: '0.5rem',
+     fontSize: '0.75em',
+     fontWeight: 'normal',
+     color: COLORS.text.tertiary
+   },
+   // Marker for observations reviewed by an eBird reviewer
+   reviewedTag: {
+     marginLeft: '0.25rem',
+     fontStyle: 'italic',
+     color: COLORS.text.secondary
+   },
+   // Badge for birds reported since the page loaded
+   newTag: {
+     marginLeft: '0.5rem',
+     padding: '0 0.25rem',
+     borderRadius: '0.25rem',
+     fontSize: '0.7em',
+     backgroundColor: COLORS.primary,
+     color: COLORS.text.light
+   },
+   // Button rendered as an inline link (checklist and species actions)
+   linkButton: {
+     background: 'none',
+     border: 'none',
+     padding: 0,
+     font: 'inherit',
+     color: COLORS.link,
+     textDecoration: 'underline',
+     cursor: 'pointer'
    }
 };
\ No newline at end of file
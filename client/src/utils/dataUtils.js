@@ -18,34 +18,84 @@
 * Description: Data processing utilities for bird sightings, handling API
 * interactions, photo fetching, and location-based data grouping.
 * 
-* Dependencies: lodash, debug.js
+* Dependencies: lodash, debug.js, mapconstants.js
 */
 
 import _ from 'lodash';
 import { debug } from './debug';
+import { NEAREST_MAX_RESULTS } from './mapconstants';
 
 /**
- * Fetches bird photos from the BirdWeather API for given species
+ * Builds an error from a failed API response, using the server's error
+ * message and code when the body carries them
+ * @param {Response} response - Failed fetch response
+ * @returns {Promise<Error>} Error with the response status and server code
+ */
+export const getResponseError = async (response) => {
+  let body = {};
+  try {
+    body = await response.json();
+  } catch {
+    // Not a JSON error body, e.g. from a proxy in front of the server
+  }
+
+  const error = new Error(body.error || `HTTP error! status: ${response.status}`);
+  error.status = response.status;
+  error.code = body.code;
+  return error;
+};
+
+/**
+ * Describes an error for the user, adding the server's message when the
+ * server explained the failure
+ * @param {string} action - What failed, e.g. "Error fetching bird sightings"
+ * @param {Error} error - Error from a fetch helper
+ * @returns {string} Message to show
+ */
+export const describeError = (action, error) => (
+  error.code ? `${action}: ${error.message}` : action
+);
+
+/**
+ * Resolves a photo URL from the server. With the server's photo proxy on,
+ * URLs are paths below the API rather than the photo provider's addresses.
+ * @param {string} url - Photo URL or API path
+ * @returns {string} Absolute URL
+ */
+const resolvePhotoUrl = (url) => (
+  url?.startsWith('/') ? `${import.meta.env.VITE_API_URL}${url}` : url
+);
+
+/**
+ * Fetches bird photos for given species through the server's photo lookup,
+ * which caches them for days
  * @param {string[]} uniqueSpecies - Array of unique species identifiers
  * @returns {Promise<Object>} Object mapping species to their photo URLs
  */
 export const fetchBirdPhotos = async (uniqueSpecies) => {
+  if (uniqueSpecies.length === 0) {
+    return {};
+  }
+
   try {
-    const photoResponse = await fetch('https://app.birdweather.com/api/v1/species/lookup', {
+    const photoResponse = await fetch(`${import.meta.env.VITE_API_URL}/api/photos`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
-        species: uniqueSpecies,
-        fields: ['imageUrl', 'thumbnailUrl']
+        species: uniqueSpecies
       })
     });
     
     if (photoResponse.ok) {
       const photoData = await photoResponse.json();
       debug.debug('Retrieved photos for species:', Object.keys(photoData.species).length);
-      return photoData.species;
+      return _.mapValues(photoData.species, photo => ({
+        ...photo,
+        imageUrl: resolvePhotoUrl(photo.imageUrl),
+        thumbnailUrl: resolvePhotoUrl(photo.thumbnailUrl)
+      }));
     }
     return {};
   } catch (error) {
@@ -54,6 +104,25 @@ export const fetchBirdPhotos = async (uniqueSpecies) => {
   }
 };
 
+/**
+ * Extracts per-checklist details from a sighting. Count, observer and review
+ * fields are only present when sightings were fetched with detail=full.
+ * @param {Object} sighting - Raw bird sighting record
+ * @returns {Object} Checklist summary for popup display
+ */
+export const buildChecklistSummary = (sighting) => {
+  const [obsDate, obsTime] = (sighting.obsDt || '').split(' ');
+  return {
+    subId: sighting.subId,
+    obsDate,
+    obsTime: obsTime || null,
+    howMany: sighting.howMany,
+    userDisplayName: sighting.userDisplayName,
+    locName: sighting.locName,
+    obsReviewed: sighting.obsReviewed
+  };
+};
+
 /**
  * Processes raw bird sightings data and groups it by location
  * @param {Object[]} sightings - Array of raw bird sighting records
@@ -79,7 +148,8 @@ export const processBirdSightings = (sightings, speciesPhotos) => {
     const birds = Object.entries(birdsBySpecies).map(([comName, speciesSightings]) => {
       const baseData = {
         ...speciesSightings[0],
-        subIds: speciesSightings.map(s => s.subId)
+        subIds: speciesSightings.map(s => s.subId),
+        checklists: speciesSightings.map(buildChecklistSummary)
       };
 
       // Add photo URLs if available
@@ -141,25 +211,271 @@ export const fetchRegionSpecies = async (regionCode) => {
 /**
  * Builds the API URL for fetching bird sightings
  * @param {Object} params - Search parameters
- * @param {number} params.lat - Latitude
- * @param {number} params.lng - Longitude
- * @param {number} params.radius - Search radius in kilometers
+ * @param {string} params.bbox - Viewport bounding box as "minLng,minLat,maxLng,maxLat"
  * @param {string} params.species - Species code, or 'rare' or 'recent'
  * @param {number} params.back - Number of days to look back
+ * @param {string} [params.detail='simple'] - eBird detail level, 'simple' or 'full'
+ * @param {boolean} [params.hotspotsOnly=false] - Only include sightings at eBird hotspots
  * @returns {string} Formatted API URL with query parameters
  */
 export const buildApiUrl = (params) => {
   const searchParams = new URLSearchParams({
-    lat: params.lat.toString(),
-    lng: params.lng.toString(),
-    dist: (params.radius + 0.3).toFixed(1),
+    bbox: params.bbox,
     species: params.species,
-    back: params.back.toString()
+    back: params.back.toString(),
+    detail: params.detail || 'simple',
+    hotspot: params.hotspotsOnly ? 'true' : 'false'
   });
 
   return `${import.meta.env.VITE_API_URL}/api/birds?${searchParams}`;
 };
 
+/**
+ * Builds the URL of the live sightings stream for a viewport or region
+ * @param {Object} params - Stream parameters
+ * @param {string} [params.bbox] - Viewport bounding box as "minLng,minLat,maxLng,maxLat"
+ * @param {string} [params.regionCode] - eBird region code, used instead of bbox when set
+ * @param {string} params.species - Species code, or 'rare' or 'recent'
+ * @param {number} params.back - Number of days to look back
+ * @param {string} [params.detail='simple'] - eBird detail level, 'simple' or 'full'
+ * @param {boolean} [params.hotspotsOnly=false] - Only include sightings at eBird hotspots
+ * @returns {string} Stream URL with query parameters
+ */
+export const buildStreamUrl = (params) => {
+  const searchParams = new URLSearchParams({
+    species: params.species,
+    back: params.back.toString(),
+    detail: params.detail || 'simple',
+    hotspot: params.hotspotsOnly ? 'true' : 'false'
+  });
+  if (params.regionCode) {
+    searchParams.set('region', params.regionCode);
+  } else {
+    searchParams.set('bbox', params.bbox);
+  }
+
+  return `${import.meta.env.VITE_API_URL}/api/stream?${searchParams}`;
+};
+
+/**
+ * Merges newly reported sightings into grouped locations, flagging the new
+ * birds (isNew) and the locations they appear at (hasNew)
+ * @param {Object[]} locations - Locations as returned by processBirdSightings
+ * @param {Object[]} sightings - New raw bird sighting records
+ * @param {Object} speciesPhotos - Mapping of species to their photo URLs
+ * @returns {Object[]} Updated locations
+ */
+export const mergeNewSightings = (locations, sightings, speciesPhotos) => {
+  const merged = [...locations];
+
+  processBirdSightings(sightings, speciesPhotos).forEach(fresh => {
+    const freshBirds = fresh.birds.map(bird => ({ ...bird, isNew: true }));
+    const index = merged.findIndex(location =>
+      location.lat === fresh.lat && location.lng === fresh.lng
+    );
+
+    if (index === -1) {
+      merged.push({ ...fresh, birds: freshBirds, hasNew: true });
+      return;
+    }
+
+    const birds = [...merged[index].birds];
+    freshBirds.forEach(freshBird => {
+      const birdIndex = birds.findIndex(bird => bird.comName === freshBird.comName);
+      if (birdIndex === -1) {
+        birds.push(freshBird);
+        return;
+      }
+      // New reports are the latest, so they lead the checklist list
+      const bird = birds[birdIndex];
+      birds[birdIndex] = {
+        ...bird,
+        ...freshBird,
+        subIds: [...freshBird.subIds, ...bird.subIds],
+        checklists: [...freshBird.checklists, ...bird.checklists]
+      };
+    });
+
+    merged[index] = { ...merged[index], birds, hasNew: true };
+  });
+
+  debug.debug('Merged new sightings:', { sightings: sightings.length, locations: merged.length });
+  return merged;
+};
+
+/**
+ * Builds the API URL for fetching all bird sightings in an eBird region
+ * @param {Object} params - Search parameters
+ * @param {string} params.regionCode - eBird region code (e.g., "US-CA-087")
+ * @param {string} params.species - Species code, or 'rare' or 'recent'
+ * @param {number} params.back - Number of days to look back
+ * @param {string} [params.detail='simple'] - eBird detail level, 'simple' or 'full'
+ * @param {boolean} [params.hotspotsOnly=false] - Only include sightings at eBird hotspots
+ * @returns {string} Formatted API URL with query parameters
+ */
+export const buildRegionApiUrl = (params) => {
+  const searchParams = new URLSearchParams({
+    species: params.species,
+    back: params.back.toString(),
+    detail: params.detail || 'simple',
+    hotspot: params.hotspotsOnly ? 'true' : 'false'
+  });
+
+  return `${import.meta.env.VITE_API_URL}/api/birds/region/${encodeURIComponent(params.regionCode)}?${searchParams}`;
+};
+
+/**
+ * Builds the API URL for the nearest recent reports of a species
+ * @param {Object} params - Parameters for the API call
+ * @param {string} params.speciesCode - eBird species code
+ * @param {number} params.lat - Latitude to measure from
+ * @param {number} params.lng - Longitude to measure from
+ * @param {number} params.back - Number of days to look back
+ * @param {number} [params.maxResults] - Number of reports to return
+ * @returns {string} Formatted API URL
+ */
+export const buildNearestApiUrl = (params) => {
+  const searchParams = new URLSearchParams({
+    lat: params.lat.toString(),
+    lng: params.lng.toString(),
+    back: params.back.toString(),
+    maxResults: (params.maxResults || NEAREST_MAX_RESULTS).toString()
+  });
+
+  return `${import.meta.env.VITE_API_URL}/api/birds/nearest/${encodeURIComponent(params.speciesCode)}?${searchParams}`;
+};
+
+/**
+ * Fetches the reports of a species closest to a point, regardless of distance
+ * @param {Object} params - Parameters passed to buildNearestApiUrl
+ * @returns {Promise<Object[]>} Sightings ordered by distance from the point
+ */
+export const fetchNearestSightings = async (params) => {
+  debug.debug('Fetching nearest sightings:', params);
+
+  try {
+    const response = await fetch(buildNearestApiUrl(params));
+
+    if (!response.ok) {
+      throw await getResponseError(response);
+    }
+
+    const data = await response.json();
+    debug.debug('Received nearest sightings:', data.length);
+    return data;
+  } catch (error) {
+    debug.error('Error fetching nearest sightings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Builds the API URL for fetching eBird hotspots
+ * @param {string} bbox - Viewport bounding box as "minLng,minLat,maxLng,maxLat"
+ * @returns {string} Formatted API URL
+ */
+export const buildHotspotsUrl = (bbox) => {
+  return `${import.meta.env.VITE_API_URL}/api/hotspots?bbox=${encodeURIComponent(bbox)}`;
+};
+
+/**
+ * Fetches eBird hotspots inside a bounding box
+ * @param {string} bbox - Viewport bounding box as "minLng,minLat,maxLng,maxLat"
+ * @returns {Promise<Object[]>} Hotspots with name, location, species count and latest checklist date
+ */
+export const fetchHotspots = async (bbox) => {
+  debug.debug('Fetching hotspots for bounds:', bbox);
+
+  try {
+    const response = await fetch(buildHotspotsUrl(bbox));
+
+    if (!response.ok) {
+      throw await getResponseError(response);
+    }
+
+    const data = await response.json();
+    debug.debug('Received hotspots:', data.length);
+    return data;
+  } catch (error) {
+    debug.error('Error fetching hotspots:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches a single eBird checklist with its effort details and species list
+ * @param {string} subId - eBird checklist ID (e.g., "S123456789")
+ * @returns {Promise<Object>} Checklist record from the eBird checklist view API
+ */
+export const fetchChecklist = async (subId) => {
+  debug.debug('Fetching checklist:', subId);
+
+  try {
+    const response = await fetch(
+      `${import.meta.env.VITE_API_URL}/api/checklist/${encodeURIComponent(subId)}`
+    );
+
+    if (!response.ok) {
+      throw await getResponseError(response);
+    }
+
+    const data = await response.json();
+    debug.debug('Received checklist observations:', data.obs?.length);
+    return data;
+  } catch (error) {
+    debug.error('Error fetching checklist:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches an eBird hotspot's name and location
+ * @param {string} locId - eBird location ID (e.g., "L123456")
+ * @returns {Promise<Object>} Hotspot record from the eBird hotspot info API
+ */
+export const fetchHotspotInfo = async (locId) => {
+  debug.debug('Fetching hotspot info:', locId);
+
+  try {
+    const response = await fetch(
+      `${import.meta.env.VITE_API_URL}/api/hotspots/${encodeURIComponent(locId)}`
+    );
+
+    if (!response.ok) {
+      throw await getResponseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    debug.error('Error fetching hotspot info:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches an eBird region's full name and bounds
+ * @param {string} regionCode - eBird region code (e.g., "US-CA-087")
+ * @returns {Promise<Object>} Region name as result and bounds as minX/maxX/minY/maxY
+ */
+export const fetchRegionInfo = async (regionCode) => {
+  debug.debug('Fetching region info:', regionCode);
+
+  try {
+    const response = await fetch(
+      `${import.meta.env.VITE_API_URL}/api/region-info/${encodeURIComponent(regionCode)}`
+    );
+
+    if (!response.ok) {
+      throw await getResponseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    debug.error('Error fetching region info:', error);
+    throw error;
+  }
+};
+
 /**
  * Builds API URL for forward geocoding
  * @param {string} query - Search query for location
@@ -169,6 +485,15 @@ export const buildForwardGeocodeUrl = (query) => {
   return `${import.meta.env.VITE_API_URL}/api/forward-geocode?q=${encodeURIComponent(query)}`;
 };
 
+/**
+ * Builds API URL for type-ahead location suggestions
+ * @param {string} query - Partly typed place name
+ * @returns {string} Formatted API URL
+ */
+export const buildLocationSuggestionsUrl = (query) => {
+  return `${import.meta.env.VITE_API_URL}/api/geocode-suggestions?q=${encodeURIComponent(query)}`;
+};
+
 /**
  * Builds API URL for reverse geocoding
  * @param {number} lat - Latitude coordinate
@@ -179,12 +504,23 @@ export const buildReverseGeocodeUrl = (lat, lng) => {
   return `${import.meta.env.VITE_API_URL}/api/reverse-geocode?lat=${lat}&lon=${lng}`;
 };
 
+/**
+ * Region codes used when a location can't be resolved
+ * @type {Object}
+ */
+const UNKNOWN_REGION_CODES = {
+  country: null,
+  subnational1: null,
+  subnational2: null
+};
+
 /**
 * Fetches location details with retry logic
 * @param {number} lat - Latitude coordinate
 * @param {number} lng - Longitude coordinate
 * @param {number} [retries=2] - Number of retries on rate limit
-* @returns {Promise<Object>} Location details
+* @returns {Promise<Object>} Location details: country code, eBird region
+* codes (country, subnational1, subnational2) and bounds
 */
 export const fetchLocationDetails = async (lat, lng, retries = 2) => {
  debug.debug('Getting country info for coordinates:', { lat, lng });
@@ -199,14 +535,20 @@ export const fetchLocationDetails = async (lat, lng, retries = 2) => {
    }
    
    if (!response.ok) {
-     throw new Error(`HTTP error! status: ${response.status}`);
+     throw await getResponseError(response);
    }
    
    const data = await response.json();
  
    if (data.found) {
+     const countryCode = data.address.country_code.toUpperCase();
      return {
-       countryCode: data.address.country_code.toUpperCase(),
+       countryCode,
+       regionCodes: data.regions || {
+         country: countryCode,
+         subnational1: null,
+         subnational2: null
+       },
        bounds: data.boundingbox ? {
          minX: parseFloat(data.boundingbox[2]),
          maxX: parseFloat(data.boundingbox[3]), 
@@ -219,6 +561,7 @@ export const fetchLocationDetails = async (lat, lng, retries = 2) => {
    // Return a default response when location not found
    return {
      countryCode: 'UNKNOWN',
+     regionCodes: UNKNOWN_REGION_CODES,
      bounds: null
    };
  } catch (error) {
@@ -226,6 +569,7 @@ export const fetchLocationDetails = async (lat, lng, retries = 2) => {
    // Return a default response on error
    return {
      countryCode: 'UNKNOWN',
+     regionCodes: UNKNOWN_REGION_CODES,
      bounds: null
    };
  }
@@ -235,7 +579,8 @@ export const fetchLocationDetails = async (lat, lng, retries = 2) => {
 /**
  * Searches for a location using forward geocoding
  * @param {string} query - Search query
- * @returns {Promise<Object>} Location data
+ * @returns {Promise<Object>} Location data, with every matching place
+ * (name, type, country and bounding box) in results, best first
  */
 export const searchLocation = async (query) => {
   debug.debug('Searching location:', query);
@@ -244,7 +589,7 @@ export const searchLocation = async (query) => {
     const response = await fetch(buildForwardGeocodeUrl(query));
     
     if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      throw await getResponseError(response);
     }
     
     return await response.json();
@@ -252,4 +597,43 @@ export const searchLocation = async (query) => {
     debug.error('Error searching location:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+// Set once the server says suggestions are turned off, so typing stops asking
+let suggestionsDisabled = false;
+
+/**
+ * Fetches type-ahead suggestions for a partly typed place name. Failures,
+ * including rate limiting, give no suggestions; a full search still works.
+ * @param {string} query - Partly typed place name
+ * @param {AbortSignal} [signal] - Cancels the request when the user types on
+ * @returns {Promise<Object[]>} Matching places, best first
+ */
+export const fetchLocationSuggestions = async (query, signal) => {
+  if (suggestionsDisabled) {
+    return [];
+  }
+
+  try {
+    const response = await fetch(buildLocationSuggestionsUrl(query), { signal });
+
+    if (!response.ok) {
+      // A 503 without an upstream error code means the operator turned them off
+      if (response.status === 503 && !(await getResponseError(response)).code) {
+        debug.info('Location suggestions are turned off on the server');
+        suggestionsDisabled = true;
+        return [];
+      }
+      debug.warn('Location suggestions unavailable:', response.status);
+      return [];
+    }
+
+    const data = await response.json();
+    return data.suggestions || [];
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      debug.warn('Error fetching location suggestions:', error);
+    }
+    return [];
+  }
+};
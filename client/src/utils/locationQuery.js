@@ -0,0 +1,166 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Recognizes location search input that isn't a place name:
+ * decimal or degrees-minutes-seconds coordinates, eBird location IDs and
+ * eBird region codes. Anything else is left for the geocoder.
+ *
+ * Dependencies: mapconstants.js
+ */
+
+import { REGION_CODE_PATTERN } from './mapconstants';
+
+// eBird location IDs, e.g. L123456
+const LOCATION_ID_PATTERN = /^L\d+$/i;
+
+// Numbers and hemisphere letters, the only tokens a coordinate pair has
+const COORDINATE_TOKEN = /[NSEW]|[+-]?\d+(?:\.\d+)?/g;
+
+/**
+ * @typedef {Object} LocationQuery
+ * @property {string} kind - 'coordinates', 'hotspot' or 'region'
+ * @property {number} [lat] - Latitude, for coordinates
+ * @property {number} [lon] - Longitude, for coordinates
+ * @property {string} [locId] - eBird location ID, for hotspots
+ * @property {string} [regionCode] - eBird region code, for regions
+ */
+
+/**
+ * Converts one coordinate's degrees, minutes and seconds to decimal degrees
+ * @param {Object} group - Numbers (as text) and optional hemisphere letter
+ * @returns {number|null} Decimal degrees, or null if minutes or seconds are out of range
+ */
+const toDecimalDegrees = ({ numbers, hemisphere }) => {
+  const [degrees, minutes = 0, seconds = 0] = numbers.map(parseFloat);
+  if (minutes < 0 || minutes >= 60 || seconds < 0 || seconds >= 60) {
+    return null;
+  }
+  if ((minutes || seconds) && !Number.isInteger(degrees)) {
+    return null;
+  }
+
+  const negative = numbers[0].startsWith('-') || hemisphere === 'S' || hemisphere === 'W';
+  const value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+  return negative ? -value : value;
+};
+
+/**
+ * Splits coordinate tokens into a latitude and a longitude group. Hemisphere
+ * letters may come before or after their numbers; without letters the
+ * numbers are split evenly, latitude first.
+ * @param {string[]} tokens - Numbers and hemisphere letters
+ * @returns {Object[]|null} Two groups of numbers and hemispheres, or null
+ */
+const groupCoordinateTokens = (tokens) => {
+  const letters = tokens.filter(token => /^[NSEW]$/.test(token));
+
+  if (letters.length === 0) {
+    if (tokens.length % 2 !== 0) return null;
+    const half = tokens.length / 2;
+    return [{ numbers: tokens.slice(0, half) }, { numbers: tokens.slice(half) }];
+  }
+  if (letters.length !== 2) return null;
+
+  // Letters either all follow their numbers (36 58 N 122 1 W) or all lead them
+  const suffixed = !/^[NSEW]$/.test(tokens[0]);
+  const groups = [];
+  let current = { numbers: [] };
+  tokens.forEach(token => {
+    if (/^[NSEW]$/.test(token)) {
+      if (suffixed) {
+        groups.push({ ...current, hemisphere: token });
+        current = { numbers: [] };
+      } else {
+        if (current.hemisphere) groups.push(current);
+        current = { numbers: [], hemisphere: token };
+      }
+    } else {
+      current.numbers.push(token);
+    }
+  });
+  if (!suffixed) {
+    groups.push(current);
+  } else if (current.numbers.length > 0) {
+    return null;
+  }
+
+  return groups.length === 2 ? groups : null;
+};
+
+/**
+ * Reads a coordinate pair such as "36.9741, -122.0308", "36.9741 N 122.0308 W"
+ * or 36°58'26.8"N 122°01'50.9"W
+ * @param {string} text - Search input
+ * @returns {{lat: number, lon: number}|null} Coordinates, or null if the text isn't a coordinate pair
+ */
+export const parseCoordinates = (text) => {
+  const normalized = text
+    .toUpperCase()
+    .replace(/[°º'′’"″”,;:]/g, ' ')
+    .trim();
+  const tokens = normalized.match(COORDINATE_TOKEN) || [];
+
+  // Anything besides numbers, hemisphere letters and separators is a place name
+  if (tokens.length < 2 || normalized.replace(COORDINATE_TOKEN, '').trim() !== '') {
+    return null;
+  }
+
+  const groups = groupCoordinateTokens(tokens);
+  if (!groups || groups.some(group => group.numbers.length < 1 || group.numbers.length > 3)) {
+    return null;
+  }
+
+  // With hemisphere letters one group is N/S and the other E/W, in either
+  // order; without them latitude comes first
+  const isLongitude = (group) => group.hemisphere === 'E' || group.hemisphere === 'W';
+  let [latGroup, lonGroup] = groups;
+  if (latGroup.hemisphere) {
+    if (isLongitude(latGroup) === isLongitude(lonGroup)) return null;
+    if (isLongitude(latGroup)) [latGroup, lonGroup] = [lonGroup, latGroup];
+  }
+
+  const lat = toDecimalDegrees(latGroup);
+  const lon = toDecimalDegrees(lonGroup);
+  if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+  return { lat, lon };
+};
+
+/**
+ * Recognizes coordinates, eBird location IDs and eBird region codes.
+ * Region codes need at least a state (US-CA); a bare country code like
+ * "CA" is as likely to be a place name abbreviation.
+ * @param {string} text - Search input
+ * @returns {LocationQuery|null} What the input names, or null for a place name
+ */
+export const parseLocationQuery = (text) => {
+  const trimmed = text.trim();
+
+  const coordinates = parseCoordinates(trimmed);
+  if (coordinates) {
+    return { kind: 'coordinates', ...coordinates };
+  }
+  if (LOCATION_ID_PATTERN.test(trimmed)) {
+    return { kind: 'hotspot', locId: trimmed.toUpperCase() };
+  }
+  const upper = trimmed.toUpperCase();
+  if (upper.includes('-') && REGION_CODE_PATTERN.test(upper)) {
+    return { kind: 'region', regionCode: upper };
+  }
+  return null;
+};
@@ -26,6 +26,13 @@ import icon from 'leaflet/dist/images/marker-icon.png';
 import iconShadow from 'leaflet/dist/images/marker-shadow.png';
 import { debug } from './debug';
 
+/**
+ * Fraction of the view's width and height added on each side of the area
+ * fetched, so the map can be panned a little before it needs new data
+ * @type {number}
+ */
+export const FETCH_BOUNDS_PADDING = 0.3;
+
 /**
  * Default Leaflet icon configuration for single bird sightings
  * @type {L.Icon}
@@ -48,6 +55,28 @@ export const MultipleIcon = L.divIcon({
   iconAnchor: [15, 15]
 });
 
+/**
+ * Custom div icon for locations with sightings reported since the page loaded
+ * @type {L.DivIcon}
+ */
+export const NewSightingIcon = L.divIcon({
+  className: 'custom-div-icon',
+  html: `<div style="background-color: #FD7014; color: white; border-radius: 11px; height: 22px; padding: 0 6px; display: flex; align-items: center; font-size: 11px; font-weight: bold; border: 2px solid white; box-shadow: 0 0 2px rgba(0, 0, 0, 0.6);">NEW</div>`,
+  iconSize: [40, 22],
+  iconAnchor: [20, 11]
+});
+
+/**
+ * Custom div icon for eBird hotspots
+ * @type {L.DivIcon}
+ */
+export const HotspotIcon = L.divIcon({
+  className: 'custom-div-icon',
+  html: `<div style="background-color: #16A34A; width: 14px; height: 14px; border-radius: 3px; transform: rotate(45deg); border: 2px solid white; box-shadow: 0 0 2px rgba(0, 0, 0, 0.6);"></div>`,
+  iconSize: [18, 18],
+  iconAnchor: [9, 9]
+});
+
 /**
  * Sets the default marker icon for Leaflet
  */
@@ -114,7 +143,7 @@ export const updateCountryCache = (countryCode, bounds) => {
 /**
  * Calculates the appropriate radius based on current viewport bounds
  * @param {L.LatLngBounds} bounds - Current map viewport bounds
- * @returns {number} Calculated radius in kilometers, capped at 25km
+ * @returns {number} Calculated radius in kilometers
  */
 export const calculateViewportRadius = (bounds) => {
   const ne = bounds.getNorthEast();
@@ -122,7 +151,7 @@ export const calculateViewportRadius = (bounds) => {
          
   const xDistance = calculateDistance(ne.lat, ne.lng, ne.lat, sw.lng);
   const yDistance = calculateDistance(ne.lat, ne.lng, sw.lat, ne.lng);
-  const currentRadius = Math.min(Math.max(xDistance, yDistance) / 2, 25);
+  const currentRadius = Math.max(xDistance, yDistance) / 2;
       
   debug.debug('Calculated viewport distances:', { 
     xDistance, 
@@ -136,17 +165,12 @@ export const calculateViewportRadius = (bounds) => {
 /**
  * Determines if new data should be fetched based on map movement and parameter changes
  * @param {Object} lastFetchParams - Previous fetch parameters
+ * @param {L.LatLngBounds} lastFetchParams.bounds - Padded bounds sightings were fetched for
  * @param {Object} currentParams - Current fetch parameters
- * @param {Object} lastFetchLocation - Previous fetch location coordinates
- * @param {Object} currentLocation - Current location coordinates
+ * @param {L.LatLngBounds} currentParams.bounds - Current viewport bounds
  * @returns {boolean} Whether new data should be fetched
  */
-export const shouldFetchNewData = (
-  lastFetchParams,
-  currentParams,
-  lastFetchLocation,
-  currentLocation
-) => {
+export const shouldFetchNewData = (lastFetchParams, currentParams) => {
   // If no previous fetch, always fetch
   if (!lastFetchParams) {
     debug.debug('No previous fetch params, fetching data');
@@ -157,7 +181,9 @@ export const shouldFetchNewData = (
   const paramsChanged = 
     lastFetchParams.back !== currentParams.back || 
     lastFetchParams.species !== currentParams.species ||
-    lastFetchParams.country !== currentParams.country;
+    lastFetchParams.country !== currentParams.country ||
+    lastFetchParams.hotspotsOnly !== currentParams.hotspotsOnly ||
+    lastFetchParams.region !== currentParams.region;
 
   if (paramsChanged) {
     debug.debug('Fetch parameters changed:', {
@@ -167,6 +193,12 @@ export const shouldFetchNewData = (
     return true;
   }
 
+  // Region results don't depend on the viewport
+  if (currentParams.region) {
+    debug.debug('Region unchanged, keeping current sightings');
+    return false;
+  }
+
   // Check if radius changed significantly
   const radiusChanged = Math.abs(lastFetchParams.radius - currentParams.radius) > 1;
   if (radiusChanged) {
@@ -174,26 +206,14 @@ export const shouldFetchNewData = (
     return true;
   }
 
-  // Check distance moved if we have previous location
-  if (lastFetchLocation) {
-    const distance = calculateDistance(
-      lastFetchLocation.lat,
-      lastFetchLocation.lng,
-      currentLocation.lat,
-      currentLocation.lng
-    );
-    const sensitivityThreshold = currentParams.radius * 0.80;
-    
-    debug.debug('Checking movement threshold:', {
-      distance,
-      sensitivityThreshold,
-      shouldFetch: distance >= sensitivityThreshold
-    });
-    
-    return distance >= sensitivityThreshold;
-  }
+  // Results are clipped to the fetched bounds, so a view reaching past their
+  // padding needs new data
+  const withinFetchedBounds = lastFetchParams.bounds.contains(currentParams.bounds);
+  debug.debug('Checking viewport against fetched bounds:', {
+    withinFetchedBounds
+  });
 
-  return true;
+  return !withinFetchedBounds;
 };
 
 /**
@@ -207,6 +227,37 @@ export const formatCoordinates = (lat, lng) => ({
   lng: Number(lng.toFixed(4))
 });
 
+/**
+ * Formats viewport bounds as a "minLng,minLat,maxLng,maxLat" query value
+ * @param {L.LatLngBounds} bounds - Map viewport bounds
+ * @returns {string} Bounding box with 4 decimal places, clamped to valid ranges
+ */
+export const formatBounds = (bounds) => {
+  const sw = bounds.getSouthWest();
+  const ne = bounds.getNorthEast();
+  return [
+    Math.max(sw.lng, -180),
+    Math.max(sw.lat, -90),
+    Math.min(ne.lng, 180),
+    Math.min(ne.lat, 90)
+  ].map(value => value.toFixed(4)).join(',');
+};
+
+/**
+ * Converts a geocoder bounding box to Leaflet bounds
+ * @param {string[]|null} boundingbox - [minLat, maxLat, minLon, maxLon]
+ * @returns {Array<number[]>|null} [[south, west], [north, east]], or null when
+ * missing or a single point
+ */
+export const boundingBoxToLatLngs = (boundingbox) => {
+  if (!boundingbox) return null;
+  const [minLat, maxLat, minLon, maxLon] = boundingbox.map(parseFloat);
+  if ([minLat, maxLat, minLon, maxLon].some(isNaN) || (minLat === maxLat && minLon === maxLon)) {
+    return null;
+  }
+  return [[minLat, minLon], [maxLat, maxLon]];
+};
+
 /**
  * Calculates the distance between two geographic coordinates using the Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -227,5 +278,35 @@ export const calculateDistance = (lat1, lon1, lat2, lon2) => {
   return R * c;
 };
 
+/**
+ * Calculates the initial compass bearing from one coordinate to another
+ * @param {number} lat1 - Latitude of start point
+ * @param {number} lon1 - Longitude of start point
+ * @param {number} lat2 - Latitude of end point
+ * @param {number} lon2 - Longitude of end point
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+export const calculateBearing = (lat1, lon1, lat2, lon2) => {
+  const phi1 = lat1 * Math.PI / 180;
+  const phi2 = lat2 * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x =
+    Math.cos(phi1) * Math.sin(phi2) -
+    Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+/**
+ * Converts a bearing to one of the 16 compass points
+ * @param {number} bearing - Bearing in degrees clockwise from north
+ * @returns {string} Compass point (e.g., "NNE")
+ */
+export const formatBearing = (bearing) => {
+  const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+    'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+  return points[Math.round(bearing / 22.5) % 16];
+};
+
 // Export cache for testing
 export const _countryCache = countryCache;
\ No newline at end of file
@@ -21,10 +21,11 @@
 */
 
 /**
-* OpenStreetMap tile server URL template
+* OpenStreetMap tile server URL template, overridable for offline use
 * @type {string}
 */
-export const MAP_TILE_URL = "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+export const MAP_TILE_URL = import.meta.env.VITE_MAP_TILE_URL ||
+  "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
 
 /**
 * Options for "days back" dropdown selector
@@ -55,13 +56,74 @@ export const SPECIES_CODES = {
 * @property {string} species - Species code or special filter
 * @property {string} back - Number of days to look back
 * @property {number} zoom - Initial map zoom level
+* @property {string} region - eBird region code shown regardless of viewport
 */
 export const DEFAULT_MAP_PARAMS = {
     lat: 36.9741,  // Santa Cruz, CA lat and lng
     lng: -122.0308,
     species: SPECIES_CODES.ALL,
     back: "7",
-    zoom: 12
+    zoom: 12,
+    region: ''  // Empty for map area mode, otherwise an eBird region code
+};
+
+/**
+* Region levels the species list can be loaded for, keyed by the eBird
+* region type returned with location details
+* @type {Array<{value: string, label: string}>}
+*/
+export const SPECIES_REGION_LEVELS = [
+    { value: 'country', label: 'Country' },
+    { value: 'subnational1', label: 'State' },
+    { value: 'subnational2', label: 'County' }
+];
+
+/**
+* Default region level for the species list
+* @type {string}
+*/
+export const DEFAULT_SPECIES_REGION_LEVEL = 'subnational1';
+
+/**
+* Pattern for eBird region codes: country (US), state (US-CA) or county (US-CA-087)
+* @type {RegExp}
+*/
+export const REGION_CODE_PATTERN = /^[A-Z]{2}(-[A-Z0-9]{1,3}){0,2}$/;
+
+/**
+* Detail level requested for sightings, 'simple' unless VITE_SIGHTING_DETAIL
+* is 'full'. Full detail adds counts, observer names and review status to
+* each observation, at the cost of larger responses.
+* @type {string}
+*/
+export const SIGHTING_DETAIL = import.meta.env.VITE_SIGHTING_DETAIL === 'full' ? 'full' : 'simple';
+
+/**
+* Display labels for eBird exotic species categories
+* @type {Object.<string, string>}
+*/
+export const EXOTIC_CATEGORIES = {
+    N: 'Naturalized',
+    P: 'Provisional',
+    X: 'Escapee'
+};
+
+/**
+* Number of reports requested when looking for the nearest sightings of a species
+* @type {number}
+*/
+export const NEAREST_MAX_RESULTS = 10;
+
+/**
+* eBird checklist protocol names by protocol ID
+* @type {Object.<string, string>}
+*/
+export const CHECKLIST_PROTOCOLS = {
+    P20: 'Incidental',
+    P21: 'Stationary',
+    P22: 'Traveling',
+    P23: 'Area',
+    P62: 'Historical'
 };
 
 /**
@@ -0,0 +1,63 @@
+/**
+ * Copyright (C) 2025 Michelle Tomasko
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ * Project: bird-sightings-map
+ * Description: Places recently picked in the location search, kept in
+ * localStorage so they are offered again on the next visit. Storage can be
+ * unavailable (private browsing, embedded frames), in which case the list
+ * is simply empty.
+ *
+ * Dependencies: debug.js
+ */
+
+import { debug } from './debug';
+
+const STORAGE_KEY = 'birdSightingsMap.recentPlaces';
+const MAX_RECENT_PLACES = 5;
+
+/**
+ * Reads the recently used places, most recent first
+ * @returns {Object[]} Geocode results
+ */
+export const getRecentPlaces = () => {
+  try {
+    const places = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(places) ? places : [];
+  } catch (error) {
+    debug.warn('Could not read recent places:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Moves a place to the front of the recent list
+ * @param {Object} place - Geocode result that was picked
+ * @returns {Object[]} Updated list, most recent first
+ */
+export const addRecentPlace = (place) => {
+  const { displayName, lat, lon, type, boundingbox, country, countryCode, zoom } = place;
+  const places = [
+    { displayName, lat, lon, type, boundingbox, country, countryCode, zoom },
+    ...getRecentPlaces().filter(recent => recent.displayName !== displayName)
+  ].slice(0, MAX_RECENT_PLACES);
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(places));
+  } catch (error) {
+    debug.warn('Could not save recent places:', error.message);
+  }
+  return places;
+};
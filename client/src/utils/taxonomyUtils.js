@@ -40,6 +40,19 @@ debug.info('Initialized taxonomy map with entries:', taxonomyMap.size);
  * @property {string} speciesGroup - Group for categorization
  */
 
+/**
+ * Looks up the taxonomy entry for a species code
+ * @param {string} speciesCode - eBird species code
+ * @returns {TaxonomyEntry|null} Matching entry or null if the code is unknown
+ */
+export const getTaxonomyEntry = (speciesCode) => {
+    const entry = taxonomyMap.get(speciesCode);
+    if (!entry) {
+        debug.warn('Species code not found in taxonomy:', speciesCode);
+    }
+    return entry || null;
+};
+
 /**
  * Cache for region-specific species lists with TTL
  * @type {Object.<string, {entries: TaxonomyEntry[], timestamp: number}>}
@@ -188,6 +201,26 @@ export const updateRegionCache = (regionCode, species) => {
   debug.info('Cache updated, current regions:', Object.keys(regionSpeciesCache));
 };
 
+/**
+ * Picks the region code to load species for at the preferred level, falling
+ * back to coarser levels when the finer one couldn't be resolved
+ * @param {Object} regionCodes - eBird region codes (country, subnational1, subnational2)
+ * @param {string} level - Preferred level: 'country', 'subnational1' or 'subnational2'
+ * @returns {string|null} Region code to use, or null if none is known
+ */
+export const selectRegionCode = (regionCodes, level) => {
+    if (!regionCodes) return null;
+
+    const levels = ['subnational2', 'subnational1', 'country'];
+    const code = levels
+        .slice(levels.indexOf(level))
+        .map(candidate => regionCodes[candidate])
+        .find(Boolean);
+
+    debug.debug('Selected species region:', { level, code });
+    return code || null;
+};
+
 /**
  * Clears cached species data for a region
  * @param {string} regionCode - Region code to clear from cache
@@ -32,7 +32,7 @@ import { DEFAULT_MAP_PARAMS } from './mapconstants';
 
 /**
  * Gets map parameters from URL or parent frame
- * @returns {Promise<Object>} Map parameters (lat, lng, zoom, back, species)
+ * @returns {Promise<Object>} Map parameters (lat, lng, zoom, back, species, region)
  */
 export const getMapParamsFromUrl = () => {
   return new Promise((resolve) => {
@@ -49,7 +49,8 @@ export const getMapParamsFromUrl = () => {
           lng: parseFloat(params.get('lng')) || DEFAULT_MAP_PARAMS.lng,
           zoom: parseInt(params.get('zoom')) || DEFAULT_MAP_PARAMS.zoom,
           back: params.get('back') || DEFAULT_MAP_PARAMS.back,
-          species: params.get('species') || DEFAULT_MAP_PARAMS.species
+          species: params.get('species') || DEFAULT_MAP_PARAMS.species,
+          region: params.get('region') || DEFAULT_MAP_PARAMS.region
         });
       } catch(error) {
         debug.error('Error parsing URL parameters:', error);
@@ -75,7 +76,8 @@ export const getMapParamsFromUrl = () => {
             lng: parseFloat(params.get('lng')) || DEFAULT_MAP_PARAMS.lng,
             zoom: parseInt(params.get('zoom')) || DEFAULT_MAP_PARAMS.zoom,
             back: params.get('back') || DEFAULT_MAP_PARAMS.back,
-            species: params.get('species') || DEFAULT_MAP_PARAMS.species
+            species: params.get('species') || DEFAULT_MAP_PARAMS.species,
+            region: params.get('region') || DEFAULT_MAP_PARAMS.region
           });
         } catch(error) {
           debug.error('Error parsing URL parameters from iframe:', error);
@@ -101,7 +103,8 @@ export const getMapParamsFromUrl = () => {
 
 /**
  * Updates URL parameters in browser or notifies parent frame
- * @param {Object} params Parameters to update (lat, lng, zoom, back, species)
+ * @param {Object} params Parameters to update (lat, lng, zoom, back, species, region).
+ * Empty string values remove the parameter.
  */
 export const updateUrlParams = (params) => {
   try {
@@ -111,7 +114,9 @@ export const updateUrlParams = (params) => {
       // Update URL directly in standalone mode
       const url = new URL(window.location.href);
       Object.entries(params).forEach(([key, value]) => {
-        if (value !== undefined) {
+        if (value === '') {
+          url.searchParams.delete(key);
+        } else if (value !== undefined) {
           // Round coordinates to 6 decimal places for consistency
           let paramValue = (key === 'lat' || key === 'lng') 
             ? parseFloat(value.toFixed(6)) 
@@ -0,0 +1,274 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Reads and checks every server environment variable at
+* startup. Values come back typed (numbers, booleans, lists, absolute
+* paths) with defaults applied, and all problems are reported together.
+*
+* Dependencies: none
+*/
+
+const path = require('path');
+
+/**
+ * Startup configuration that can't be used
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string[]} problems - One message per invalid variable
+   */
+  constructor(problems) {
+    super(`Invalid server configuration:\n  ${problems.join('\n  ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * @typedef {Function} Parser
+ * Converts one raw environment value
+ * @param {string} raw - Value as set in the environment
+ * @param {string} baseDir - Directory relative paths are resolved from
+ * @returns {{value?: *, error?: string}} Typed value, or an error message
+ */
+
+/**
+ * Parser for a whole number within a range
+ * @param {number} min - Smallest allowed value
+ * @param {number} [max=Number.MAX_SAFE_INTEGER] - Largest allowed value
+ * @returns {Parser} Integer parser
+ */
+const integer = (min, max = Number.MAX_SAFE_INTEGER) => (raw) => {
+  const value = Number(raw);
+  if (!/^-?\d+$/.test(raw.trim()) || value < min || value > max) {
+    return {
+      error: max === Number.MAX_SAFE_INTEGER
+        ? `must be a whole number of at least ${min}`
+        : `must be a whole number from ${min} to ${max}`
+    };
+  }
+  return { value };
+};
+
+/**
+ * Parser for true/false
+ * @type {Parser}
+ */
+const boolean = (raw) => {
+  const value = raw.trim().toLowerCase();
+  if (value !== 'true' && value !== 'false') {
+    return { error: 'must be true or false' };
+  }
+  return { value: value === 'true' };
+};
+
+/**
+ * Parser for one of a fixed set of values
+ * @param {string[]} values - Allowed values
+ * @returns {Parser} Choice parser
+ */
+const oneOf = (values) => (raw) => {
+  const value = raw.trim().toLowerCase();
+  return values.includes(value) ? { value } : { error: `must be one of ${values.join(', ')}` };
+};
+
+/**
+ * Parser for an http(s) URL
+ * @type {Parser}
+ */
+const url = (raw) => {
+  try {
+    const parsed = new URL(raw.trim());
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+      return { value: raw.trim() };
+    }
+  } catch {
+    // Reported below
+  }
+  return { error: 'must be an http or https URL' };
+};
+
+/**
+ * Parser for a comma-separated list of browser origins
+ * @type {Parser}
+ */
+const origins = (raw) => {
+  const value = raw.split(',').map(origin => origin.trim()).filter(Boolean);
+  const invalid = value.filter(origin => url(origin).error || new URL(origin).origin !== origin.replace(/\/$/, ''));
+  if (invalid.length > 0) {
+    return { error: `must be comma-separated origins like http://localhost:5173, not ${invalid.join(', ')}` };
+  }
+  return { value: value.map(origin => origin.replace(/\/$/, '')) };
+};
+
+/**
+ * Parser for a file or directory path, resolved against the server folder
+ * @type {Parser}
+ */
+const filePath = (raw, baseDir) => ({ value: path.resolve(baseDir, raw.trim()) });
+
+/**
+ * Parser for free text
+ * @type {Parser}
+ */
+const text = (raw) => ({ value: raw.trim() });
+
+/**
+ * Every variable the server reads. Variables without a default are
+ * undefined when not set.
+ * @type {Object<string, {parse: Parser, default?: string}>}
+ */
+const CONFIG_SCHEMA = {
+  PORT: { parse: integer(1, 65535), default: '3000' },
+  ALLOWED_ORIGINS: { parse: origins, default: '' },
+  SERVER_DEBUG_LEVEL: { parse: oneOf(['0', '1', '2', '3', '4', 'off', 'error', 'warn', 'info', 'debug']), default: '0' },
+  CLIENT_DIST_DIR: { parse: filePath, default: '../client/dist' },
+  ACCESS_LOG: { parse: boolean, default: 'true' },
+  LOG_MAX_STRING_LENGTH: { parse: integer(100), default: '1000' },
+  METRICS_TOKEN: { parse: text },
+
+  EBIRD_API_KEY: { parse: text },
+  EBIRD_API_URL: { parse: url },
+  NOMINATIM_API_URL: { parse: url },
+  BIRDWEATHER_API_URL: { parse: url },
+  WIKIPEDIA_API_URL: { parse: url },
+  GEOCODER: { parse: oneOf(['nominatim', 'photon']), default: 'nominatim' },
+  PHOTON_API_URL: { parse: url },
+  GEOCODER_MIN_INTERVAL_MS: { parse: integer(0, 60000), default: '1000' },
+  GEOCODER_MAX_WAIT_MS: { parse: integer(0, 60000), default: '5000' },
+  SUGGEST_GEOCODER: { parse: oneOf(['off', 'nominatim', 'photon']), default: 'off' },
+  SUGGEST_MIN_INTERVAL_MS: { parse: integer(0, 60000), default: '200' },
+  SUGGEST_MAX_WAIT_MS: { parse: integer(0, 60000), default: '500' },
+  UPSTREAM_TIMEOUT_MS: { parse: integer(100, 120000), default: '10000' },
+  UPSTREAM_RETRIES: { parse: integer(0, 10), default: '2' },
+  UPSTREAM_MODE: { parse: oneOf(['live', 'record', 'replay']), default: 'live' },
+  UPSTREAM_FIXTURE_DIR: { parse: filePath, default: './data/recordings' },
+
+  CACHE_TTL_BIRDS: { parse: integer(0), default: '300' },
+  CACHE_TTL_REGION_SPECIES: { parse: integer(0), default: '86400' },
+  CACHE_TTL_HOTSPOTS: { parse: integer(0), default: '86400' },
+  CACHE_TTL_REGION_LIST: { parse: integer(0), default: '604800' },
+  CACHE_TTL_CHECKLIST: { parse: integer(0), default: '3600' },
+  CACHE_TTL_GEOCODE: { parse: integer(0), default: '604800' },
+  CACHE_MAX_ENTRIES: { parse: integer(1), default: '1000' },
+  CACHE_MAX_ENTRY_BYTES: { parse: integer(1024), default: '2097152' },
+
+  PHOTO_PROVIDER: { parse: oneOf(['off', 'birdweather', 'wikipedia']), default: 'birdweather' },
+  PHOTO_DB_PATH: { parse: filePath, default: './data/photos.db' },
+  PHOTO_CACHE_TTL: { parse: integer(0), default: '604800' },
+  PHOTO_MISS_TTL: { parse: integer(0), default: '86400' },
+  PHOTO_PROXY: { parse: boolean, default: 'false' },
+
+  BIRDS_MAX_TILES: { parse: integer(1, 100), default: '16' },
+  BIRDS_TILE_CONCURRENCY: { parse: integer(1, 16), default: '4' },
+
+  OBSERVATION_DB_PATH: { parse: filePath },
+
+  STREAM_POLL_INTERVAL: { parse: integer(10), default: '300' },
+  STREAM_MAX_CLIENTS: { parse: integer(1), default: '100' },
+
+  WATCH_DB_PATH: { parse: filePath },
+  WATCH_POLL_INTERVAL: { parse: integer(60), default: '900' },
+  WATCH_API_TOKEN: { parse: text },
+  WATCH_MAX_COUNT: { parse: integer(1), default: '50' },
+  WATCH_WEBHOOK_URL: { parse: url },
+  WATCH_LOG_FILE: { parse: filePath },
+  SMTP_HOST: { parse: text },
+  SMTP_PORT: { parse: integer(1, 65535), default: '587' },
+  SMTP_SECURE: { parse: boolean, default: 'false' },
+  SMTP_USER: { parse: text },
+  SMTP_PASS: { parse: text },
+  WATCH_EMAIL_FROM: { parse: text, default: 'bird-sightings-map@localhost' },
+  WATCH_EMAIL_TO: { parse: text }
+};
+
+/**
+ * Checks settings that depend on each other
+ * @param {Object} config - Parsed configuration
+ * @returns {{problems: string[], warnings: string[]}} Fatal problems and warnings
+ */
+const checkCombinations = (config) => {
+  const problems = [];
+  const warnings = [];
+
+  // Replay needs no key, and a custom eBird URL is usually the mock server
+  if (!config.EBIRD_API_KEY && config.UPSTREAM_MODE !== 'replay') {
+    if (config.EBIRD_API_URL) {
+      warnings.push('EBIRD_API_KEY is not set; eBird requests to EBIRD_API_URL are sent without a key');
+    } else {
+      problems.push('EBIRD_API_KEY is required (get one at https://ebird.org/api/keygen)');
+    }
+  }
+  if (config.GEOCODER === 'nominatim' && !config.NOMINATIM_API_URL && config.GEOCODER_MIN_INTERVAL_MS < 1000) {
+    warnings.push('GEOCODER_MIN_INTERVAL_MS is below 1000 while using the public Nominatim, whose usage policy allows one request per second');
+  }
+  if (config.SUGGEST_GEOCODER === 'nominatim' && !config.NOMINATIM_API_URL) {
+    problems.push('SUGGEST_GEOCODER=nominatim needs a self-hosted NOMINATIM_API_URL; the public Nominatim usage policy forbids autocomplete');
+  }
+  if (config.PHOTO_PROXY && config.PHOTO_PROVIDER === 'off') {
+    warnings.push('PHOTO_PROXY is set but PHOTO_PROVIDER=off, so there are no photos to proxy');
+  }
+  if (config.SMTP_HOST && !config.WATCH_EMAIL_TO) {
+    warnings.push('SMTP_HOST is set without WATCH_EMAIL_TO, so no email alerts are sent');
+  }
+  // Without a token anyone who can reach the server could add watches that poll eBird and send alerts
+  if (config.WATCH_DB_PATH && !config.WATCH_API_TOKEN) {
+    problems.push('WATCH_DB_PATH needs WATCH_API_TOKEN, the bearer token required to create, change or check watches');
+  }
+  if (!config.WATCH_DB_PATH && (config.WATCH_WEBHOOK_URL || config.WATCH_LOG_FILE || config.WATCH_EMAIL_TO)) {
+    warnings.push('Watch alert channels are configured but WATCH_DB_PATH is not set, so watches are disabled');
+  }
+
+  return { problems, warnings };
+};
+
+/**
+ * Reads the server configuration from the environment
+ * @param {Object} env - Environment variables
+ * @param {string} baseDir - Directory relative paths are resolved from
+ * @returns {{config: Object, warnings: string[]}} Typed settings keyed by variable name, and warnings
+ * @throws {ConfigError} If any variable is invalid or a required one is missing
+ */
+const loadConfig = (env, baseDir) => {
+  const config = {};
+  const problems = [];
+
+  Object.entries(CONFIG_SCHEMA).forEach(([name, spec]) => {
+    const raw = env[name] === undefined || env[name].trim() === '' ? spec.default : env[name];
+    if (raw === undefined) {
+      config[name] = undefined;
+      return;
+    }
+
+    const { value, error } = spec.parse(raw, baseDir);
+    if (error) {
+      problems.push(`${name} ${error} (got "${raw}")`);
+    } else {
+      config[name] = value;
+    }
+  });
+
+  const combinations = checkCombinations(config);
+  problems.push(...combinations.problems);
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return { config: Object.freeze(config), warnings: combinations.warnings };
+};
+
+module.exports = { loadConfig, ConfigError };
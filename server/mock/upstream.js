@@ -0,0 +1,494 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Mock upstream server for offline development and demos.
+* Serves eBird, Nominatim, Photon, BirdWeather and Wikipedia responses built from the fixtures
+* in mock/fixtures, plus placeholder photos and map tiles. Fixture dates are
+* shifted so the newest sighting is always today. Run with `npm run mock`.
+*
+* Dependencies: express, cors, utils/debug.js, utils/geo.js, mock/fixtures
+*/
+
+const express = require('express');
+const cors = require('cors');
+const { debug } = require('../utils/debug');
+const { calculateDistance } = require('../utils/geo');
+const observationFixtures = require('./fixtures/observations.json');
+const regionFixtures = require('./fixtures/regions.json');
+const placeFixtures = require('./fixtures/places.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields eBird only includes with detail=full
+const FULL_DETAIL_FIELDS = [
+  'subnational2Code', 'subnational2Name', 'subnational1Code', 'subnational1Name',
+  'countryCode', 'countryName', 'userDisplayName', 'obsId', 'checklistId',
+  'presenceNoted', 'hasComments', 'firstName', 'lastName', 'hasRichMedia', 'exoticCategory'
+];
+
+/**
+ * Moves a fixture timestamp forward by whole days
+ * @param {string} obsDt - "YYYY-MM-DD HH:mm"
+ * @param {number} days - Days to add
+ * @returns {string} Shifted "YYYY-MM-DD HH:mm"
+ */
+const shiftDate = (obsDt, days) =>
+  new Date(Date.parse(`${obsDt.replace(' ', 'T')}:00Z`) + days * DAY_MS)
+    .toISOString().slice(0, 16).replace('T', ' ');
+
+/**
+ * Builds full-detail eBird observation records from the fixtures, newest first
+ * @param {Object} fixtures - Parsed observations.json
+ * @returns {Object[]} Observation records
+ */
+const buildObservations = ({ locations, checklists, observations }) => {
+  const newest = Math.max(...Object.values(checklists).map(checklist =>
+    Date.parse(checklist.obsDt.slice(0, 10))));
+  const today = Date.parse(new Date().toISOString().slice(0, 10));
+  const shiftDays = Math.round((today - newest) / DAY_MS);
+
+  return observations.map((observation, index) => {
+    const checklist = checklists[observation.subId];
+    const location = locations[checklist.locId];
+    const [firstName, ...lastName] = checklist.userDisplayName.split(' ');
+    const record = {
+      speciesCode: observation.speciesCode,
+      comName: observation.comName,
+      sciName: observation.sciName,
+      locId: checklist.locId,
+      locName: location.locName,
+      obsDt: shiftDate(checklist.obsDt, shiftDays),
+      howMany: observation.howMany ?? undefined,
+      lat: location.lat,
+      lng: location.lng,
+      obsValid: true,
+      obsReviewed: Boolean(observation.obsReviewed),
+      locationPrivate: Boolean(location.locationPrivate),
+      subId: observation.subId,
+      subnational2Code: location.subnational2Code,
+      subnational2Name: location.subnational2Name,
+      subnational1Code: location.subnational2Code.slice(0, 5),
+      subnational1Name: regionFixtures.subnational1.US
+        .find(region => region.code === location.subnational2Code.slice(0, 5))?.name,
+      countryCode: 'US',
+      countryName: regionFixtures.countries.US,
+      userDisplayName: checklist.userDisplayName,
+      obsId: `OBS${String(1800000000 + index)}`,
+      checklistId: `CL${observation.subId.slice(1, 6)}`,
+      presenceNoted: observation.howMany === null,
+      hasComments: false,
+      firstName,
+      lastName: lastName.join(' '),
+      hasRichMedia: false,
+      exoticCategory: observation.exoticCategory
+    };
+    // Round trip drops undefined fields, which eBird leaves out
+    return JSON.parse(JSON.stringify(record));
+  }).sort((a, b) => b.obsDt.localeCompare(a.obsDt));
+};
+
+/**
+ * Keeps the most recent record for each distinct key
+ * @param {Object[]} records - Records ordered newest first
+ * @param {Function} keyOf - Returns a record's key
+ * @returns {Object[]} Latest record per key
+ */
+const latestBy = (records, keyOf) => {
+  const seen = new Set();
+  return records.filter(record => {
+    const key = keyOf(record);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Converts a Nominatim place fixture to a Photon GeoJSON feature
+ * @param {Object} place - Place from places.json
+ * @returns {Object} Photon feature
+ */
+const toPhotonFeature = (place) => {
+  const [minLat, maxLat, minLon, maxLon] = place.boundingbox.map(parseFloat);
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [parseFloat(place.lon), parseFloat(place.lat)] },
+    properties: {
+      osm_type: place.osm_type[0].toUpperCase(),
+      osm_id: place.osm_id,
+      osm_key: place.class,
+      osm_value: place.type,
+      type: place.addresstype || place.type,
+      name: place.display_name.split(',')[0],
+      city: place.address.city,
+      county: place.address.county,
+      state: place.address.state,
+      country: place.address.country,
+      countrycode: place.address.country_code.toUpperCase(),
+      extent: [minLon, maxLat, maxLon, minLat]
+    }
+  };
+};
+
+/**
+ * Finds the place fixtures whose name contains every search term
+ * @param {string} query - Search text
+ * @returns {Object[]} Matching places, most important first
+ */
+const searchPlaces = (query) => {
+  const terms = String(query || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+  return placeFixtures
+    .filter(place => terms.every(term => place.display_name.toLowerCase().includes(term)))
+    .sort((a, b) => b.importance - a.importance);
+};
+
+/**
+ * Finds the place fixture nearest a coordinate, within 50 km
+ * @param {string} lat - Latitude query parameter
+ * @param {string} lon - Longitude query parameter
+ * @returns {Object|null} Nearest place
+ */
+const nearestPlace = (lat, lon) => {
+  const nearest = placeFixtures
+    .map(place => ({
+      place,
+      distance: calculateDistance(parseFloat(lat), parseFloat(lon), parseFloat(place.lat), parseFloat(place.lon))
+    }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  return nearest && nearest.distance <= 50 ? nearest.place : null;
+};
+
+/**
+ * Draws a grey square labelled with a species name, standing in for a photo
+ * @param {string} label - Species name
+ * @param {number} size - Width and height in pixels
+ * @returns {string} SVG document
+ */
+const placeholderPhoto = (label, size) => (
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 100 100">` +
+  '<rect width="100" height="100" fill="#DAD9D9"/>' +
+  `<text x="50" y="54" font-size="8" text-anchor="middle" fill="#4B5563">${label.replace(/[<>&"]/g, '')}</text></svg>`
+);
+
+/**
+ * Creates the mock upstream app. eBird is served below /ebird/v2, Nominatim
+ * below /nominatim, Photon below /photon, BirdWeather below /birdweather,
+ * Wikipedia below /wikipedia and map tiles below /tiles.
+ * @returns {Object} Express app
+ */
+const createMockUpstream = () => {
+  const app = express();
+  const observations = buildObservations(observationFixtures);
+  const { locations, checklists, notable } = observationFixtures;
+
+  app.use(cors());
+  app.use(express.json());
+  app.use((req, res, next) => {
+    debug.debug('Mock upstream request:', req.method, req.originalUrl);
+    next();
+  });
+
+  /**
+   * Applies the filters shared by the eBird observation endpoints
+   * @param {Object[]} records - Candidate records
+   * @param {Object} query - Request query (back, detail, hotspot)
+   * @param {string[]} species - Species filter path segments after "recent"
+   * @returns {Object[]} Matching records
+   */
+  const filterObservations = (records, query, species) => {
+    const since = new Date(Date.now() - parseInt(query.back || '14') * DAY_MS).toISOString().slice(0, 10);
+    let matches = records.filter(record => record.obsDt.slice(0, 10) >= since);
+
+    if (query.hotspot === 'true') {
+      matches = matches.filter(record => locations[record.locId].isHotspot);
+    }
+
+    // eBird returns every notable report, but only the latest of other sightings
+    if (species[0] === 'notable') {
+      matches = matches.filter(record => notable.includes(record.speciesCode));
+    } else if (species[0]) {
+      matches = latestBy(matches.filter(record => record.speciesCode === species[0]), record => record.locId);
+    } else {
+      matches = latestBy(matches, record => record.speciesCode);
+    }
+
+    if (query.detail !== 'full') {
+      matches = matches.map(record => {
+        const simple = { ...record };
+        FULL_DETAIL_FIELDS.forEach(field => delete simple[field]);
+        return simple;
+      });
+    }
+    return matches;
+  };
+
+  const ebird = express.Router();
+
+  ebird.get('/data/obs/geo/recent/:species?', (req, res) => {
+    const { lat, lng, dist = '25' } = req.query;
+    const inRange = observations.filter(record =>
+      calculateDistance(parseFloat(lat), parseFloat(lng), record.lat, record.lng) <= parseFloat(dist));
+    res.json(filterObservations(inRange, req.query, [req.params.species].filter(Boolean)));
+  });
+
+  ebird.get('/data/nearest/geo/recent/:speciesCode', (req, res) => {
+    const { lat, lng, maxResults = '3000' } = req.query;
+    const byDistance = [...observations].sort((a, b) =>
+      calculateDistance(parseFloat(lat), parseFloat(lng), a.lat, a.lng) -
+      calculateDistance(parseFloat(lat), parseFloat(lng), b.lat, b.lng));
+    res.json(filterObservations(byDistance, req.query, [req.params.speciesCode])
+      .slice(0, parseInt(maxResults)));
+  });
+
+  ebird.get('/data/obs/:regionCode/recent/:species?', (req, res) => {
+    const { regionCode } = req.params;
+    const inRegion = observations.filter(record =>
+      `${locations[record.locId].subnational2Code}`.startsWith(regionCode));
+    res.json(filterObservations(inRegion, req.query, [req.params.species].filter(Boolean)));
+  });
+
+  ebird.get('/ref/hotspot/geo', (req, res) => {
+    const { lat, lng, dist = '25' } = req.query;
+    const hotspots = Object.entries(locations)
+      .filter(([, location]) => location.isHotspot &&
+        calculateDistance(parseFloat(lat), parseFloat(lng), location.lat, location.lng) <= parseFloat(dist))
+      .map(([locId, location]) => ({
+        locId,
+        locName: location.locName,
+        countryCode: 'US',
+        subnational1Code: location.subnational2Code.slice(0, 5),
+        subnational2Code: location.subnational2Code,
+        lat: location.lat,
+        lng: location.lng,
+        latestObsDt: observations.find(record => record.locId === locId)?.obsDt,
+        numSpeciesAllTime: location.numSpeciesAllTime
+      }));
+    res.json(hotspots);
+  });
+
+  ebird.get('/ref/hotspot/info/:locId', (req, res) => {
+    const { locId } = req.params;
+    const location = locations[locId];
+    if (!location?.isHotspot) {
+      return res.status(404).json({ errors: [{ status: '404', title: `No hotspot ${locId}` }] });
+    }
+
+    const subnational1Code = location.subnational2Code.slice(0, 5);
+    const subnational1Name = regionFixtures.subnational1.US.find(region => region.code === subnational1Code)?.name;
+    res.json({
+      locId,
+      name: location.locName,
+      latitude: location.lat,
+      longitude: location.lng,
+      countryCode: 'US',
+      countryName: regionFixtures.countries.US,
+      subnational1Name,
+      subnational1Code,
+      subnational2Code: location.subnational2Code,
+      subnational2Name: location.subnational2Name,
+      isHotspot: true,
+      locName: location.locName,
+      lat: location.lat,
+      lng: location.lng,
+      hierarchicalName: `${location.locName}, ${location.subnational2Name}, ${subnational1Name}, US`,
+      locID: locId
+    });
+  });
+
+  ebird.get('/ref/region/info/:regionCode', (req, res) => {
+    const { regionCode } = req.params;
+    const [country, state] = regionCode.split('-');
+    const names = [
+      regionFixtures.subnational2[`${country}-${state}`]?.find(region => region.code === regionCode)?.name,
+      regionFixtures.subnational1[country]?.find(region => region.code === `${country}-${state}`)?.name,
+      regionFixtures.countries[country]
+    ];
+    const levels = regionCode.split('-').length;
+    if (names.slice(3 - levels).some(name => !name)) {
+      return res.status(404).json({ errors: [{ status: '404', title: `No region ${regionCode}` }] });
+    }
+
+    // Bounds of the fixture locations in the region, padded a little
+    const inRegion = Object.values(locations).filter(location => location.subnational2Code.startsWith(regionCode));
+    const lats = inRegion.map(location => location.lat);
+    const lngs = inRegion.map(location => location.lng);
+    res.json({
+      result: names.slice(3 - levels).join(', '),
+      ...(inRegion.length > 0 && {
+        bounds: {
+          minX: Number((Math.min(...lngs) - 0.1).toFixed(4)),
+          maxX: Number((Math.max(...lngs) + 0.1).toFixed(4)),
+          minY: Number((Math.min(...lats) - 0.1).toFixed(4)),
+          maxY: Number((Math.max(...lats) + 0.1).toFixed(4))
+        }
+      })
+    });
+  });
+
+  ebird.get('/ref/region/list/:regionType/:parentCode', (req, res) => {
+    const { regionType, parentCode } = req.params;
+    res.json(regionFixtures[regionType]?.[parentCode] || []);
+  });
+
+  ebird.get('/product/spplist/:regionCode', (req, res) => {
+    const codes = observations
+      .filter(record => record.subnational2Code.startsWith(req.params.regionCode))
+      .map(record => record.speciesCode);
+    res.json([...new Set(codes)].sort());
+  });
+
+  ebird.get('/product/checklist/view/:subId', (req, res) => {
+    const { subId } = req.params;
+    const checklist = checklists[subId];
+    if (!checklist) {
+      return res.status(404).json({ errors: [{ status: '404', title: `No checklist ${subId}` }] });
+    }
+
+    const obs = observations.filter(record => record.subId === subId);
+    res.json({
+      projId: 'EBIRD',
+      subId,
+      protocolId: checklist.protocolId,
+      locId: checklist.locId,
+      durationHrs: checklist.durationHrs,
+      allObsReported: true,
+      obsDt: obs[0].obsDt,
+      obsTimeValid: true,
+      checklistId: obs[0].checklistId,
+      numObservers: checklist.numObservers,
+      effortDistanceKm: checklist.effortDistanceKm,
+      subnational1Code: obs[0].subnational1Code,
+      submissionMethodCode: 'EBIRD_iOS',
+      userDisplayName: checklist.userDisplayName,
+      numSpecies: obs.length,
+      obs: obs.map(record => ({
+        speciesCode: record.speciesCode,
+        hideFlags: [],
+        obsDt: record.obsDt,
+        subnational1Code: record.subnational1Code,
+        howManyAtmost: record.howMany,
+        howManyAtleast: record.howMany,
+        howManyStr: record.howMany === undefined ? 'X' : String(record.howMany),
+        present: record.howMany === undefined,
+        projId: 'EBIRD',
+        subId,
+        obsId: record.obsId
+      }))
+    });
+  });
+
+  app.use('/ebird/v2', ebird);
+
+  app.get('/nominatim/search', (req, res) => {
+    const limit = parseInt(req.query.limit) || 10;
+    res.json(searchPlaces(req.query.q).slice(0, limit));
+  });
+
+  app.get('/nominatim/reverse', (req, res) => {
+    const place = nearestPlace(req.query.lat, req.query.lon);
+
+    // Nominatim answers 200 with an error body when nothing is near
+    if (!place) {
+      return res.json({ error: 'Unable to geocode' });
+    }
+    res.json(place);
+  });
+
+  app.get('/photon/api', (req, res) => {
+    const limit = parseInt(req.query.limit) || 15;
+    res.json({ type: 'FeatureCollection', features: searchPlaces(req.query.q).slice(0, limit).map(toPhotonFeature) });
+  });
+
+  app.get('/photon/reverse', (req, res) => {
+    const place = nearestPlace(req.query.lat, req.query.lon);
+    res.json({ type: 'FeatureCollection', features: place ? [toPhotonFeature(place)] : [] });
+  });
+
+  app.post('/birdweather/api/v1/species/lookup', (req, res) => {
+    const baseUrl = `${req.protocol}://${req.get('host')}/birdweather/images`;
+    const species = {};
+    (req.body.species || []).forEach(key => {
+      const imageUrl = `${baseUrl}/${encodeURIComponent(key)}.svg`;
+      species[key] = { imageUrl, thumbnailUrl: `${imageUrl}?size=thumb` };
+    });
+    res.json({ species });
+  });
+
+  app.get('/birdweather/images/:key.svg', (req, res) => {
+    const [, comName = req.params.key] = req.params.key.split('_');
+    res.type('image/svg+xml').send(placeholderPhoto(comName, req.query.size === 'thumb' ? 100 : 400));
+  });
+
+  // Wikipedia page images, found by scientific name through a redirect to
+  // the article named after the common name, as on the real site
+  app.get('/wikipedia/w/api.php', (req, res) => {
+    const baseUrl = `${req.protocol}://${req.get('host')}/wikipedia/images`;
+    const thumbSize = parseInt(req.query.pithumbsize) || 50;
+    const titles = String(req.query.titles || '').split('|').filter(Boolean);
+    const normalized = [];
+    const redirects = [];
+    const pages = [];
+
+    titles.forEach(title => {
+      const canonical = title.charAt(0).toUpperCase() + title.slice(1);
+      if (canonical !== title) {
+        normalized.push({ fromencoded: false, from: title, to: canonical });
+      }
+      const species = observationFixtures.observations.find(record => record.sciName === canonical);
+      if (!species) {
+        pages.push({ ns: 0, title: canonical, missing: true });
+        return;
+      }
+
+      redirects.push({ from: canonical, to: species.comName });
+      const imageUrl = `${baseUrl}/${encodeURIComponent(species.comName)}.svg`;
+      pages.push({
+        pageid: pages.length + 1,
+        ns: 0,
+        title: species.comName,
+        thumbnail: { source: `${imageUrl}?width=${thumbSize}`, width: thumbSize, height: thumbSize },
+        original: { source: imageUrl, width: 400, height: 400 }
+      });
+    });
+
+    res.json({ batchcomplete: true, query: { normalized, redirects, pages } });
+  });
+
+  app.get('/wikipedia/images/:title.svg', (req, res) => {
+    res.type('image/svg+xml').send(placeholderPhoto(req.params.title, parseInt(req.query.width) || 400));
+  });
+
+  app.get('/tiles/:z/:x/:y.svg', (req, res) => {
+    const { z, x, y } = req.params;
+    res.type('image/svg+xml').send(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256">' +
+      '<rect width="256" height="256" fill="#EEF2F3" stroke="#CBD5E1"/>' +
+      `<text x="8" y="20" font-size="12" fill="#94A3B8">${parseInt(z)}/${parseInt(x)}/${parseInt(y)}</text></svg>`
+    );
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_UPSTREAM_PORT || '3100');
+  createMockUpstream().listen(port, () => {
+    debug.info(`Mock upstream running on port ${port}`);
+  });
+}
+
+module.exports = { createMockUpstream };
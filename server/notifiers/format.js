@@ -0,0 +1,58 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Text formatting shared by the rare-bird alert notifiers.
+*
+* Dependencies: none
+*/
+
+/**
+ * Builds the subject line for an alert
+ * @param {Object} watch - Watch the sightings were found for
+ * @param {Object[]} sightings - New eBird observation records
+ * @returns {string} Subject such as "3 new rare birds in Monterey Bay"
+ */
+const formatSubject = (watch, sightings) =>
+  `${sightings.length} new rare ${sightings.length === 1 ? 'bird' : 'birds'} in ${watch.name}`;
+
+/**
+ * Describes one sighting on a single line
+ * @param {Object} sighting - eBird observation record
+ * @returns {string} Species, count, location, date and checklist link
+ */
+const formatSighting = (sighting) => [
+  sighting.comName,
+  sighting.howMany ? `(${sighting.howMany})` : null,
+  `at ${sighting.locName}`,
+  `on ${sighting.obsDt}`,
+  sighting.obsReviewed ? (sighting.obsValid ? '[confirmed]' : '[not accepted]') : '[unreviewed]',
+  `https://ebird.org/checklist/${sighting.subId}`
+].filter(Boolean).join(' ');
+
+/**
+ * Builds the plain text body for an alert
+ * @param {Object} watch - Watch the sightings were found for
+ * @param {Object[]} sightings - New eBird observation records
+ * @returns {string} One line per sighting under the subject
+ */
+const formatAlertText = (watch, sightings) => [
+  formatSubject(watch, sightings),
+  '',
+  ...sightings.map(formatSighting)
+].join('\n');
+
+module.exports = { formatSubject, formatSighting, formatAlertText };
@@ -0,0 +1,67 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Builds the rare-bird alert notifiers configured in the
+* server configuration. Every notifier has a name and an async send(watch, sightings)
+* method, so new delivery channels can be added alongside these.
+*
+* Dependencies: utils/debug.js, notifiers/webhook.js, notifiers/smtp.js,
+* notifiers/logFile.js
+*/
+
+const { debug } = require('../utils/debug');
+const { WebhookNotifier } = require('./webhook');
+const { SmtpNotifier } = require('./smtp');
+const { LogFileNotifier } = require('./logFile');
+
+/**
+ * Creates a notifier for each configured channel
+ * @param {Object} config - Server configuration from loadConfig
+ * @returns {Object[]} Notifiers with name and send(watch, sightings)
+ */
+const createNotifiers = (config) => {
+  const notifiers = [];
+
+  if (config.WATCH_WEBHOOK_URL) {
+    notifiers.push(new WebhookNotifier({
+      url: config.WATCH_WEBHOOK_URL,
+      timeoutMs: config.UPSTREAM_TIMEOUT_MS
+    }));
+  }
+
+  if (config.SMTP_HOST && config.WATCH_EMAIL_TO) {
+    notifiers.push(new SmtpNotifier({
+      host: config.SMTP_HOST,
+      port: config.SMTP_PORT,
+      secure: config.SMTP_SECURE,
+      user: config.SMTP_USER,
+      pass: config.SMTP_PASS,
+      from: config.WATCH_EMAIL_FROM,
+      to: config.WATCH_EMAIL_TO,
+      timeoutMs: config.UPSTREAM_TIMEOUT_MS
+    }));
+  }
+
+  if (config.WATCH_LOG_FILE) {
+    notifiers.push(new LogFileNotifier({ filePath: config.WATCH_LOG_FILE }));
+  }
+
+  debug.info('Configured alert notifiers:', notifiers.map(notifier => notifier.name));
+  return notifiers;
+};
+
+module.exports = { createNotifiers };
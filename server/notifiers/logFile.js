@@ -0,0 +1,63 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Rare-bird alert notifier that appends new sightings to a log
+* file, one JSON line per sighting.
+*
+* Dependencies: fs, path, utils/debug.js, notifiers/format.js
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { debug } = require('../utils/debug');
+const { formatSighting } = require('./format');
+
+/**
+ * Writes alerts to a file
+ */
+class LogFileNotifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - File to append alerts to
+   */
+  constructor({ filePath }) {
+    this.name = 'log';
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  /**
+   * Appends a line per sighting
+   * @param {Object} watch - Watch the sightings were found for
+   * @param {Object[]} sightings - New eBird observation records
+   */
+  async send(watch, sightings) {
+    debug.debug('Logging alert:', { watch: watch.id, count: sightings.length });
+
+    const loggedAt = new Date().toISOString();
+    const lines = sightings.map(sighting => JSON.stringify({
+      loggedAt,
+      watch: { id: watch.id, name: watch.name },
+      text: formatSighting(sighting),
+      sighting
+    }));
+
+    await fs.promises.appendFile(this.filePath, lines.join('\n') + '\n');
+  }
+}
+
+module.exports = { LogFileNotifier };
@@ -0,0 +1,77 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Rare-bird alert notifier that emails new sightings through an
+* SMTP server.
+*
+* Dependencies: nodemailer, utils/debug.js, notifiers/format.js
+*/
+
+const nodemailer = require('nodemailer');
+const { debug } = require('../utils/debug');
+const { formatSubject, formatAlertText } = require('./format');
+
+/**
+ * Sends alerts by email
+ */
+class SmtpNotifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - SMTP server host
+   * @param {number} options.port - SMTP server port
+   * @param {boolean} options.secure - Whether to connect with TLS
+   * @param {string} [options.user] - Login user, if the server requires one
+   * @param {string} [options.pass] - Login password
+   * @param {string} options.from - Sender address
+   * @param {string} options.to - Recipient address(es), comma separated
+   * @param {number} [options.timeoutMs=10000] - Time allowed to connect and for each reply from the server
+   */
+  constructor({ host, port, secure, user, pass, from, to, timeoutMs = 10000 }) {
+    this.name = 'email';
+    this.from = from;
+    this.to = to;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+      // nodemailer waits minutes by default, holding up every later check
+      connectionTimeout: timeoutMs,
+      greetingTimeout: timeoutMs,
+      socketTimeout: timeoutMs
+    });
+  }
+
+  /**
+   * Emails a plain text summary of the sightings
+   * @param {Object} watch - Watch the sightings were found for
+   * @param {Object[]} sightings - New eBird observation records
+   * @throws {Error} If the SMTP server rejects the message or doesn't answer in time
+   */
+  async send(watch, sightings) {
+    debug.debug('Emailing alert:', { watch: watch.id, count: sightings.length });
+
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: formatSubject(watch, sightings),
+      text: formatAlertText(watch, sightings)
+    });
+  }
+}
+
+module.exports = { SmtpNotifier };
@@ -0,0 +1,80 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Rare-bird alert notifier that POSTs new sightings as JSON to
+* a webhook URL.
+*
+* Dependencies: node-fetch, utils/debug.js, notifiers/format.js
+*/
+
+const { debug } = require('../utils/debug');
+const { formatAlertText } = require('./format');
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+/**
+ * Sends alerts to a webhook
+ */
+class WebhookNotifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - URL to POST alerts to
+   * @param {number} [options.timeoutMs=10000] - Time allowed for the webhook to answer
+   */
+  constructor({ url, timeoutMs = 10000 }) {
+    this.name = 'webhook';
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Posts the watch, a text summary and the raw sightings
+   * @param {Object} watch - Watch the sightings were found for
+   * @param {Object[]} sightings - New eBird observation records
+   * @throws {Error} If the webhook does not accept the request or answer in time
+   */
+  async send(watch, sightings) {
+    debug.debug('Posting alert to webhook:', { watch: watch.id, count: sightings.length });
+
+    // A webhook that never answers would otherwise hold up every later check
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          watch: { id: watch.id, name: watch.name },
+          text: formatAlertText(watch, sightings),
+          sightings
+        }),
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw error.name === 'AbortError' ? new Error('Webhook did not respond in time') : error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with status ${response.status}`);
+    }
+  }
+}
+
+module.exports = { WebhookNotifier };
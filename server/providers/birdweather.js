@@ -0,0 +1,64 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: BirdWeather client for species photo lookups.
+*
+* Dependencies: utils/debug.js, utils/urls.js, utils/upstream.js
+*/
+
+const { debug } = require('../utils/debug');
+const { buildUrl } = require('../utils/urls');
+const { fetchJson } = require('../utils/upstream');
+
+const BIRDWEATHER_BASE_URL = 'https://app.birdweather.com';
+
+/**
+ * BirdWeather API client
+ */
+class BirdweatherProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] - Site base URL, e.g. a mock server
+   * @param {Object} [options.requestOptions] - Timeout, retry and recorder options for fetchJson
+   */
+  constructor({ baseUrl, requestOptions = {} } = {}) {
+    this.name = 'birdweather';
+    this.baseUrl = baseUrl || BIRDWEATHER_BASE_URL;
+    this.requestOptions = requestOptions;
+  }
+
+  /**
+   * Looks up photos for a batch of species
+   * @param {string[]} species - Species names as shown on the map ("Scientific name_Common name")
+   * @returns {Promise<Object>} Map of species name to {imageUrl, thumbnailUrl}
+   * @throws {UpstreamError} If the API request fails
+   */
+  async lookupPhotos(species) {
+    debug.debug('Constructing species photo request:', species.length);
+
+    const data = await fetchJson(buildUrl(this.baseUrl, ['api', 'v1', 'species', 'lookup']), {
+      service: 'BirdWeather',
+      method: 'POST',
+      body: { species, fields: ['imageUrl', 'thumbnailUrl'] },
+      ...this.requestOptions
+    });
+    debug.info('Successfully parsed species photos:', Object.keys(data.species || {}).length);
+    return data.species || {};
+  }
+}
+
+module.exports = { BirdweatherProvider, BIRDWEATHER_BASE_URL };
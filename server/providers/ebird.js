@@ -0,0 +1,225 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: eBird API v2 client. Each method makes one upstream request
+* and returns the parsed response as eBird sends it.
+*
+* Dependencies: utils/debug.js, utils/urls.js, utils/upstream.js
+*/
+
+const { debug } = require('../utils/debug');
+const { buildUrl } = require('../utils/urls');
+const { fetchJson, UpstreamError } = require('../utils/upstream');
+
+const EBIRD_BASE_URL = 'https://api.ebird.org/v2';
+
+/**
+ * Maps a species filter to the eBird recent observations endpoint path
+ * @param {string} species 'recent', 'rare' or an eBird species code
+ * @returns {string[]} Endpoint path segments below the geo or region path
+ */
+const getObservationEndpoint = (species) => {
+  if (species === 'rare') return ['recent', 'notable'];
+  if (species === 'recent') return ['recent'];
+  return ['recent', species];
+};
+
+/**
+ * eBird API v2 client
+ */
+class EbirdProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] - API base URL, e.g. a mock server
+   * @param {string} [options.apiKey] - eBird API key, not sent when empty
+   * @param {Object} [options.requestOptions] - Timeout and retry options for fetchJson
+   */
+  constructor({ baseUrl, apiKey, requestOptions = {} } = {}) {
+    this.baseUrl = baseUrl || EBIRD_BASE_URL;
+    this.apiKey = apiKey;
+    this.requestOptions = requestOptions;
+  }
+
+  /**
+   * Makes a request below the base URL
+   * @param {string[]} segments - Path segments
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<*>} Parsed response body
+   * @throws {UpstreamError} If the request fails
+   */
+  request(segments, params) {
+    return fetchJson(buildUrl(this.baseUrl, segments, params), {
+      service: 'eBird',
+      headers: this.apiKey ? { 'x-ebirdapitoken': this.apiKey } : {},
+      ...this.requestOptions
+    });
+  }
+
+  /**
+   * Recent sightings within a radius of a point
+   * @param {Object} query - lat, lng, dist, species, back, detail, hotspot
+   * @returns {Promise<Object[]>} eBird observation records
+   */
+  async recentObservations({ lat, lng, dist, species = 'recent', back = '7', detail = 'simple', hotspot = 'false' }) {
+    const endpoint = getObservationEndpoint(species);
+
+    debug.debug('Constructing eBird request:', {
+      endpoint: endpoint.join('/'),
+      species,
+      coordinates: { lat, lng },
+      distance: dist,
+      lookback: back,
+      detail,
+      hotspotsOnly: hotspot
+    });
+
+    const data = await this.request(['data', 'obs', 'geo', ...endpoint], {
+      lat, lng, dist, detail, hotspot, back
+    });
+    debug.info('Successfully parsed bird records:', data.length);
+    return data;
+  }
+
+  /**
+   * Recent sightings in an eBird region (country, state or county)
+   * @param {string} regionCode - eBird region code (e.g., "US-CA-087")
+   * @param {Object} query - species, back, detail, hotspot
+   * @returns {Promise<Object[]>} eBird observation records
+   */
+  async regionObservations(regionCode, { species = 'recent', back = '7', detail = 'simple', hotspot = 'false' }) {
+    const endpoint = getObservationEndpoint(species);
+
+    debug.debug('Constructing eBird region request:', {
+      endpoint: endpoint.join('/'),
+      region: regionCode,
+      species,
+      lookback: back,
+      detail,
+      hotspotsOnly: hotspot
+    });
+
+    const data = await this.request(['data', 'obs', regionCode, ...endpoint], {
+      detail, hotspot, back
+    });
+    debug.info('Successfully parsed region bird records:', data.length);
+    return data;
+  }
+
+  /**
+   * The most recent reports of a species closest to a point, with no distance limit
+   * @param {string} speciesCode - eBird species code (e.g., "amerob")
+   * @param {Object} query - lat, lng, back, maxResults, hotspot
+   * @returns {Promise<Object[]>} Sightings ordered by distance from the point
+   */
+  async nearestObservations(speciesCode, { lat, lng, back, maxResults, hotspot }) {
+    debug.debug('Constructing nearest sighting request:', { speciesCode, lat, lng, back, maxResults, hotspot });
+
+    const data = await this.request(['data', 'nearest', 'geo', 'recent', speciesCode], {
+      lat, lng, back, maxResults, hotspot
+    });
+    debug.info('Successfully parsed nearest bird records:', data.length);
+    return data;
+  }
+
+  /**
+   * Hotspots within a radius of a point
+   * @param {Object} query - lat, lng, dist and optionally back (days since last visit)
+   * @returns {Promise<Object[]>} Hotspot records
+   */
+  async hotspots({ lat, lng, dist, back }) {
+    debug.debug('Constructing hotspot request:', { lat, lng, dist, back });
+
+    const data = await this.request(['ref', 'hotspot', 'geo'], {
+      lat, lng, dist, fmt: 'json', back
+    });
+    debug.info('Successfully parsed hotspot records:', data.length);
+    return data;
+  }
+
+  /**
+   * Sub-regions of an eBird region
+   * @param {string} regionType - 'subnational1' (states) or 'subnational2' (counties)
+   * @param {string} parentCode - Parent region code (e.g., "US" or "US-CA")
+   * @returns {Promise<Array<{code: string, name: string}>>} Sub-region codes and names
+   */
+  async regionList(regionType, parentCode) {
+    debug.debug('Constructing region list request:', { regionType, parentCode });
+
+    const data = await this.request(['ref', 'region', 'list', regionType, parentCode]);
+    debug.info('Successfully parsed region list:', data.length);
+    return data;
+  }
+
+  /**
+   * A region's full name and bounds
+   * @param {string} regionCode - eBird region code (e.g., "US-CA-087")
+   * @returns {Promise<Object>} Region name (result) and bounds (minX, maxX, minY, maxY)
+   */
+  async regionInfo(regionCode) {
+    debug.debug('Constructing region info request:', regionCode);
+
+    const data = await this.request(['ref', 'region', 'info', regionCode], { regionNameFormat: 'detailed' });
+    debug.info('Successfully parsed region info:', data?.result);
+    return data;
+  }
+
+  /**
+   * A hotspot's name, location and regions
+   * @param {string} locId - eBird location ID (e.g., "L123456")
+   * @returns {Promise<Object>} Hotspot record
+   * @throws {UpstreamError} notFound if eBird has no hotspot with this ID
+   */
+  async hotspotInfo(locId) {
+    debug.debug('Constructing hotspot info request:', locId);
+
+    const data = await this.request(['ref', 'hotspot', 'info', locId]);
+    // A success without a hotspot record means there's nothing to show either
+    if (!data?.locId) {
+      throw new UpstreamError('notFound', `No eBird hotspot ${locId}`);
+    }
+    debug.info('Successfully parsed hotspot info:', data.locId);
+    return data;
+  }
+
+  /**
+   * Codes of every species ever reported in a region
+   * @param {string} regionCode - eBird region code (e.g., "US-CA")
+   * @returns {Promise<string[]>} eBird species codes
+   */
+  async speciesList(regionCode) {
+    debug.debug('Constructing region species request:', regionCode);
+
+    const data = await this.request(['product', 'spplist', regionCode]);
+    debug.info('Successfully parsed species records:', data.length);
+    return data;
+  }
+
+  /**
+   * A single checklist with its effort details and observations
+   * @param {string} subId - eBird checklist ID (e.g., "S123456789")
+   * @returns {Promise<Object>} Checklist
+   */
+  async checklist(subId) {
+    debug.debug('Constructing checklist request:', subId);
+
+    const data = await this.request(['product', 'checklist', 'view', subId]);
+    debug.info('Successfully parsed checklist observations:', data.obs?.length);
+    return data;
+  }
+}
+
+module.exports = { EbirdProvider, EBIRD_BASE_URL };
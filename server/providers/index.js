@@ -0,0 +1,156 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Builds the upstream API clients from the server configuration. Base
+* URLs can point at a self-hosted service or the bundled mock server, and
+* UPSTREAM_MODE can record or replay every client's traffic. Geocoding and
+* type-ahead suggestions go to Nominatim or Photon, spaced out across all
+* clients of this server. Species photos come from BirdWeather or Wikipedia.
+*
+* Dependencies: utils/debug.js, utils/recorder.js, utils/throttle.js,
+* providers/ebird.js, providers/nominatim.js, providers/photon.js,
+* providers/birdweather.js, providers/wikipedia.js
+*/
+
+const { debug } = require('../utils/debug');
+const { createRecorder } = require('../utils/recorder');
+const { UpstreamThrottle } = require('../utils/throttle');
+const { EbirdProvider } = require('./ebird');
+const { NominatimProvider } = require('./nominatim');
+const { PhotonProvider } = require('./photon');
+const { BirdweatherProvider } = require('./birdweather');
+const { WikipediaProvider } = require('./wikipedia');
+
+// Names used in throttle messages and metrics
+const GEOCODER_NAMES = { nominatim: 'Nominatim', photon: 'Photon' };
+
+/**
+ * Creates a Nominatim or Photon client
+ * @param {string} backend - 'nominatim' or 'photon'
+ * @param {Object} config - Server configuration from loadConfig
+ * @param {Object} requestOptions - fetchJson options
+ * @returns {NominatimProvider|PhotonProvider} Geocoding client
+ */
+const createGeocoder = (backend, config, requestOptions) => (backend === 'photon'
+  ? new PhotonProvider({ baseUrl: config.PHOTON_API_URL, requestOptions })
+  : new NominatimProvider({ baseUrl: config.NOMINATIM_API_URL, requestOptions }));
+
+/**
+ * Creates the server-wide queue for one geocoding service. Replayed
+ * responses aren't throttled.
+ * @param {string} backend - 'nominatim' or 'photon'
+ * @param {number} minIntervalMs - Least time between requests, 0 for no queue
+ * @param {number} maxWaitMs - Longest a request may wait
+ * @param {Object} requestOptions - Shared fetchJson options
+ * @returns {UpstreamThrottle|undefined} Throttle, if requests are spaced out
+ */
+const createThrottle = (backend, minIntervalMs, maxWaitMs, requestOptions) => (
+  requestOptions.recorder?.mode === 'replay' || minIntervalMs === 0
+    ? undefined
+    : new UpstreamThrottle({ name: GEOCODER_NAMES[backend], minIntervalMs, maxWaitMs })
+);
+
+/**
+ * Creates the geocoding client chosen by GEOCODER and the type-ahead client
+ * chosen by SUGGEST_GEOCODER. Geocoding requests are spaced
+ * GEOCODER_MIN_INTERVAL_MS apart for the whole server, as the public
+ * Nominatim usage policy asks.
+ * @param {Object} config - Server configuration from loadConfig
+ * @param {Object} requestOptions - Shared fetchJson options
+ * @returns {{geocoder: NominatimProvider|PhotonProvider, suggester: NominatimProvider|PhotonProvider|null}}
+ * Geocoding client, and the suggestion client unless suggestions are off
+ */
+const createGeocoders = (config, requestOptions) => {
+  const throttle = createThrottle(
+    config.GEOCODER, config.GEOCODER_MIN_INTERVAL_MS, config.GEOCODER_MAX_WAIT_MS, requestOptions
+  );
+  const geocoder = createGeocoder(config.GEOCODER, config, { ...requestOptions, throttle });
+
+  if (config.SUGGEST_GEOCODER === 'off') {
+    return { geocoder, suggester: null };
+  }
+
+  // Suggestions to the same service join the geocoder's queue. They give up
+  // sooner and aren't retried, since a suggestion is stale once the user types on.
+  const suggestThrottle = config.SUGGEST_GEOCODER === config.GEOCODER
+    ? throttle?.withMaxWait(config.SUGGEST_MAX_WAIT_MS)
+    : createThrottle(
+      config.SUGGEST_GEOCODER, config.SUGGEST_MIN_INTERVAL_MS, config.SUGGEST_MAX_WAIT_MS, requestOptions
+    );
+  const suggester = createGeocoder(config.SUGGEST_GEOCODER, config, {
+    ...requestOptions,
+    retries: 0,
+    throttle: suggestThrottle
+  });
+
+  return { geocoder, suggester };
+};
+
+/**
+ * Creates the species photo client chosen by PHOTO_PROVIDER. Any object with
+ * a name and a lookupPhotos(species) method returning a map of species name
+ * to {imageUrl, thumbnailUrl} can serve as one.
+ * @param {Object} config - Server configuration from loadConfig
+ * @param {Object} requestOptions - Shared fetchJson options
+ * @returns {BirdweatherProvider|WikipediaProvider|null} Photo client, or null when photos are off
+ */
+const createPhotoProvider = (config, requestOptions) => {
+  if (config.PHOTO_PROVIDER === 'wikipedia') {
+    return new WikipediaProvider({ baseUrl: config.WIKIPEDIA_API_URL, requestOptions });
+  }
+  if (config.PHOTO_PROVIDER === 'birdweather') {
+    return new BirdweatherProvider({ baseUrl: config.BIRDWEATHER_API_URL, requestOptions });
+  }
+  return null;
+};
+
+/**
+ * Creates the eBird, geocoding and species photo clients
+ * @param {Object} config - Server configuration from loadConfig
+ * @returns {{ebird: EbirdProvider, geocoder: NominatimProvider|PhotonProvider,
+ * suggester: NominatimProvider|PhotonProvider|null,
+ * photoProvider: BirdweatherProvider|WikipediaProvider|null}} Upstream clients
+ */
+const createProviders = (config) => {
+  const recorder = createRecorder(config);
+
+  // Time allowed for each upstream attempt, and retries for transient failures.
+  // A replayed response is the same on every attempt, so it isn't retried.
+  const requestOptions = {
+    timeoutMs: config.UPSTREAM_TIMEOUT_MS,
+    retries: recorder?.mode === 'replay' ? 0 : config.UPSTREAM_RETRIES,
+    recorder
+  };
+
+  const ebird = new EbirdProvider({
+    baseUrl: config.EBIRD_API_URL,
+    apiKey: config.EBIRD_API_KEY,
+    requestOptions
+  });
+  const { geocoder, suggester } = createGeocoders(config, requestOptions);
+  const photoProvider = createPhotoProvider(config, requestOptions);
+
+  debug.info('Upstream providers:', {
+    ebird: ebird.baseUrl,
+    [geocoder.name]: geocoder.baseUrl,
+    suggestions: suggester ? `${suggester.name} ${suggester.baseUrl}` : 'off',
+    photos: photoProvider ? `${photoProvider.name} ${photoProvider.baseUrl}` : 'off'
+  });
+  return { ebird, geocoder, suggester, photoProvider };
+};
+
+module.exports = { createProviders };
@@ -0,0 +1,156 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Nominatim geocoding client for place search and reverse
+* lookups, returning results in the shape the geocode routes send.
+*
+* Dependencies: utils/debug.js, utils/urls.js, utils/upstream.js
+*/
+
+const { debug } = require('../utils/debug');
+const { buildUrl } = require('../utils/urls');
+const { fetchJson } = require('../utils/upstream');
+
+const NOMINATIM_BASE_URL = 'https://nominatim.openstreetmap.org';
+
+// Nominatim's usage policy requires an identifying User-Agent
+const NOMINATIM_USER_AGENT = 'BirdSightingsMap/1.0 tomaskom@gmail.com';
+
+/**
+ * @typedef {Object} GeocodeResult
+ * @property {string} displayName - Full place name
+ * @property {number} lat - Latitude
+ * @property {number} lon - Longitude
+ * @property {string} type - Kind of place, e.g. "city", "county" or "nature_reserve"
+ * @property {string[]|null} boundingbox - [minLat, maxLat, minLon, maxLon] as decimal strings, the order Nominatim uses
+ * @property {string|null} country - Country name
+ * @property {string|null} countryCode - ISO 3166-1 alpha-2 code, uppercase
+ */
+
+/**
+ * Converts a Nominatim search result
+ * @param {Object} place - Result from /search with addressdetails
+ * @returns {GeocodeResult} Search result
+ */
+const toSearchResult = (place) => ({
+  displayName: place.display_name,
+  lat: parseFloat(place.lat),
+  lon: parseFloat(place.lon),
+  type: place.addresstype || place.type,
+  boundingbox: place.boundingbox || null,
+  country: place.address?.country || null,
+  countryCode: place.address?.country_code?.toUpperCase() || null
+});
+
+/**
+ * Nominatim geocoding client
+ */
+class NominatimProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] - API base URL, e.g. a self-hosted instance or mock server
+   * @param {string} [options.userAgent] - User-Agent sent with every request
+   * @param {Object} [options.requestOptions] - Timeout, retry and throttle options for fetchJson
+   */
+  constructor({ baseUrl, userAgent, requestOptions = {} } = {}) {
+    this.name = 'nominatim';
+    this.baseUrl = baseUrl || NOMINATIM_BASE_URL;
+    this.userAgent = userAgent || NOMINATIM_USER_AGENT;
+    this.requestOptions = requestOptions;
+  }
+
+  /**
+   * Makes a JSON request below the base URL
+   * @param {string} endpoint - 'search' or 'reverse'
+   * @param {Object} params - Query parameters
+   * @returns {Promise<*>} Parsed response body
+   * @throws {UpstreamError} If the request fails
+   */
+  request(endpoint, params) {
+    return fetchJson(buildUrl(this.baseUrl, [endpoint], { format: 'json', ...params }), {
+      service: 'Nominatim',
+      headers: { 'User-Agent': this.userAgent },
+      ...this.requestOptions
+    });
+  }
+
+  /**
+   * Finds the places matching a name, best match first. The best match is
+   * also given at the top level for callers that only want one.
+   * @param {string} query - Search query for location
+   * @param {Object} [options]
+   * @param {number} [options.limit=8] - Most results to return
+   * @returns {Promise<Object>} Location data if found, with every match in results
+   * @throws {UpstreamError} If the API request fails
+   */
+  async search(query, { limit = 8 } = {}) {
+    debug.debug('Forward geocoding request:', query);
+
+    const data = await this.request('search', { q: query, limit, addressdetails: 1 });
+
+    if (Array.isArray(data) && data.length > 0) {
+      const results = data.map(toSearchResult);
+      const [best] = results;
+      return {
+        found: true,
+        lat: best.lat,
+        lon: best.lon,
+        displayName: best.displayName,
+        results
+      };
+    }
+
+    return {
+      found: false,
+      message: 'No location found'
+    };
+  }
+
+  /**
+   * Looks up the place at a coordinate
+   * @param {number} lat - Latitude coordinate
+   * @param {number} lon - Longitude coordinate
+   * @returns {Promise<Object>} Location details if found
+   * @throws {UpstreamError} If the API request fails
+   */
+  async reverse(lat, lon) {
+    debug.debug('Reverse geocoding request:', { lat, lon });
+
+    const data = await this.request('reverse', { lat, lon });
+
+    // Ensure a consistent response structure
+    if (data && data.display_name) {
+      return {
+        found: true,
+        displayName: data.display_name,
+        address: data.address || {},
+        lat: parseFloat(lat),
+        lon: parseFloat(lon),
+        boundingbox: data.boundingbox || null
+      };
+    }
+
+    return {
+      found: false,
+      message: 'No location details found',
+      lat: parseFloat(lat),
+      lon: parseFloat(lon)
+    };
+  }
+}
+
+module.exports = { NominatimProvider, NOMINATIM_BASE_URL };
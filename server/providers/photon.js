@@ -0,0 +1,176 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Photon geocoding client, an alternative to Nominatim that is
+* easy to self-host. Results are converted to the shape NominatimProvider
+* returns, so the geocode routes work with either backend.
+*
+* Dependencies: utils/debug.js, utils/urls.js, utils/upstream.js
+*/
+
+const { debug } = require('../utils/debug');
+const { buildUrl } = require('../utils/urls');
+const { fetchJson } = require('../utils/upstream');
+
+const PHOTON_BASE_URL = 'https://photon.komoot.io';
+
+/**
+ * Builds a Nominatim-style address from Photon feature properties
+ * @param {Object} properties - Photon feature properties
+ * @returns {Object} Address with city, county, state, country and country_code
+ */
+const toAddress = (properties) => {
+  const address = {
+    city: properties.city,
+    county: properties.county,
+    state: properties.state,
+    postcode: properties.postcode,
+    country: properties.country,
+    country_code: properties.countrycode?.toLowerCase()
+  };
+  return Object.fromEntries(Object.entries(address).filter(([, value]) => value));
+};
+
+/**
+ * Builds a display name from the feature's name and the places containing it
+ * @param {Object} properties - Photon feature properties
+ * @returns {string} Comma-separated place name
+ */
+const toDisplayName = (properties) => {
+  const parts = [properties.name, properties.city, properties.county, properties.state, properties.country]
+    .filter(Boolean);
+  return [...new Set(parts)].join(', ');
+};
+
+/**
+ * Converts a Photon extent to a Nominatim bounding box
+ * @param {number[]} [extent] - [minLon, maxLat, maxLon, minLat]
+ * @returns {string[]|null} [minLat, maxLat, minLon, maxLon]
+ */
+const toBoundingBox = (extent) => {
+  if (!Array.isArray(extent) || extent.length !== 4) {
+    return null;
+  }
+  const [minLon, maxLat, maxLon, minLat] = extent;
+  return [minLat, maxLat, minLon, maxLon].map(String);
+};
+
+/**
+ * Converts a Photon feature to a search result
+ * @param {Object} feature - GeoJSON feature
+ * @returns {GeocodeResult} Search result, see providers/nominatim.js
+ */
+const toSearchResult = ({ geometry, properties }) => ({
+  displayName: toDisplayName(properties),
+  lat: geometry.coordinates[1],
+  lon: geometry.coordinates[0],
+  type: properties.type || properties.osm_value,
+  boundingbox: toBoundingBox(properties.extent),
+  country: properties.country || null,
+  countryCode: properties.countrycode?.toUpperCase() || null
+});
+
+/**
+ * Photon geocoding client
+ */
+class PhotonProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] - API base URL, e.g. a self-hosted instance
+   * @param {Object} [options.requestOptions] - Timeout, retry and throttle options for fetchJson
+   */
+  constructor({ baseUrl, requestOptions = {} } = {}) {
+    this.name = 'photon';
+    this.baseUrl = baseUrl || PHOTON_BASE_URL;
+    this.requestOptions = requestOptions;
+  }
+
+  /**
+   * Makes a GeoJSON request below the base URL
+   * @param {string} endpoint - 'api' (search) or 'reverse'
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object[]>} GeoJSON features
+   * @throws {UpstreamError} If the request fails
+   */
+  async request(endpoint, params) {
+    const data = await fetchJson(buildUrl(this.baseUrl, [endpoint], params), {
+      service: 'Photon',
+      ...this.requestOptions
+    });
+    return Array.isArray(data?.features) ? data.features : [];
+  }
+
+  /**
+   * Finds the places matching a name, best match first, in the same shape
+   * as NominatimProvider.search
+   * @param {string} query - Search query for location
+   * @param {Object} [options]
+   * @param {number} [options.limit=8] - Most results to return
+   * @returns {Promise<Object>} Location data if found, with every match in results
+   * @throws {UpstreamError} If the API request fails
+   */
+  async search(query, { limit = 8 } = {}) {
+    debug.debug('Forward geocoding request:', query);
+
+    const features = await this.request('api', { q: query, limit });
+    if (features.length === 0) {
+      return { found: false, message: 'No location found' };
+    }
+
+    const results = features.map(toSearchResult);
+    const [best] = results;
+    return {
+      found: true,
+      lat: best.lat,
+      lon: best.lon,
+      displayName: best.displayName,
+      results
+    };
+  }
+
+  /**
+   * Looks up the place at a coordinate
+   * @param {number} lat - Latitude coordinate
+   * @param {number} lon - Longitude coordinate
+   * @returns {Promise<Object>} Location details if found
+   * @throws {UpstreamError} If the API request fails
+   */
+  async reverse(lat, lon) {
+    debug.debug('Reverse geocoding request:', { lat, lon });
+
+    const [feature] = await this.request('reverse', { lat, lon, limit: 1 });
+    if (!feature) {
+      return {
+        found: false,
+        message: 'No location details found',
+        lat: parseFloat(lat),
+        lon: parseFloat(lon)
+      };
+    }
+
+    return {
+      found: true,
+      displayName: toDisplayName(feature.properties),
+      address: toAddress(feature.properties),
+      lat: parseFloat(lat),
+      lon: parseFloat(lon),
+      boundingbox: toBoundingBox(feature.properties.extent)
+    };
+  }
+}
+
+module.exports = { PhotonProvider, PHOTON_BASE_URL };
@@ -0,0 +1,146 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Wikipedia client for species photo lookups, using the lead
+* image of each species' article. Articles are found by scientific name,
+* which Wikipedia redirects to the species page.
+*
+* Dependencies: utils/debug.js, utils/urls.js, utils/upstream.js
+*/
+
+const { debug } = require('../utils/debug');
+const { buildUrl } = require('../utils/urls');
+const { fetchJson } = require('../utils/upstream');
+
+const WIKIPEDIA_BASE_URL = 'https://en.wikipedia.org';
+
+// Wikimedia's User-Agent policy asks for a way to contact the operator
+const WIKIPEDIA_USER_AGENT = 'BirdSightingsMap/1.0 tomaskom@gmail.com';
+
+// Titles per query, the API's limit for regular clients
+const TITLES_PER_REQUEST = 50;
+
+// Thumbnail width in pixels, enough for the sighting popups
+const THUMBNAIL_WIDTH = 240;
+
+// Widest "full" image. Originals are often camera-sized and too large to proxy.
+const FULL_IMAGE_WIDTH = 1280;
+
+/**
+ * Picks the article title for a species name
+ * @param {string} species - "Scientific name_Common name"
+ * @returns {string} Scientific name, or the whole name when it has no common part
+ */
+const toTitle = (species) => species.split('_')[0].trim() || species;
+
+/**
+ * Picks the full-size image for a page: the original if it is narrow enough,
+ * otherwise a Wikimedia thumbnail scaled to FULL_IMAGE_WIDTH
+ * @param {Object} page - Page with thumbnail and original image details
+ * @returns {string} Image URL
+ */
+const toFullImageUrl = ({ thumbnail, original }) => {
+  if (original && original.width <= FULL_IMAGE_WIDTH) {
+    return original.source;
+  }
+  // Wikimedia thumbnail file names start with their width, e.g. .../240px-Sayornis.jpg
+  return thumbnail.source.replace(/\/\d+px-([^/]+)$/, `/${FULL_IMAGE_WIDTH}px-$1`);
+};
+
+/**
+ * Wikipedia API client
+ */
+class WikipediaProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] - Site base URL, e.g. another language's Wikipedia or a mock server
+   * @param {string} [options.userAgent] - User-Agent sent with every request
+   * @param {Object} [options.requestOptions] - Timeout, retry and recorder options for fetchJson
+   */
+  constructor({ baseUrl, userAgent, requestOptions = {} } = {}) {
+    this.name = 'wikipedia';
+    this.baseUrl = baseUrl || WIKIPEDIA_BASE_URL;
+    this.userAgent = userAgent || WIKIPEDIA_USER_AGENT;
+    this.requestOptions = requestOptions;
+  }
+
+  /**
+   * Fetches the lead images of up to TITLES_PER_REQUEST articles
+   * @param {string[]} titles - Article titles
+   * @returns {Promise<Map<string, Object>>} Page, with its images, per requested title
+   * @throws {UpstreamError} If the API request fails
+   */
+  async queryPageImages(titles) {
+    const data = await fetchJson(buildUrl(this.baseUrl, ['w', 'api.php'], {
+      action: 'query',
+      format: 'json',
+      formatversion: 2,
+      prop: 'pageimages',
+      piprop: 'thumbnail|original',
+      pithumbsize: THUMBNAIL_WIDTH,
+      redirects: 1,
+      titles: titles.join('|')
+    }), {
+      service: 'Wikipedia',
+      headers: { 'User-Agent': this.userAgent },
+      ...this.requestOptions
+    });
+
+    // Requested titles reach their page through normalization, then redirects
+    const query = data.query || {};
+    const normalized = new Map((query.normalized || []).map(({ from, to }) => [from, to]));
+    const redirects = new Map((query.redirects || []).map(({ from, to }) => [from, to]));
+    const pages = new Map((query.pages || []).map(page => [page.title, page]));
+
+    return new Map(titles.map(title => {
+      const canonical = normalized.get(title) || title;
+      return [title, pages.get(redirects.get(canonical) || canonical)];
+    }));
+  }
+
+  /**
+   * Looks up photos for a batch of species
+   * @param {string[]} species - Species names as shown on the map ("Scientific name_Common name")
+   * @returns {Promise<Object>} Map of species name to {imageUrl, thumbnailUrl}
+   * @throws {UpstreamError} If an API request fails
+   */
+  async lookupPhotos(species) {
+    debug.debug('Constructing Wikipedia photo request:', species.length);
+
+    const titles = [...new Set(species.map(toTitle))];
+    const pages = new Map();
+    for (let i = 0; i < titles.length; i += TITLES_PER_REQUEST) {
+      const batch = await this.queryPageImages(titles.slice(i, i + TITLES_PER_REQUEST));
+      batch.forEach((page, title) => pages.set(title, page));
+    }
+
+    const photos = {};
+    species.forEach(name => {
+      const page = pages.get(toTitle(name));
+      if (page?.thumbnail) {
+        photos[name] = {
+          imageUrl: toFullImageUrl(page),
+          thumbnailUrl: page.thumbnail.source
+        };
+      }
+    });
+    debug.info('Found Wikipedia photos:', Object.keys(photos).length);
+    return photos;
+  }
+}
+
+module.exports = { WikipediaProvider, WIKIPEDIA_BASE_URL };
@@ -21,331 +21,1249 @@
  * - OpenStreetMap data © OpenStreetMap contributors (ODbL)
  * - Leaflet © 2010-2024 Vladimir Agafonkin (BSD-2-Clause)
  * - eBird data provided by Cornell Lab of Ornithology
- * - Photos provided by BirdWeather
+ * - Photos provided by BirdWeather or Wikipedia
  */
 
 require('dotenv').config();
+const fs = require('fs');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const { debug } = require('./utils/debug');
-const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const { debug, writeLog } = require('./utils/debug');
+const { loadConfig, ConfigError } = require('./config');
+const { requestLogger } = require('./utils/requestLog');
+const { metrics, registerGauge, recordRequestMetrics, metricsHandler } = require('./utils/metrics');
+const { MemoryStore, ResponseCache, setCacheHeaders } = require('./utils/cache');
+const { parseBbox, planCoverage, coveringCircle, boundsContain, clipToBbox, mergeObservations } = require('./utils/geo');
+const { mapWithConcurrency } = require('./utils/async');
+const { matchRegionByName, getIsoSubdivision, getCountyName } = require('./utils/regions');
+const { ObservationStore } = require('./store/observationStore');
+const { PhotoStore } = require('./store/photoStore');
+const { WatchStore } = require('./store/watchStore');
+const { WatchScheduler } = require('./watches/scheduler');
+const { createNotifiers } = require('./notifiers');
+const { SightingStream } = require('./stream/sightingStream');
+const { RULES, validateFields, validateRequest, sendValidationError } = require('./utils/validation');
+const { fetchImage, sendUpstreamError } = require('./utils/upstream');
+const { createProviders } = require('./providers');
+
+/**
+ * Reads the configuration, exiting with every problem listed when the
+ * server is run directly. Tests loading the app get the error instead.
+ * @returns {{config: Object, warnings: string[]}} Configuration
+ */
+const readConfig = () => {
+  try {
+    return loadConfig(process.env, __dirname);
+  } catch (error) {
+    if (!(error instanceof ConfigError) || require.main !== module) {
+      throw error;
+    }
+    // Written regardless of SERVER_DEBUG_LEVEL so a failed start is never silent
+    writeLog('error', 'Invalid server configuration', { problems: error.problems });
+    process.exit(1);
+  }
+};
+
+const { config, warnings: configWarnings } = readConfig();
+configWarnings.forEach(warning => debug.warn('Configuration warning:', warning));
 
 // Initialize Express app
 const app = express();
-const port = process.env.PORT || 3000;
+const port = config.PORT;
 
 // Verify environment on startup
 debug.info('Server initializing with config:', {
-  apiKey: process.env.EBIRD_API_KEY ? 'Present' : 'Missing',
-  origins: process.env.ALLOWED_ORIGINS,
+  apiKeyStatus: config.EBIRD_API_KEY ? 'Present' : 'Missing',
+  origins: config.ALLOWED_ORIGINS,
   port: port
 });
 
+// Request IDs and access log, first so every request is logged. Probes
+// arrive every few seconds and are left out of the access log.
+app.use(requestLogger({ accessLog: config.ACCESS_LOG, quietPaths: ['/healthz', '/readyz'] }));
+app.use(recordRequestMetrics);
+
 // CORS configuration
-const allowedOrigins = process.env.ALLOWED_ORIGINS.split(',');
+const allowedOrigins = config.ALLOWED_ORIGINS;
 debug.debug('Configuring CORS with origins:', allowedOrigins);
 
 app.use(cors({
   origin: allowedOrigins,
-  methods: ['GET'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  exposedHeaders: ['X-Cache', 'Age', 'X-Coverage', 'X-Tiles', 'X-Region', 'X-Request-Id'],
   credentials: true
 }));
 
-// Static file serving
-app.use(express.static(path.join(__dirname, '../client/dist')));
+// Static file serving of the client build
+const clientDistDir = config.CLIENT_DIST_DIR;
+app.use(express.static(clientDistDir));
 
-// Nominatim rate limiter (1 request per second)
+// JSON request bodies (watch definitions, species photo lookups)
+app.use(express.json({ limit: '64kb' }));
+
+// Per-client limit on geocoding routes. Requests that reach the geocoder are
+// also spaced out for the whole server, see createProviders.
 const geocodeLimiter = rateLimit({
   windowMs: 1000,
   max: 2,
-  message: { error: 'Too many location searches, please wait a moment' }
+  message: { error: 'Too many location searches, please wait a moment' },
+  handler: (req, res, next, options) => {
+    metrics.rateLimited.inc({ limiter: 'geocode' });
+    res.status(options.statusCode).json(options.message);
+  }
 });
 
-// Nominatim configuration
-const NOMINATIM_CONFIG = {
-  headers: {
-    'User-Agent': 'BirdSightingsMap/1.0 tomaskom@gmail.com'
+// Per-client limit on type-ahead suggestions, enough for debounced typing
+const suggestLimiter = rateLimit({
+  windowMs: 1000,
+  max: 5,
+  message: { error: 'Too many location suggestions, please slow down' },
+  handler: (req, res, next, options) => {
+    metrics.rateLimited.inc({ limiter: 'suggest' });
+    res.status(options.statusCode).json(options.message);
   }
-};
+});
 
-/**
- * Fetches location data from Nominatim forward geocoding API
- * @param {string} query - Search query for location
- * @returns {Promise<Object>} Location data if found
- * @throws {Error} If the API request fails
- */
-const fetchForwardGeocoding = async (query) => {
-  debug.debug('Forward geocoding request:', query);
-  
-  const url = new URL('https://nominatim.openstreetmap.org/search');
-  url.searchParams.append('format', 'json');
-  url.searchParams.append('q', query);
+// Per-client limit on species photo lookups. A map view asks once per fetch,
+// and each unknown name costs an upstream lookup and a stored miss.
+const photoLimiter = rateLimit({
+  windowMs: 10 * 1000,
+  max: 10,
+  message: { error: 'Too many photo lookups, please wait a moment' },
+  handler: (req, res, next, options) => {
+    metrics.rateLimited.inc({ limiter: 'photos' });
+    res.status(options.statusCode).json(options.message);
+  }
+});
 
-  try {
-    const response = await fetch(url, NOMINATIM_CONFIG);
+// Upstream response cache, TTLs per endpoint in milliseconds
+const responseCache = new ResponseCache({
+  store: new MemoryStore({
+    maxEntries: config.CACHE_MAX_ENTRIES
+  }),
+  ttls: {
+    birds: config.CACHE_TTL_BIRDS * 1000,
+    regionSpecies: config.CACHE_TTL_REGION_SPECIES * 1000,
+    hotspots: config.CACHE_TTL_HOTSPOTS * 1000,
+    regionList: config.CACHE_TTL_REGION_LIST * 1000,
+    checklist: config.CACHE_TTL_CHECKLIST * 1000,
+    geocode: config.CACHE_TTL_GEOCODE * 1000
+  },
+  maxEntryBytes: config.CACHE_MAX_ENTRY_BYTES
+});
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+registerGauge('cache_entries', 'Entries held in a cache', ['cache'], () => [
+  { labels: { cache: 'response' }, value: responseCache.store.size() },
+  ...(photoStore ? [{ labels: { cache: 'photos' }, value: photoStore.count() }] : [])
+]);
+
+// Optional persistent history of every observation fetched from eBird
+const observationStore = config.OBSERVATION_DB_PATH
+  ? new ObservationStore(config.OBSERVATION_DB_PATH)
+  : null;
+
+// Limits for bounding box queries split into tiles
+const MAX_TILES = config.BIRDS_MAX_TILES;
+const TILE_CONCURRENCY = config.BIRDS_TILE_CONCURRENCY;
+
+// Optional saved watch areas with rare-bird alerts
+const watchStore = config.WATCH_DB_PATH
+  ? new WatchStore(config.WATCH_DB_PATH)
+  : null;
+const alertNotifiers = watchStore ? createNotifiers(config) : [];
 
-    const data = await response.json();
+// eBird, geocoder and suggestion (Nominatim or Photon) and photo clients
+const { ebird, geocoder, suggester, photoProvider } = createProviders(config);
 
-    if (data && data.length > 0) {
-      const firstResult = data[0];
-      return {
-        found: true,
-        lat: parseFloat(firstResult.lat),
-        lon: parseFloat(firstResult.lon),
-        displayName: firstResult.display_name
-      };
+// Species photo lookups, kept on disk across restarts
+const photoStore = photoProvider && config.PHOTO_CACHE_TTL > 0
+  ? new PhotoStore(config.PHOTO_DB_PATH)
+  : null;
+photoStore?.prune();
+
+// Expired lookups pile up between restarts, so prune them hourly as well
+const PHOTO_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+if (photoStore) {
+  setInterval(() => {
+    try {
+      photoStore.prune();
+    } catch (error) {
+      debug.error('Failed to prune species photos:', error.message);
     }
+  }, PHOTO_PRUNE_INTERVAL_MS).unref();
+}
 
-    return {
-      found: false,
-      message: 'No location found'
-    };
+/**
+ * Saves fetched observations to the history store when it is enabled.
+ * Failures are logged but never fail the sighting request.
+ * @param {Object[]} observations Raw eBird observation records
+ */
+const storeObservations = (observations) => {
+  if (!observationStore) return;
+
+  try {
+    observationStore.save(observations);
   } catch (error) {
-    debug.error('Forward Geocoding API request failed:', error);
-    throw new Error(`Failed to fetch forward geocoding data: ${error.message}`);
+    debug.error('Failed to store observations:', error.message);
   }
 };
 
+// Observation history query parameters
+const HISTORY_SCHEMA = {
+  bbox: { rule: RULES.bbox, required: true },
+  from: { rule: RULES.date },
+  to: { rule: RULES.date },
+  species: { rule: RULES.speciesCode }
+};
+
 /**
- * Fetches location details from Nominatim reverse geocoding API
- * @param {number} lat - Latitude coordinate
- * @param {number} lon - Longitude coordinate
- * @returns {Promise<Object>} Location details if found
- * @throws {Error} If the API request fails
+ * Builds a history store filter from validated query parameters, defaulting
+ * to the 30 days up to today
+ * @param {Object} values Validated bbox, from, to and species
+ * @returns {Object} Store filter
  */
-const fetchReverseGeocoding = async (lat, lon) => {
-  debug.debug('Reverse geocoding request:', { lat, lon });
-  
-  const url = new URL('https://nominatim.openstreetmap.org/reverse');
-  url.searchParams.append('format', 'json');
-  url.searchParams.append('lat', lat.toString());
-  url.searchParams.append('lon', lon.toString());
+const buildHistoryFilter = ({ bbox, from, to, species }) => {
+  const end = to || new Date().toISOString().slice(0, 10);
+  const start = from ||
+    new Date(Date.parse(end) - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return { bbox, from: start, to: end, species };
+};
 
-  try {
-    const response = await fetch(url, NOMINATIM_CONFIG);
+// Watch area fields by area type
+const WATCH_AREA_SCHEMAS = {
+  circle: {
+    lat: { rule: RULES.latitude, required: true },
+    lng: { rule: RULES.longitude, required: true },
+    dist: { rule: RULES.distance, default: 25 }
+  },
+  bbox: {
+    bbox: { rule: RULES.bbox, required: true }
+  },
+  region: {
+    regionCode: { rule: RULES.regionCode, required: true }
+  }
+};
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+/**
+ * Parses a watch definition from a request body
+ * @param {Object} body Request body (name, area, species, back, notifiers)
+ * @returns {{watch?: Object, fields?: Object.<string, string>}} Validated watch
+ * definition, or error messages by field name
+ */
+const parseWatch = (body = {}) => {
+  const { name, area, species = [], notifiers = null } = body;
+  const fields = {};
 
-    const data = await response.json();
-
-    // Ensure a consistent response structure
-    if (data && data.display_name) {
-      return {
-        found: true,
-        displayName: data.display_name,
-        address: data.address || {},
-        lat: parseFloat(lat),
-        lon: parseFloat(lon),
-        boundingbox: data.boundingbox || null
-      };
-    }
+  let parsedArea;
+  if (!area || !Object.hasOwn(WATCH_AREA_SCHEMAS, area.type)) {
+    fields['area.type'] = 'Must be circle, bbox or region';
+  } else {
+    const result = validateFields(WATCH_AREA_SCHEMAS[area.type], area);
+    Object.entries(result.fields || {}).forEach(([field, message]) => {
+      fields[`area.${field}`] = message;
+    });
+    // Bounding boxes are kept in their string form, like the query parameter
+    parsedArea = area.type === 'bbox'
+      ? { type: 'bbox', bbox: area.bbox }
+      : { type: area.type, ...result.values };
+  }
 
-    return {
-      found: false,
-      message: 'No location details found',
-      lat: parseFloat(lat),
-      lon: parseFloat(lon)
-    };
-  } catch (error) {
-    debug.error('Reverse Geocoding API request failed:', error);
-    throw new Error(`Failed to fetch reverse geocoding data: ${error.message}`);
+  if (!Array.isArray(species) ||
+      !species.every(code => typeof code === 'string' && !RULES.speciesCode(code).error)) {
+    fields.species = 'Must be a list of eBird species codes';
+  }
+
+  const days = validateFields({ back: { rule: RULES.back, default: 7 } }, body);
+  Object.assign(fields, days.fields);
+
+  if (notifiers !== null && (!Array.isArray(notifiers) ||
+      !notifiers.every(notifier => alertNotifiers.some(configured => configured.name === notifier)))) {
+    fields.notifiers = alertNotifiers.length
+      ? `Must be a list of configured notifiers: ${alertNotifiers.map(notifier => notifier.name).join(', ')}`
+      : 'No notifiers are configured';
+  }
+
+  if (Object.keys(fields).length) {
+    return { fields };
   }
+
+  const defaultName = parsedArea.regionCode || parsedArea.bbox || `${parsedArea.lat},${parsedArea.lng}`;
+  return {
+    watch: {
+      name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 100) : defaultName,
+      area: parsedArea,
+      species,
+      back: days.values.back,
+      notifiers
+    }
+  };
+};
+
+// Parameters shared by the sighting routes
+const SIGHTING_QUERY_SCHEMA = {
+  species: { rule: RULES.speciesFilter, default: 'recent' },
+  back: { rule: RULES.back, default: '7' },
+  detail: { rule: RULES.detail, default: 'simple' },
+  hotspot: { rule: RULES.flag, default: 'false' }
 };
 
 /**
- * Fetch bird sightings from eBird API
+ * Normalizes a bird sighting query so nearby requests share a cache entry.
+ * Coordinates are rounded to 2 decimals (~1 km), so the radius is padded by
+ * the worst-case shift and rounded up to a whole kilometer, capped at eBird's 50 km.
  * @param {Object} query Request query parameters
- * @returns {Promise<Object>} Bird sighting data
+ * @returns {Object} Normalized query parameters
+ */
+const normalizeBirdQuery = (query) => {
+  const { lat, lng, dist = '25', species = 'recent', back = '7', detail, hotspot } = query;
+  return {
+    lat: parseFloat(lat).toFixed(2),
+    lng: parseFloat(lng).toFixed(2),
+    dist: String(Math.min(Math.ceil(parseFloat(dist) + 0.8), 50)),
+    species,
+    back: String(back),
+    detail: detail === 'full' ? 'full' : 'simple',
+    hotspot: hotspot === 'true' ? 'true' : 'false'
+  };
+};
+
+/**
+ * Builds the cache key for a normalized bird sighting query
+ * @param {Object} query Normalized query parameters
+ * @returns {string} Cache key
+ */
+const buildBirdCacheKey = ({ lat, lng, dist, species, back, detail, hotspot }) =>
+  [lat, lng, dist, species, back, detail, hotspot].join('|');
+
+/**
+ * Builds the cache key for a region bird sighting query
+ * @param {string} regionCode eBird region code
+ * @param {Object} query Normalized query parameters (species, back, detail, hotspot)
+ * @returns {string} Cache key
+ */
+const buildRegionCacheKey = (regionCode, { species, back, detail, hotspot }) =>
+  [regionCode, species, back, detail, hotspot].join('|');
+
+/**
+ * Normalizes place search text so equivalent searches share a cache entry
+ * @param {string} query Search text
+ * @returns {string} Lowercase text with single spaces
+ */
+const normalizeGeocodeQuery = (query) => query
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/\s*,\s*/g, ', ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Reverse geocoding rounds to 3 decimals (about 100 m), so small pans
+// around the same place reuse one lookup
+const REVERSE_GEOCODE_DECIMALS = 3;
+
+// Finding the region around a large view only needs to be right to about 10 km
+const REGION_LOOKUP_DECIMALS = 1;
+
+// Places returned by a location search, enough to tell same-named places apart
+const GEOCODE_SEARCH_LIMIT = 8;
+
+// Type-ahead suggestions start at a few characters, where they narrow things down
+const SUGGEST_MIN_LENGTH = 3;
+const SUGGEST_LIMIT = 5;
+
+/**
+ * Fetch bird sightings within a radius of a point from eBird
+ * @param {Object} query Normalized query parameters
+ * @returns {Promise<Object[]>} Bird sighting data
  */
 const fetchBirdData = async (query) => {
-  const { lat, lng, dist, species = 'recent', back = '7' } = query;
-  const baseUrl = 'https://api.ebird.org/v2/data/obs/geo';
+  const data = await ebird.recentObservations(query);
+  storeObservations(data);
+  return data;
+};
 
-  let endpoint;
-  let speciesParam = '';
+/**
+ * Fetch bird sightings for a whole eBird region (country, state or county)
+ * @param {string} regionCode eBird region code (e.g., "US-CA-087")
+ * @param {Object} query Query parameters (species, back, detail, hotspot)
+ * @returns {Promise<Object[]>} Bird sighting data
+ */
+const fetchRegionBirdData = async (regionCode, query) => {
+  const data = await ebird.regionObservations(regionCode, query);
+  storeObservations(data);
+  return data;
+};
 
-  if (species === 'rare') {
-    endpoint = 'recent/notable';
-  } else {
-    endpoint = 'recent';
-    if (species !== 'recent') {
-      endpoint = `recent/${species}`;
-    }
+/**
+ * Fetch the most recent reports of a species closest to a point, with no
+ * distance limit
+ * @param {string} speciesCode eBird species code (e.g., "amerob")
+ * @param {Object} query Normalized query (lat, lng, back, maxResults, hotspot)
+ * @returns {Promise<Object[]>} Sightings ordered by distance from the point
+ */
+const fetchNearestBirdData = async (speciesCode, query) => {
+  const data = await ebird.nearestObservations(speciesCode, query);
+  storeObservations(data);
+  return data;
+};
+
+/**
+ * Fetch bird sightings for a bounding box. Queries the covering circle (or
+ * tiles, for large boxes), merges the results and clips them to the box.
+ * Each circle goes through the response cache individually. A box needing
+ * more than MAX_TILES tiles is fetched with one eBird region query instead,
+ * falling back to the tiles nearest its center if no region can be found.
+ * @param {Object} bbox Area to cover (minLng, minLat, maxLng, maxLat)
+ * @param {Object} query Request query parameters (species, back)
+ * @param {Object} [cacheOptions] Options for ResponseCache.wrap (maxAgeMs)
+ * @returns {Promise<Object>} Merged sightings with cache and coverage status
+ */
+const fetchBirdDataForBounds = async (bbox, query, cacheOptions) => {
+  const { tiles, total, complete } = planCoverage(bbox, MAX_TILES);
+
+  const region = complete ? null : await findCoveringRegion(bbox);
+  if (region) {
+    const result = await responseCache.wrap(
+      'birds',
+      buildRegionCacheKey(region.regionCode, query),
+      () => fetchRegionBirdData(region.regionCode, query),
+      cacheOptions
+    );
+    const observations = clipToBbox(result.value, bbox);
+    debug.info('Clipped region bird records to bounds:', { region: region.regionCode, records: observations.length });
+    return { ...result, value: observations, region: region.regionCode, complete: region.complete };
   }
 
-  const url = `${baseUrl}/${endpoint}?lat=${lat}&lng=${lng}&dist=${dist}&detail=simple&hotspot=false&back=${back}`;
+  debug.debug('Fetching tiled bird data:', { bbox, tiles: tiles.length, total });
 
-  debug.debug('Constructing eBird request:', {
-    endpoint,
-    species,
-    coordinates: { lat, lng },
-    distance: dist,
-    lookback: back
+  const results = await mapWithConcurrency(tiles, TILE_CONCURRENCY, (tile) => {
+    const tileQuery = normalizeBirdQuery({ ...query, ...tile });
+    return responseCache.wrap(
+      'birds',
+      buildBirdCacheKey(tileQuery),
+      () => fetchBirdData(tileQuery),
+      cacheOptions
+    );
   });
 
-  const response = await fetch(url, {
-    headers: {
-      'x-ebirdapitoken': process.env.EBIRD_API_KEY
-    }
-  });
+  const observations = clipToBbox(mergeObservations(results.map(result => result.value)), bbox);
+  debug.info('Merged bird records in bounds:', { tiles: tiles.length, records: observations.length });
 
-  debug.info('eBird API response status:', response.status);
+  return {
+    value: observations,
+    hit: results.every(result => result.hit),
+    age: Math.max(...results.map(result => result.age)),
+    tiles: tiles.length,
+    total,
+    complete
+  };
+};
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    debug.error('eBird API error:', errorText);
-    throw new Error('eBird API request failed');
-  }
+/**
+ * Fetch the current sightings in an area (circle, bounding box or region) for
+ * a poller. Cached responses are used if they are no older than the poller's
+ * interval, so pollers and map requests for the same area share one eBird
+ * query per interval.
+ * @param {Object} area Area with a type of 'circle', 'bbox' or 'region'
+ * @param {Object} query Query parameters (species, back, detail, hotspot)
+ * @param {number} maxAgeMs Oldest cached response to use, normally the poll interval
+ * @returns {Promise<Object[]>} eBird observation records
+ */
+const fetchAreaSightings = async (area, query, maxAgeMs) => {
+  const cacheOptions = { maxAgeMs };
 
-  const responseText = await response.text();
-  debug.debug('eBird raw response:', responseText);
+  if (area.type === 'bbox') {
+    const result = await fetchBirdDataForBounds(parseBbox(area.bbox), query, cacheOptions);
+    return result.value;
+  }
 
-  try {
-    const data = JSON.parse(responseText);
-    debug.info('Successfully parsed bird records:', data.length);
-    return data;
-  } catch (error) {
-    debug.error('Failed to parse eBird response:', error);
-    throw new Error('Invalid response format from eBird API');
+  if (area.type === 'region') {
+    const result = await responseCache.wrap(
+      'birds',
+      buildRegionCacheKey(area.regionCode, query),
+      () => fetchRegionBirdData(area.regionCode, query),
+      cacheOptions
+    );
+    return result.value;
   }
+
+  const circleQuery = normalizeBirdQuery({ ...query, lat: area.lat, lng: area.lng, dist: area.dist });
+  const result = await responseCache.wrap(
+    'birds',
+    buildBirdCacheKey(circleQuery),
+    () => fetchBirdData(circleQuery),
+    cacheOptions
+  );
+  return result.value;
 };
 
 /**
- * Fetches region species list from eBird API
- * @param {string} regionCode - eBird region code (e.g., "US-CA")
- * @returns {Promise<Object[]>} Region species data
- * @throws {Error} If API request fails
+ * Fetch the rare sightings in a watch's area
+ * @param {Object} watch Saved watch (area and back)
+ * @returns {Promise<Object[]>} Notable eBird observation records
  */
-const fetchRegionSpecies = async (regionCode) => {
-  const baseUrl = 'https://api.ebird.org/v2/product/spplist';
-  const url = `${baseUrl}/${regionCode}`;
+const fetchWatchSightings = ({ area, back }) => fetchAreaSightings(area, {
+  species: 'rare',
+  back: String(back),
+  detail: 'full',
+  hotspot: 'false'
+}, config.WATCH_POLL_INTERVAL * 1000);
 
-  debug.debug('Constructing region species request:', {
-    endpoint: baseUrl,
-    region: regionCode
-  });
+// Live sightings stream, polled on one shared schedule for all subscribers
+const sightingStream = new SightingStream({
+  fetchSightings: ({ area, query }) => fetchAreaSightings(area, query, config.STREAM_POLL_INTERVAL * 1000),
+  intervalMs: config.STREAM_POLL_INTERVAL * 1000
+});
+const STREAM_MAX_CLIENTS = config.STREAM_MAX_CLIENTS;
+const STREAM_HEARTBEAT_MS = 30 * 1000;
 
-  const response = await fetch(url, {
-    headers: {
-      'x-ebirdapitoken': process.env.EBIRD_API_KEY
-    }
-  });
+registerGauge('stream_subscribers', 'Connected live sighting stream subscribers', [], () => [
+  { labels: {}, value: sightingStream.subscriberCount }
+]);
+
+const watchScheduler = watchStore ? new WatchScheduler({
+  store: watchStore,
+  fetchSightings: fetchWatchSightings,
+  notifiers: alertNotifiers,
+  intervalMs: config.WATCH_POLL_INTERVAL * 1000
+}) : null;
+
+/**
+ * Gets a cached list of the sub-regions of an eBird region
+ * @param {string} regionType - 'subnational1' or 'subnational2'
+ * @param {string} parentCode - Parent region code
+ * @returns {Promise<Array<{code: string, name: string}>>} Sub-region codes and names
+ */
+const getRegionList = async (regionType, parentCode) => {
+  const result = await responseCache.wrap(
+    'regionList',
+    `${regionType}|${parentCode}`,
+    () => ebird.regionList(regionType, parentCode)
+  );
+  return result.value;
+};
 
-  debug.info('eBird API response status:', response.status);
+/**
+ * Resolves the eBird country, state and county codes for a reverse geocoded
+ * address. Levels that can't be matched are null; lookup failures are logged
+ * and leave the remaining levels null rather than failing the request.
+ * @param {Object} address - Geocoder address details
+ * @returns {Promise<RegionCodes>} eBird region codes
+ */
+const resolveEbirdRegions = async (address) => {
+  const regions = {
+    country: address.country_code ? address.country_code.toUpperCase() : null,
+    subnational1: null,
+    subnational2: null
+  };
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    debug.error('eBird API error:', errorText);
-    throw new Error('eBird API request failed');
+  const isoCode = getIsoSubdivision(address);
+  if (!regions.country || (!isoCode && !address.state)) {
+    return regions;
   }
 
-  const responseText = await response.text();
-  debug.debug('eBird raw response:', responseText);
+  try {
+    // eBird state codes follow ISO 3166-2 in most, but not all, countries.
+    // Photon addresses carry no ISO code, so their state is matched by name.
+    const states = await getRegionList('subnational1', regions.country);
+    const stateCode = isoCode
+      ? states.find(state => state.code === isoCode)?.code
+      : matchRegionByName(states, address.state);
+    if (!stateCode) {
+      debug.debug('Subdivision not found in eBird regions:', isoCode || address.state);
+      return regions;
+    }
+    regions.subnational1 = stateCode;
+
+    const counties = await getRegionList('subnational2', stateCode);
+    regions.subnational2 = matchRegionByName(counties, getCountyName(address));
+  } catch (error) {
+    debug.error('Failed to resolve eBird regions:', error.message);
+  }
+
+  debug.debug('Resolved eBird regions:', regions);
+  return regions;
+};
+
+/**
+ * Reverse geocodes a coordinate through the geocode cache
+ * @param {number|string} lat Latitude
+ * @param {number|string} lon Longitude
+ * @param {number} decimals Decimals to round to before the lookup
+ * @returns {Promise<{value: Object, hit: boolean, age: number}>} Cached geocoder result
+ */
+const reverseGeocode = (lat, lon, decimals) => {
+  const roundedLat = parseFloat(lat).toFixed(decimals);
+  const roundedLon = parseFloat(lon).toFixed(decimals);
+  return responseCache.wrap(
+    'geocode',
+    `reverse|${geocoder.name}|${roundedLat}|${roundedLon}`,
+    () => geocoder.reverse(roundedLat, roundedLon)
+  );
+};
+
+/**
+ * Gets a cached eBird region's name and bounds
+ * @param {string} regionCode eBird region code
+ * @returns {Promise<{value: Object, hit: boolean, age: number}>} Cached region info
+ */
+const getRegionInfo = (regionCode) => responseCache.wrap(
+  'regionList',
+  `info|${regionCode}`,
+  () => ebird.regionInfo(regionCode)
+);
 
+/**
+ * Picks the eBird region to query for a box too large for the tile limit: the
+ * state around the box center if it contains the whole box, else the country.
+ * The box is only fully covered when the chosen region contains it.
+ * @param {Object} bbox Area to cover (minLng, minLat, maxLng, maxLat)
+ * @returns {Promise<{regionCode: string, complete: boolean}|null>} Region to query,
+ * or null if the box center can't be placed in a region
+ */
+const findCoveringRegion = async (bbox) => {
+  const center = coveringCircle(bbox);
   try {
-    const data = JSON.parse(responseText);
-    debug.info('Successfully parsed species records:', data.length);
-    return data;
+    const place = await reverseGeocode(center.lat, center.lng, REGION_LOOKUP_DECIMALS);
+    if (!place.value.found) {
+      return null;
+    }
+
+    const regions = await resolveEbirdRegions(place.value.address);
+    for (const regionCode of [regions.subnational1, regions.country].filter(Boolean)) {
+      const { value: info } = await getRegionInfo(regionCode);
+      if (info.bounds && boundsContain(info.bounds, bbox)) {
+        return { regionCode, complete: true };
+      }
+    }
+    return regions.country ? { regionCode: regions.country, complete: false } : null;
   } catch (error) {
-    debug.error('Failed to parse eBird response:', error);
-    throw new Error('Invalid response format from eBird API');
+    debug.warn('Failed to find a region covering the box:', error.message);
+    return null;
   }
 };
 
+// Bird sighting queries cover a bounding box or a circle
+const BIRDS_BBOX_SCHEMA = {
+  bbox: { rule: RULES.bbox, required: true },
+  ...SIGHTING_QUERY_SCHEMA
+};
+const BIRDS_CIRCLE_SCHEMA = {
+  lat: { rule: RULES.latitude, required: true },
+  lng: { rule: RULES.longitude, required: true },
+  dist: { rule: RULES.distance, default: '25' },
+  ...SIGHTING_QUERY_SCHEMA
+};
 
 // API Routes
 app.get('/api/birds', async (req, res) => {
   debug.info('Received bird sighting request:', req.query);
 
+  const isBbox = req.query.bbox !== undefined;
+  const { values, fields } = validateFields(isBbox ? BIRDS_BBOX_SCHEMA : BIRDS_CIRCLE_SCHEMA, req.query);
+  if (fields) {
+    return sendValidationError(res, fields);
+  }
+
+  if (isBbox) {
+    try {
+      const result = await fetchBirdDataForBounds(values.bbox, values);
+      setCacheHeaders(res, result);
+      res.set('X-Coverage', result.complete ? 'complete' : 'partial');
+      if (result.region) {
+        res.set('X-Region', result.region);
+      } else {
+        res.set('X-Tiles', `${result.tiles}/${result.total}`);
+      }
+      return res.json(result.value);
+    } catch (error) {
+      debug.error('Error handling bounding box bird request:', error.message);
+      return sendUpstreamError(res, error, 'Failed to fetch bird data');
+    }
+  }
+
   try {
-    const data = await fetchBirdData(req.query);
-    res.json(data);
+    const query = normalizeBirdQuery(values);
+    const result = await responseCache.wrap(
+      'birds',
+      buildBirdCacheKey(query),
+      () => fetchBirdData(query)
+    );
+    setCacheHeaders(res, result);
+    res.json(result.value);
   } catch (error) {
     debug.error('Error handling bird request:', error.message);
-    res.status(500).json({ error: 'Failed to fetch bird data' });
+    sendUpstreamError(res, error, 'Failed to fetch bird data');
   }
 });
 
 
-app.get('/api/region-species/:regionCode', async (req, res) => {
-  const { regionCode } = req.params;
+app.get('/api/birds/region/:regionCode', validateRequest({
+  regionCode: { rule: RULES.regionCode, required: true },
+  ...SIGHTING_QUERY_SCHEMA
+}), async (req, res) => {
+  const { regionCode, ...query } = req.valid;
+  debug.info('Received region bird sighting request:', { regionCode, query });
+
+  try {
+    const result = await responseCache.wrap(
+      'birds',
+      buildRegionCacheKey(regionCode, query),
+      () => fetchRegionBirdData(regionCode, query)
+    );
+    setCacheHeaders(res, result);
+    res.json(result.value);
+  } catch (error) {
+    debug.error('Error handling region bird request:', error.message);
+    sendUpstreamError(res, error, 'Failed to fetch bird data');
+  }
+});
+
+app.get('/api/birds/nearest/:speciesCode', validateRequest({
+  speciesCode: { rule: RULES.speciesCode, required: true },
+  lat: { rule: RULES.latitude, required: true },
+  lng: { rule: RULES.longitude, required: true },
+  back: { rule: RULES.back, default: '30' },
+  maxResults: { rule: RULES.maxResults, default: '10' },
+  hotspot: { rule: RULES.flag, default: 'false' }
+}), async (req, res) => {
+  const { speciesCode, lat, lng, back, maxResults, hotspot } = req.valid;
+  debug.info('Received nearest sighting request:', req.valid);
+
+  try {
+    const query = {
+      lat: lat.toFixed(2),
+      lng: lng.toFixed(2),
+      back: String(back),
+      maxResults: String(maxResults),
+      hotspot
+    };
+    const result = await responseCache.wrap(
+      'birds',
+      ['nearest', speciesCode, query.lat, query.lng, query.back, query.maxResults, query.hotspot].join('|'),
+      () => fetchNearestBirdData(speciesCode, query)
+    );
+    setCacheHeaders(res, result);
+    res.json(result.value);
+  } catch (error) {
+    debug.error('Error handling nearest sighting request:', error.message);
+    sendUpstreamError(res, error, 'Failed to fetch bird data');
+  }
+});
+
+app.get('/api/region-species/:regionCode', validateRequest({
+  regionCode: { rule: RULES.regionCode, required: true }
+}), async (req, res) => {
+  const { regionCode } = req.valid;
   debug.info('Received region species request:', regionCode);
 
   try {
-    const data = await fetchRegionSpecies(regionCode);
-    res.json(data);
+    const result = await responseCache.wrap(
+      'regionSpecies',
+      regionCode,
+      () => ebird.speciesList(regionCode)
+    );
+    setCacheHeaders(res, result);
+    res.json(result.value);
   } catch (error) {
     debug.error('Error handling region species request:', error.message);
-    res.status(500).json({ error: 'Failed to fetch region species data' });
+    sendUpstreamError(res, error, 'Failed to fetch region species data');
   }
 });
 
-app.get('/api/forward-geocode', geocodeLimiter, async (req, res) => {
-  const { q } = req.query;
-  debug.info('Received forward geocoding request:', { query: q });
+app.get('/api/region-info/:regionCode', validateRequest({
+  regionCode: { rule: RULES.regionCode, required: true }
+}), async (req, res) => {
+  const { regionCode } = req.valid;
+  debug.info('Received region info request:', regionCode);
 
-  if (!q || typeof q !== 'string') {
-    debug.warn('Invalid forward geocoding query received');
-    return res.status(400).json({ 
-      found: false,
-      error: 'Invalid search query' 
-    });
+  try {
+    const result = await getRegionInfo(regionCode);
+    setCacheHeaders(res, result);
+    res.json(result.value);
+  } catch (error) {
+    debug.error('Error handling region info request:', error.message);
+    sendUpstreamError(res, error, 'Failed to fetch region info');
   }
+});
+
+app.get('/api/hotspots', validateRequest({
+  bbox: { rule: RULES.bbox, required: true },
+  back: { rule: RULES.back }
+}), async (req, res) => {
+  debug.info('Received hotspot request:', req.query);
+  const { bbox, back } = req.valid;
 
   try {
-    const data = await fetchForwardGeocoding(q);
-    res.json(data);
+    // The hotspot API accepts radii up to 500 km, so one circle covers any map view
+    const circle = coveringCircle(bbox);
+    const query = {
+      lat: circle.lat.toFixed(2),
+      lng: circle.lng.toFixed(2),
+      dist: String(Math.min(Math.ceil(circle.dist + 0.8), 500)),
+      back: back && String(back)
+    };
+    const result = await responseCache.wrap(
+      'hotspots',
+      [query.lat, query.lng, query.dist, query.back].join('|'),
+      () => ebird.hotspots(query)
+    );
+    setCacheHeaders(res, result);
+    res.json(clipToBbox(result.value, bbox));
+  } catch (error) {
+    debug.error('Error handling hotspot request:', error.message);
+    sendUpstreamError(res, error, 'Failed to fetch hotspot data');
+  }
+});
+
+app.get('/api/hotspots/:locId', validateRequest({
+  locId: { rule: RULES.locationId, required: true }
+}), async (req, res) => {
+  const { locId } = req.valid;
+  debug.info('Received hotspot info request:', locId);
+
+  try {
+    const result = await responseCache.wrap('hotspots', `info|${locId}`, () => ebird.hotspotInfo(locId));
+    setCacheHeaders(res, result);
+    res.json(result.value);
+  } catch (error) {
+    debug.error('Error handling hotspot info request:', error.message);
+    sendUpstreamError(res, error, 'Failed to fetch hotspot info');
+  }
+});
+
+app.get('/api/checklist/:subId', validateRequest({
+  subId: { rule: RULES.checklistId, required: true }
+}), async (req, res) => {
+  const { subId } = req.valid;
+  debug.info('Received checklist request:', subId);
+
+  try {
+    const result = await responseCache.wrap('checklist', subId, () => ebird.checklist(subId));
+    setCacheHeaders(res, result);
+    res.json(result.value);
+  } catch (error) {
+    debug.error('Error handling checklist request:', error.message);
+    sendUpstreamError(res, error, 'Failed to fetch checklist');
+  }
+});
+
+/**
+ * Creates a handler for an observation history query
+ * @param {Function} runQuery Store query to run with the parsed filter
+ * @returns {Function} Express route handler
+ */
+const historyHandler = (runQuery) => (req, res) => {
+  debug.info('Received history request:', { path: req.path, query: req.query });
+
+  if (!observationStore) {
+    return res.status(503).json({ error: 'Observation history is not enabled' });
+  }
+
+  const { values, fields } = validateFields(HISTORY_SCHEMA, req.query);
+  if (fields) {
+    return sendValidationError(res, fields);
+  }
+
+  const filter = buildHistoryFilter(values);
+  if (filter.from > filter.to) {
+    return sendValidationError(res, { from: 'Must not be later than to' });
+  }
+
+  try {
+    res.json(runQuery(filter));
+  } catch (queryError) {
+    debug.error('Error handling history request:', queryError.message);
+    res.status(500).json({ error: 'Failed to query observation history' });
+  }
+};
+
+app.get('/api/history/sightings', historyHandler(filter => observationStore.findSightings(filter)));
+app.get('/api/history/species', historyHandler(filter => observationStore.summarizeSpecies(filter)));
+app.get('/api/history/counts', historyHandler(filter => observationStore.countReports(filter)));
+
+app.get('/api/forward-geocode', geocodeLimiter, validateRequest({
+  q: { rule: RULES.query, required: true }
+}), async (req, res) => {
+  const { q } = req.valid;
+  debug.info('Received forward geocoding request:', { query: q });
+
+  try {
+    const result = await responseCache.wrap(
+      'geocode',
+      `search|${geocoder.name}|${normalizeGeocodeQuery(q)}`,
+      () => geocoder.search(q, { limit: GEOCODE_SEARCH_LIMIT })
+    );
+    setCacheHeaders(res, result);
+    res.json(result.value);
   } catch (error) {
     debug.error('Error handling forward geocoding request:', error);
-    res.status(500).json({ 
-      found: false,
-      error: 'Failed to geocode location',
-      details: error.message 
-    });
+    sendUpstreamError(res, error, 'Failed to geocode location');
   }
 });
 
-app.get('/api/reverse-geocode', geocodeLimiter, async (req, res) => {
-  const { lat, lon } = req.query;
-  debug.info('Reverse geocode request received:', { lat, lon });
+app.get('/api/geocode-suggestions', suggestLimiter, validateRequest({
+  q: { rule: RULES.query, required: true }
+}), async (req, res) => {
+  const { q } = req.valid;
+  debug.debug('Received location suggestion request:', { query: q });
 
-  if (!lat || !lon || isNaN(parseFloat(lat)) || isNaN(parseFloat(lon))) {
-    debug.warn('Invalid coordinates received:', { lat, lon });
-    return res.status(400).json({ 
-      found: false,
-      error: 'Invalid coordinates' 
-    });
+  if (!suggester) {
+    return res.status(503).json({ error: 'Location suggestions are not enabled' });
+  }
+
+  const query = normalizeGeocodeQuery(q);
+  if (query.length < SUGGEST_MIN_LENGTH) {
+    return res.json({ suggestions: [] });
+  }
+
+  try {
+    const result = await responseCache.wrap(
+      'geocode',
+      `suggest|${suggester.name}|${query}`,
+      async () => (await suggester.search(q, { limit: SUGGEST_LIMIT })).results || []
+    );
+    setCacheHeaders(res, result);
+    res.json({ suggestions: result.value });
+  } catch (error) {
+    debug.warn('Error handling location suggestion request:', error.message);
+    sendUpstreamError(res, error, 'Failed to suggest locations');
   }
+});
+
+app.get('/api/reverse-geocode', geocodeLimiter, validateRequest({
+  lat: { rule: RULES.latitude, required: true },
+  lon: { rule: RULES.longitude, required: true }
+}), async (req, res) => {
+  const { lat, lon } = req.valid;
+  debug.info('Reverse geocode request received:', { lat, lon });
 
   try {
-    const data = await fetchReverseGeocoding(lat, lon);
+    const result = await reverseGeocode(lat, lon, REVERSE_GEOCODE_DECIMALS);
+
+    // Regions come from their own cache, so a failed lookup isn't kept for the geocode TTL
+    const data = { ...result.value };
+    if (data.found) {
+      data.regions = await resolveEbirdRegions(data.address);
+    }
+    setCacheHeaders(res, result);
     res.json(data);
   } catch (error) {
     debug.error('Reverse geocoding error:', error);
-    res.status(500).json({ 
-      found: false,
-      error: 'Failed to reverse geocode location',
-      details: error.message 
+    sendUpstreamError(res, error, 'Failed to reverse geocode location');
+  }
+});
+
+// Species names per photo lookup, matching what one map view can show
+const MAX_PHOTO_SPECIES = 500;
+
+// Name used for proxied image downloads in logs and metrics
+const PHOTO_IMAGE_SERVICE = 'Photos';
+
+/**
+ * Looks up photos for a batch of species, asking the photo provider only
+ * about species the photo store doesn't already know
+ * @param {string[]} species - Species names ("Scientific name_Common name")
+ * @returns {Promise<Object>} Map of species name to {imageUrl, thumbnailUrl},
+ * for species with a photo
+ * @throws {UpstreamError} If the provider lookup fails
+ */
+const lookupSpeciesPhotos = async (species) => {
+  const names = [...new Set(species)];
+  const photos = photoStore ? photoStore.getPhotos(photoProvider.name, names) : new Map();
+  const missing = names.filter(name => !photos.has(name));
+
+  const namespace = photoProvider.name;
+  metrics.cacheLookups.inc({ cache: 'photos', namespace, result: 'hit' }, photos.size);
+  metrics.cacheLookups.inc({ cache: 'photos', namespace, result: 'miss' }, missing.length);
+  debug.debug('Species photo lookup:', { cached: photos.size, missing: missing.length });
+
+  if (missing.length > 0) {
+    const found = await photoProvider.lookupPhotos(missing);
+    const fetched = new Map(missing.map(name => [name, found[name]?.imageUrl ? found[name] : null]));
+    photoStore?.savePhotos(photoProvider.name, fetched, {
+      ttlMs: config.PHOTO_CACHE_TTL * 1000,
+      missTtlMs: config.PHOTO_MISS_TTL * 1000
+    });
+    fetched.forEach((photo, name) => photos.set(name, photo));
+  }
+
+  const result = {};
+  photos.forEach((photo, name) => {
+    if (photo) {
+      result[name] = photo;
+    }
+  });
+  return result;
+};
+
+/**
+ * Points a photo at the image proxy route, relative to the API root
+ * @param {string} species - Species name
+ * @returns {{imageUrl: string, thumbnailUrl: string}} Proxied photo URLs
+ */
+const toProxiedPhoto = (species) => {
+  const imageUrl = `/api/photos/image?species=${encodeURIComponent(species)}`;
+  return { imageUrl: `${imageUrl}&size=full`, thumbnailUrl: `${imageUrl}&size=thumbnail` };
+};
+
+/**
+ * Responds 503 when species photos are off
+ */
+const requirePhotoProvider = (req, res, next) => {
+  if (!photoProvider) {
+    return res.status(503).json({ error: 'Species photos are not enabled' });
+  }
+  next();
+};
+
+app.post('/api/photos', photoLimiter, requirePhotoProvider, async (req, res) => {
+  const { species } = req.body || {};
+  debug.info('Received species photo request:', Array.isArray(species) ? species.length : species);
+
+  if (!Array.isArray(species) || species.length === 0 || species.length > MAX_PHOTO_SPECIES) {
+    return sendValidationError(res, { species: `Must be a list of 1 to ${MAX_PHOTO_SPECIES} species names` });
+  }
+  if (species.some(name => typeof name !== 'string' || RULES.speciesName(name).error)) {
+    return sendValidationError(res, { species: 'Each species name must be "Scientific name_Common name"' });
+  }
+
+  try {
+    const photos = await lookupSpeciesPhotos(species);
+    if (config.PHOTO_PROXY) {
+      Object.keys(photos).forEach(name => {
+        photos[name] = toProxiedPhoto(name);
+      });
+    }
+    res.json({ species: photos });
+  } catch (error) {
+    debug.error('Error handling species photo request:', error.message);
+    sendUpstreamError(res, error, 'Failed to fetch species photos');
+  }
+});
+
+// Serves a species photo through this server. Only photos the provider gave
+// for the species are fetched, so the route can't be used as an open proxy.
+app.get('/api/photos/image', requirePhotoProvider, validateRequest({
+  species: { rule: RULES.speciesName, required: true },
+  size: { rule: RULES.photoSize }
+}), async (req, res) => {
+  if (!config.PHOTO_PROXY) {
+    return res.status(404).json({ error: 'Photo proxy is not enabled' });
+  }
+
+  const { species, size = 'thumbnail' } = req.valid;
+  debug.debug('Received species image request:', { species, size });
+
+  try {
+    const photo = (await lookupSpeciesPhotos([species]))[species];
+    if (!photo) {
+      return res.status(404).json({ error: 'No photo for this species' });
+    }
+
+    const { contentType, body } = await fetchImage(size === 'full' ? photo.imageUrl : photo.thumbnailUrl, {
+      service: PHOTO_IMAGE_SERVICE,
+      timeoutMs: config.UPSTREAM_TIMEOUT_MS
     });
+    res.set({
+      'Content-Type': contentType,
+      'Cache-Control': `public, max-age=${config.PHOTO_CACHE_TTL}`,
+      // Served from our origin, so an SVG mustn't be able to run scripts
+      'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'",
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(body);
+  } catch (error) {
+    debug.error('Error handling species image request:', error.message);
+    sendUpstreamError(res, error, 'Failed to fetch species image');
+  }
+});
+
+app.get('/api/stream', validateRequest({
+  region: { rule: RULES.regionCode },
+  bbox: { rule: RULES.bbox },
+  ...SIGHTING_QUERY_SCHEMA
+}, ({ region, bbox }) => (region || bbox ? null : { bbox: 'Required when region is not given' })),
+(req, res) => {
+  debug.info('Received stream subscription:', req.query);
+
+  const { region, bbox, ...query } = req.valid;
+  // A region takes precedence; bounding boxes stay in their string form for the stream key
+  const area = region
+    ? { type: 'region', regionCode: region }
+    : { type: 'bbox', bbox: req.query.bbox };
+
+  if (sightingStream.subscriberCount >= STREAM_MAX_CLIENTS) {
+    debug.warn('Stream subscriber limit reached:', STREAM_MAX_CLIENTS);
+    return res.status(503).json({ error: 'Too many live subscribers, try again later' });
+  }
+
+  const key = [area.regionCode || area.bbox, query.species, query.back, query.detail, query.hotspot].join('|');
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 10000\n\n');
+
+  const unsubscribe = sightingStream.subscribe(key, { area, query }, (observations) => {
+    res.write(`event: sightings\ndata: ${JSON.stringify(observations)}\n\n`);
+  });
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * Responds 503 when watches are not enabled
+ */
+const requireWatchStore = (req, res, next) => {
+  if (!watchStore) {
+    return res.status(503).json({ error: 'Watches are not enabled' });
+  }
+  next();
+};
+
+/**
+ * Responds 401 unless the request carries the WATCH_API_TOKEN bearer token.
+ * Guards every route that changes watches or sends alerts.
+ */
+const requireWatchToken = (req, res, next) => {
+  if (req.get('Authorization') !== `Bearer ${config.WATCH_API_TOKEN}`) {
+    return res.status(401).json({ error: 'Changing watches requires a valid token' });
+  }
+  next();
+};
+
+/**
+ * Loads the watch named by the :id parameter, responding 400 for a malformed
+ * ID and 404 if the watch doesn't exist
+ */
+const loadWatch = [
+  validateRequest({ id: { rule: RULES.id, required: true } }),
+  (req, res, next) => {
+    const watch = watchStore.getWatch(req.valid.id);
+    if (!watch) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    req.watch = watch;
+    next();
+  }
+];
+
+app.get('/api/watches', requireWatchStore, (req, res) => {
+  res.json({
+    watches: watchStore.listWatches(),
+    notifiers: alertNotifiers.map(notifier => notifier.name)
+  });
+});
+
+app.post('/api/watches', requireWatchStore, requireWatchToken, async (req, res) => {
+  debug.info('Received watch definition:', req.body);
+
+  const { watch, fields } = parseWatch(req.body);
+  if (fields) {
+    return sendValidationError(res, fields);
+  }
+
+  if (watchStore.countWatches() >= config.WATCH_MAX_COUNT) {
+    debug.warn('Watch limit reached:', config.WATCH_MAX_COUNT);
+    return res.status(409).json({ error: `No more than ${config.WATCH_MAX_COUNT} watches can be saved` });
+  }
+
+  const created = watchStore.createWatch(watch);
+  // Sightings already reported aren't news; if they can't be fetched now, the first check sends them
+  try {
+    await watchScheduler.recordBaseline(created);
+  } catch (error) {
+    debug.warn('Failed to record watch baseline:', { id: created.id, error: error.message });
   }
+  res.status(201).json(created);
+});
+
+app.get('/api/watches/:id', requireWatchStore, loadWatch, (req, res) => {
+  res.json(req.watch);
+});
+
+app.put('/api/watches/:id', requireWatchStore, requireWatchToken, loadWatch, async (req, res) => {
+  debug.info('Received watch update:', { id: req.watch.id, body: req.body });
+
+  const { watch, fields } = parseWatch(req.body);
+  if (fields) {
+    return sendValidationError(res, fields);
+  }
+
+  const updated = watchStore.updateWatch(req.watch.id, watch);
+  // The new area or species may already have sightings; only later ones are alerts
+  try {
+    await watchScheduler.recordBaseline(updated);
+  } catch (error) {
+    debug.warn('Failed to record watch baseline:', { id: updated.id, error: error.message });
+  }
+  res.json(updated);
+});
+
+app.delete('/api/watches/:id', requireWatchStore, requireWatchToken, loadWatch, (req, res) => {
+  watchStore.deleteWatch(req.watch.id);
+  res.status(204).end();
+});
+
+// Checks a watch immediately instead of waiting for the scheduler
+app.post('/api/watches/:id/check', requireWatchStore, requireWatchToken, loadWatch, async (req, res) => {
+  try {
+    res.json(await watchScheduler.checkWatch(req.watch));
+  } catch (error) {
+    debug.error('Error checking watch:', error.message);
+    res.status(500).json({ error: 'Failed to check watch' });
+  }
+});
+
+// Prometheus metrics, optionally behind a bearer token
+app.get('/metrics', metricsHandler({ token: config.METRICS_TOKEN }));
+
+// Liveness: the process is up and handling requests
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: configuration loaded and the client build present to serve
+app.get('/readyz', (req, res) => {
+  // Invalid configuration stops the server at startup, so only warnings remain
+  const checks = {
+    config: { ok: true, warnings: configWarnings.length },
+    clientDist: fs.existsSync(path.join(clientDistDir, 'index.html'))
+      ? { ok: true }
+      : { ok: false, message: 'Client build not found, run npm run build in the client folder' }
+  };
+  const ready = Object.values(checks).every(check => check.ok);
+
+  res.set('Cache-Control', 'no-store');
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
 });
 
 // Handle React routing
 app.get('*', (req, res) => {
   debug.debug('Serving React app for path:', req.path);
-  res.sendFile(path.join(__dirname, '../client/dist/index.html'));
+  res.sendFile(path.join(clientDistDir, 'index.html'));
 });
 
-// Start server
-app.listen(port, () => {
-  debug.info(`Server running on port ${port}`);
-  debug.info('Debug level:', process.env.SERVER_DEBUG_LEVEL);
-});
\ No newline at end of file
+// Start server when run directly; tests load the app without listening
+if (require.main === module) {
+  app.listen(port, () => {
+    debug.info(`Server running on port ${port}`);
+    debug.info('Debug level:', config.SERVER_DEBUG_LEVEL);
+    if (watchScheduler) {
+      watchScheduler.start();
+    }
+  });
+}
+
+module.exports = { app };
\ No newline at end of file
@@ -0,0 +1,231 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Persistent SQLite store for eBird observations. Every record
+* fetched from eBird is kept, de-duplicated on checklist and species, with an
+* R*Tree spatial index so history can be queried by bounding box and date
+* range beyond eBird's 30-day lookback.
+*
+* Dependencies: better-sqlite3, fs, path, utils/debug.js
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { debug } = require('../utils/debug');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS observations (
+    id INTEGER PRIMARY KEY,
+    sub_id TEXT NOT NULL,
+    species_code TEXT NOT NULL,
+    com_name TEXT,
+    sci_name TEXT,
+    loc_id TEXT,
+    loc_name TEXT,
+    lat REAL NOT NULL,
+    lng REAL NOT NULL,
+    obs_dt TEXT NOT NULL,
+    record TEXT NOT NULL,
+    first_stored_at TEXT NOT NULL,
+    last_stored_at TEXT NOT NULL,
+    UNIQUE (sub_id, species_code)
+  );
+  CREATE INDEX IF NOT EXISTS observations_obs_dt ON observations (obs_dt);
+  CREATE INDEX IF NOT EXISTS observations_species ON observations (species_code, obs_dt);
+  CREATE VIRTUAL TABLE IF NOT EXISTS observations_rtree USING rtree (
+    id, min_lat, max_lat, min_lng, max_lng
+  );
+`;
+
+/**
+ * @typedef {Object} HistoryFilter
+ * @property {Object} bbox - Area to search (minLng, minLat, maxLng, maxLat)
+ * @property {string} from - First date to include (YYYY-MM-DD)
+ * @property {string} to - Last date to include (YYYY-MM-DD)
+ * @property {string} [species] - Optional eBird species code
+ */
+
+/**
+ * SQLite backed history of eBird observations
+ */
+class ObservationStore {
+  /**
+   * Opens (and if needed creates) the database file
+   * @param {string} dbPath - Path to the SQLite database file
+   */
+  constructor(dbPath) {
+    // Required here rather than at load time, so the native module is only
+    // needed when the history database is configured
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.upsertStatement = this.db.prepare(`
+      INSERT INTO observations (
+        sub_id, species_code, com_name, sci_name, loc_id, loc_name,
+        lat, lng, obs_dt, record, first_stored_at, last_stored_at
+      ) VALUES (
+        @subId, @speciesCode, @comName, @sciName, @locId, @locName,
+        @lat, @lng, @obsDt, @record, @storedAt, @storedAt
+      )
+      ON CONFLICT (sub_id, species_code) DO UPDATE SET
+        com_name = excluded.com_name,
+        sci_name = excluded.sci_name,
+        loc_name = excluded.loc_name,
+        obs_dt = excluded.obs_dt,
+        record = json_patch(observations.record, excluded.record),
+        last_stored_at = excluded.last_stored_at
+      RETURNING id, lat, lng
+    `);
+    this.indexStatement = this.db.prepare(`
+      INSERT OR REPLACE INTO observations_rtree (id, min_lat, max_lat, min_lng, max_lng)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    this.saveAll = this.db.transaction((observations, storedAt) => {
+      observations.forEach(observation => {
+        const row = this.upsertStatement.get({
+          subId: observation.subId,
+          speciesCode: observation.speciesCode,
+          comName: observation.comName || null,
+          sciName: observation.sciName || null,
+          locId: observation.locId || null,
+          locName: observation.locName || null,
+          lat: observation.lat,
+          lng: observation.lng,
+          obsDt: observation.obsDt,
+          record: JSON.stringify(observation),
+          storedAt
+        });
+        this.indexStatement.run(row.id, row.lat, row.lat, row.lng, row.lng);
+      });
+    });
+
+    debug.info('Observation store opened:', dbPath);
+  }
+
+  /**
+   * Stores observations, updating any already seen for the same checklist and species.
+   * Stored records are merged, so fields from a full-detail fetch are kept when
+   * the same observation later arrives with simple detail.
+   * @param {Object[]} observations - Raw eBird observation records
+   * @returns {number} Number of records written
+   */
+  save(observations) {
+    const valid = observations.filter(observation =>
+      observation.subId && observation.speciesCode && observation.obsDt &&
+      Number.isFinite(observation.lat) && Number.isFinite(observation.lng)
+    );
+    this.saveAll(valid, new Date().toISOString());
+    debug.debug('Stored observations:', valid.length);
+    return valid.length;
+  }
+
+  /**
+   * Builds the shared WHERE clause and parameters for history queries
+   * @param {HistoryFilter} filter - Query filter
+   * @returns {{where: string, params: Object}} SQL fragment and bound parameters
+   */
+  buildFilter({ bbox, from, to, species }) {
+    const clauses = [
+      'r.min_lat >= @minLat', 'r.max_lat <= @maxLat',
+      'r.min_lng >= @minLng', 'r.max_lng <= @maxLng',
+      'o.obs_dt >= @from', 'o.obs_dt < @before'
+    ];
+    const params = {
+      ...bbox,
+      from,
+      // obs_dt may include a time, so compare against the start of the next day
+      before: new Date(Date.parse(to) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+    };
+
+    if (species) {
+      clauses.push('o.species_code = @species');
+      params.species = species;
+    }
+
+    return {
+      where: `FROM observations_rtree r JOIN observations o ON o.id = r.id WHERE ${clauses.join(' AND ')}`,
+      params
+    };
+  }
+
+  /**
+   * Finds stored sightings, newest first, in the same shape eBird returns them
+   * @param {HistoryFilter} filter - Query filter
+   * @param {number} [limit=10000] - Maximum records to return
+   * @returns {Object[]} Observation records
+   */
+  findSightings(filter, limit = 10000) {
+    const { where, params } = this.buildFilter(filter);
+    return this.db
+      .prepare(`SELECT o.record ${where} ORDER BY o.obs_dt DESC LIMIT @limit`)
+      .all({ ...params, limit })
+      .map(row => JSON.parse(row.record));
+  }
+
+  /**
+   * Summarizes stored sightings per species
+   * @param {HistoryFilter} filter - Query filter
+   * @returns {Object[]} First and last observation dates and report counts per species
+   */
+  summarizeSpecies(filter) {
+    const { where, params } = this.buildFilter(filter);
+    return this.db.prepare(`
+      SELECT
+        o.species_code AS speciesCode,
+        MAX(o.com_name) AS comName,
+        MAX(o.sci_name) AS sciName,
+        MIN(o.obs_dt) AS firstSeen,
+        MAX(o.obs_dt) AS lastSeen,
+        COUNT(DISTINCT o.sub_id) AS reportCount,
+        COUNT(DISTINCT o.loc_id) AS locationCount
+      ${where}
+      GROUP BY o.species_code
+      ORDER BY lastSeen DESC
+    `).all(params);
+  }
+
+  /**
+   * Counts stored reports per day
+   * @param {HistoryFilter} filter - Query filter
+   * @returns {Object[]} Checklist, observation and species counts per date
+   */
+  countReports(filter) {
+    const { where, params } = this.buildFilter(filter);
+    return this.db.prepare(`
+      SELECT
+        substr(o.obs_dt, 1, 10) AS date,
+        COUNT(DISTINCT o.sub_id) AS checklists,
+        COUNT(*) AS observations,
+        COUNT(DISTINCT o.species_code) AS species
+      ${where}
+      GROUP BY date
+      ORDER BY date
+    `).all(params);
+  }
+
+  /**
+   * Closes the database connection
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { ObservationStore };
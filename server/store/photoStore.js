@@ -0,0 +1,149 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Persistent SQLite cache of species photo lookups, kept per
+* photo provider. Species the provider has no photo for are remembered too,
+* so they aren't looked up again on every map move.
+*
+* Dependencies: better-sqlite3, fs, path, utils/debug.js
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { debug } = require('../utils/debug');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS species_photos (
+    provider TEXT NOT NULL,
+    species TEXT NOT NULL,
+    image_url TEXT,
+    thumbnail_url TEXT,
+    stored_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    PRIMARY KEY (provider, species)
+  );
+  CREATE INDEX IF NOT EXISTS species_photos_expires_at ON species_photos (expires_at);
+`;
+
+/**
+ * @typedef {Object} SpeciesPhoto
+ * @property {string} imageUrl - Full size photo URL
+ * @property {string} thumbnailUrl - Thumbnail URL
+ */
+
+/**
+ * SQLite backed cache of species photo URLs
+ */
+class PhotoStore {
+  /**
+   * Opens (and if needed creates) the database file
+   * @param {string} dbPath - Path to the SQLite database file
+   */
+  constructor(dbPath) {
+    // The native SQLite module is only loaded once a photo cache is opened
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.getStatement = this.db.prepare(`
+      SELECT image_url AS imageUrl, thumbnail_url AS thumbnailUrl
+      FROM species_photos
+      WHERE provider = ? AND species = ? AND expires_at > ?
+    `);
+    this.upsertStatement = this.db.prepare(`
+      INSERT INTO species_photos (provider, species, image_url, thumbnail_url, stored_at, expires_at)
+      VALUES (@provider, @species, @imageUrl, @thumbnailUrl, @storedAt, @expiresAt)
+      ON CONFLICT (provider, species) DO UPDATE SET
+        image_url = excluded.image_url,
+        thumbnail_url = excluded.thumbnail_url,
+        stored_at = excluded.stored_at,
+        expires_at = excluded.expires_at
+    `);
+    this.saveAll = this.db.transaction((rows) => {
+      rows.forEach(row => this.upsertStatement.run(row));
+    });
+
+    debug.info('Photo store opened:', dbPath);
+  }
+
+  /**
+   * Finds unexpired lookups for a batch of species
+   * @param {string} provider - Photo provider name
+   * @param {string[]} species - Species names
+   * @returns {Map<string, SpeciesPhoto|null>} Cached species, with null for
+   * those the provider has no photo for. Species not cached are left out.
+   */
+  getPhotos(provider, species) {
+    const now = Date.now();
+    const found = new Map();
+    species.forEach(name => {
+      const row = this.getStatement.get(provider, name, now);
+      if (row) {
+        found.set(name, row.imageUrl ? row : null);
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Stores lookup results. Species without a photo expire after missTtlMs,
+   * so a photo added upstream later is picked up sooner.
+   * @param {string} provider - Photo provider name
+   * @param {Map<string, SpeciesPhoto|null>} photos - Photo, or null, per species
+   * @param {Object} ttls
+   * @param {number} ttls.ttlMs - Milliseconds to keep a photo
+   * @param {number} ttls.missTtlMs - Milliseconds to remember a species has no photo
+   */
+  savePhotos(provider, photos, { ttlMs, missTtlMs }) {
+    const storedAt = Date.now();
+    const rows = [...photos].map(([species, photo]) => ({
+      provider,
+      species,
+      imageUrl: photo?.imageUrl || null,
+      thumbnailUrl: photo?.thumbnailUrl || photo?.imageUrl || null,
+      storedAt,
+      expiresAt: storedAt + (photo?.imageUrl ? ttlMs : missTtlMs)
+    }));
+    this.saveAll(rows);
+    debug.debug('Stored species photos:', rows.length);
+  }
+
+  /**
+   * Deletes expired lookups
+   * @returns {number} Rows deleted
+   */
+  prune() {
+    const { changes } = this.db.prepare('DELETE FROM species_photos WHERE expires_at <= ?').run(Date.now());
+    debug.info('Pruned expired species photos:', changes);
+    return changes;
+  }
+
+  /**
+   * @returns {number} Stored lookups, including expired ones not yet pruned
+   */
+  count() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM species_photos').get().count;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { PhotoStore };
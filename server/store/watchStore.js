@@ -0,0 +1,261 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: SQLite store for saved watch areas and the rare-bird alerts
+* already delivered for them. Deliveries are recorded per notifier, so a
+* notifier that fails is retried on the next check without repeating the
+* alerts other notifiers already sent.
+*
+* Dependencies: better-sqlite3, fs, path, utils/debug.js
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { debug } = require('../utils/debug');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS watches (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    area TEXT NOT NULL,
+    species TEXT NOT NULL,
+    back INTEGER NOT NULL,
+    notifiers TEXT,
+    created_at TEXT NOT NULL,
+    last_checked_at TEXT,
+    last_error TEXT
+  );
+  CREATE TABLE IF NOT EXISTS watch_deliveries (
+    watch_id INTEGER NOT NULL REFERENCES watches (id) ON DELETE CASCADE,
+    notifier TEXT NOT NULL,
+    sub_id TEXT NOT NULL,
+    species_code TEXT NOT NULL,
+    delivered_at TEXT NOT NULL,
+    PRIMARY KEY (watch_id, notifier, sub_id, species_code)
+  );
+`;
+
+/**
+ * @typedef {Object} WatchArea
+ * @property {string} type - 'circle', 'bbox' or 'region'
+ * @property {number} [lat] - Circle center latitude
+ * @property {number} [lng] - Circle center longitude
+ * @property {number} [dist] - Circle radius in km
+ * @property {string} [bbox] - Bounding box as "minLng,minLat,maxLng,maxLat"
+ * @property {string} [regionCode] - eBird region code
+ */
+
+/**
+ * @typedef {Object} Watch
+ * @property {number} id - Watch ID
+ * @property {string} name - Display name used in alerts
+ * @property {WatchArea} area - Area to watch
+ * @property {string[]} species - Species codes to alert on, empty for all rarities
+ * @property {number} back - Days to look back
+ * @property {string[]|null} notifiers - Notifier names to use, null for all configured
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} lastCheckedAt - ISO timestamp of the last check
+ * @property {string|null} lastError - Error from the last check, if any
+ */
+
+/**
+ * Converts a database row to a watch
+ * @param {Object} row - Row from the watches table
+ * @returns {Watch} Watch definition
+ */
+const toWatch = (row) => ({
+  id: row.id,
+  name: row.name,
+  area: JSON.parse(row.area),
+  species: JSON.parse(row.species),
+  back: row.back,
+  notifiers: row.notifiers ? JSON.parse(row.notifiers) : null,
+  createdAt: row.created_at,
+  lastCheckedAt: row.last_checked_at,
+  lastError: row.last_error
+});
+
+/**
+ * SQLite backed watch definitions and delivery history
+ */
+class WatchStore {
+  /**
+   * Opens (and if needed creates) the database file
+   * @param {string} dbPath - Path to the SQLite database file
+   */
+  constructor(dbPath) {
+    // Loaded on first use, so servers without watches don't need the native module
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+
+    this.deliveredStatement = this.db.prepare(`
+      SELECT 1 FROM watch_deliveries
+      WHERE watch_id = ? AND notifier = ? AND sub_id = ? AND species_code = ?
+    `);
+    this.deliverStatement = this.db.prepare(`
+      INSERT OR IGNORE INTO watch_deliveries (watch_id, notifier, sub_id, species_code, delivered_at)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    this.markAll = this.db.transaction((watchId, notifier, sightings, deliveredAt) => {
+      sightings.forEach(sighting => {
+        this.deliverStatement.run(watchId, notifier, sighting.subId, sighting.speciesCode, deliveredAt);
+      });
+    });
+
+    debug.info('Watch store opened:', dbPath);
+  }
+
+  /**
+   * Lists all watches, oldest first
+   * @returns {Watch[]} Saved watches
+   */
+  listWatches() {
+    return this.db.prepare('SELECT * FROM watches ORDER BY id').all().map(toWatch);
+  }
+
+  /**
+   * Counts saved watches
+   * @returns {number} Number of watches
+   */
+  countWatches() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM watches').get().count;
+  }
+
+  /**
+   * Finds a watch by ID
+   * @param {number} id - Watch ID
+   * @returns {Watch|null} The watch, or null if it doesn't exist
+   */
+  getWatch(id) {
+    const row = this.db.prepare('SELECT * FROM watches WHERE id = ?').get(id);
+    return row ? toWatch(row) : null;
+  }
+
+  /**
+   * Saves a new watch
+   * @param {Object} definition - Validated name, area, species, back and notifiers
+   * @returns {Watch} The saved watch
+   */
+  createWatch({ name, area, species, back, notifiers }) {
+    const { lastInsertRowid } = this.db.prepare(`
+      INSERT INTO watches (name, area, species, back, notifiers, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      name,
+      JSON.stringify(area),
+      JSON.stringify(species),
+      back,
+      notifiers ? JSON.stringify(notifiers) : null,
+      new Date().toISOString()
+    );
+    debug.info('Watch created:', lastInsertRowid);
+    return this.getWatch(lastInsertRowid);
+  }
+
+  /**
+   * Replaces a watch definition, keeping its delivery history
+   * @param {number} id - Watch ID
+   * @param {Object} definition - Validated name, area, species, back and notifiers
+   * @returns {Watch|null} The updated watch, or null if it doesn't exist
+   */
+  updateWatch(id, { name, area, species, back, notifiers }) {
+    const { changes } = this.db.prepare(`
+      UPDATE watches SET name = ?, area = ?, species = ?, back = ?, notifiers = ?
+      WHERE id = ?
+    `).run(
+      name,
+      JSON.stringify(area),
+      JSON.stringify(species),
+      back,
+      notifiers ? JSON.stringify(notifiers) : null,
+      id
+    );
+    return changes ? this.getWatch(id) : null;
+  }
+
+  /**
+   * Deletes a watch and its delivery history
+   * @param {number} id - Watch ID
+   * @returns {boolean} Whether a watch was deleted
+   */
+  deleteWatch(id) {
+    const { changes } = this.db.prepare('DELETE FROM watches WHERE id = ?').run(id);
+    debug.info('Watch deleted:', { id, deleted: changes > 0 });
+    return changes > 0;
+  }
+
+  /**
+   * Records the outcome of a watch check
+   * @param {number} id - Watch ID
+   * @param {string|null} error - Error message, or null if the check succeeded
+   */
+  recordCheck(id, error) {
+    this.db.prepare('UPDATE watches SET last_checked_at = ?, last_error = ? WHERE id = ?')
+      .run(new Date().toISOString(), error, id);
+  }
+
+  /**
+   * Keeps only sightings not yet delivered to a notifier for a watch
+   * @param {number} watchId - Watch ID
+   * @param {string} notifier - Notifier name
+   * @param {Object[]} sightings - eBird observation records
+   * @returns {Object[]} Sightings still to deliver
+   */
+  filterUndelivered(watchId, notifier, sightings) {
+    return sightings.filter(sighting =>
+      !this.deliveredStatement.get(watchId, notifier, sighting.subId, sighting.speciesCode)
+    );
+  }
+
+  /**
+   * Marks sightings as delivered to a notifier for a watch
+   * @param {number} watchId - Watch ID
+   * @param {string} notifier - Notifier name
+   * @param {Object[]} sightings - Delivered eBird observation records
+   */
+  markDelivered(watchId, notifier, sightings) {
+    this.markAll(watchId, notifier, sightings, new Date().toISOString());
+    debug.debug('Marked sightings delivered:', { watchId, notifier, count: sightings.length });
+  }
+
+  /**
+   * Forgets deliveries older than the given age
+   * @param {number} maxAgeMs - Age in milliseconds past which deliveries are deleted
+   * @returns {number} Deliveries deleted
+   */
+  pruneDeliveries(maxAgeMs) {
+    const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
+    const { changes } = this.db.prepare('DELETE FROM watch_deliveries WHERE delivered_at < ?').run(cutoff);
+    if (changes > 0) {
+      debug.info('Pruned watch deliveries:', changes);
+    }
+    return changes;
+  }
+
+  /**
+   * Closes the database connection
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { WatchStore };
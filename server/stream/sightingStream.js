@@ -0,0 +1,174 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Shared poller behind the live sightings stream. Subscribers
+* with the same area and filter share one subscription group; on every tick
+* each group is fetched once and only observations it hasn't seen before are
+* pushed to its subscribers.
+*
+* Dependencies: utils/debug.js
+*/
+
+const { debug, withoutRequestContext } = require('../utils/debug');
+
+/**
+ * Identifies an observation across polls
+ * @param {Object} observation - eBird observation record
+ * @returns {string} Checklist and species key
+ */
+const observationKey = (observation) => `${observation.subId}|${observation.speciesCode}`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Polls subscribed areas on a shared schedule and pushes new observations
+ */
+class SightingStream {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetchSightings - Async function returning observations for a subscription's params
+   * @param {number} options.intervalMs - Time between polls in milliseconds
+   * @param {number} [options.seenTtlMs=86400000] - How long an observation missing from
+   * the results is remembered, so one that drops out and comes back isn't pushed again
+   */
+  constructor({ fetchSightings, intervalMs, seenTtlMs = DAY_MS }) {
+    this.fetchSightings = fetchSightings;
+    this.intervalMs = intervalMs;
+    this.seenTtlMs = seenTtlMs;
+    this.groups = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Number of connected subscribers across all groups
+   * @returns {number} Subscriber count
+   */
+  get subscriberCount() {
+    let count = 0;
+    this.groups.forEach(group => {
+      count += group.subscribers.size;
+    });
+    return count;
+  }
+
+  /**
+   * Adds a subscriber. Observations already reported when its group is first
+   * polled are taken as the baseline and not pushed.
+   * @param {string} key - Subscription key shared by identical area and filter
+   * @param {Object} params - Parameters passed to fetchSightings
+   * @param {Function} send - Called with an array of new observations
+   * @returns {Function} Removes the subscriber
+   */
+  subscribe(key, params, send) {
+    if (!this.groups.has(key)) {
+      this.groups.set(key, { params, seen: null, subscribers: new Set() });
+      // Take the baseline now so the first tick already reports new sightings
+      this.pollGroup(key, this.groups.get(key));
+    }
+
+    const group = this.groups.get(key);
+    group.subscribers.add(send);
+    debug.debug('Stream subscriber added:', { key, subscribers: group.subscribers.size });
+
+    if (!this.timer) {
+      debug.info('Starting sighting stream poller:', { intervalMs: this.intervalMs });
+      // The poller serves every subscriber, not the request that started it
+      this.timer = withoutRequestContext(() => setInterval(() => this.poll(), this.intervalMs));
+    }
+
+    return () => {
+      group.subscribers.delete(send);
+      debug.debug('Stream subscriber removed:', { key, subscribers: group.subscribers.size });
+
+      if (group.subscribers.size === 0) {
+        this.groups.delete(key);
+      }
+      if (this.groups.size === 0) {
+        this.stop();
+      }
+    };
+  }
+
+  /**
+   * Stops polling
+   */
+  stop() {
+    if (this.timer) {
+      debug.info('Stopping sighting stream poller');
+    }
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Polls every group once. Skipped if the previous poll is still going.
+   */
+  async poll() {
+    if (this.polling) {
+      debug.warn('Previous stream poll still running, skipping');
+      return;
+    }
+
+    this.polling = true;
+    try {
+      for (const [key, group] of this.groups) {
+        await this.pollGroup(key, group);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Fetches a group's observations and pushes the unseen ones to its subscribers
+   * @param {string} key - Subscription key
+   * @param {Object} group - Subscription group
+   */
+  async pollGroup(key, group) {
+    let observations;
+    try {
+      observations = await this.fetchSightings(group.params);
+    } catch (error) {
+      debug.error('Stream poll failed:', { key, error: error.message });
+      return;
+    }
+
+    const isBaseline = group.seen === null;
+    const fresh = isBaseline
+      ? []
+      : observations.filter(observation => !group.seen.has(observationKey(observation)));
+
+    // Pushed keys map to when they were last reported; forgetting the stale ones keeps memory bounded
+    const now = Date.now();
+    group.seen = group.seen || new Map();
+    observations.forEach(observation => group.seen.set(observationKey(observation), now));
+    group.seen.forEach((lastSeen, seenKey) => {
+      if (now - lastSeen > this.seenTtlMs) {
+        group.seen.delete(seenKey);
+      }
+    });
+
+    debug.debug('Stream poll complete:', { key, total: observations.length, fresh: fresh.length, isBaseline });
+
+    if (fresh.length > 0) {
+      group.subscribers.forEach(send => send(fresh));
+    }
+  }
+}
+
+module.exports = { SightingStream };
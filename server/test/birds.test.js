@@ -0,0 +1,181 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for the sighting routes: /api/birds (recent, rare and
+* single species, circle and bounding box) and /api/region-species.
+*
+* Dependencies: node:test, test/helpers.js
+*/
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startUpstream, startServer } = require('./helpers');
+
+const NOTABLE_SPECIES = ['tufduc', 'brnboo', 'vermfly'];
+
+describe('sighting routes', () => {
+  let upstream;
+  let server;
+
+  before(async () => {
+    upstream = await startUpstream();
+    server = await startServer(upstream);
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  const getJson = async (pathname) => {
+    const response = await fetch(`${server.url}${pathname}`);
+    return { response, body: await response.json() };
+  };
+
+  describe('GET /api/birds', () => {
+    it('returns the latest sighting of each recent species', async () => {
+      const { response, body } = await getJson('/api/birds?lat=36.97&lng=-122.03&dist=25&back=30');
+
+      assert.equal(response.status, 200);
+      assert.ok(body.length > 0);
+      const codes = body.map(sighting => sighting.speciesCode);
+      assert.equal(new Set(codes).size, codes.length);
+
+      const [request] = upstream.requests;
+      assert.equal(request.path, '/ebird/v2/data/obs/geo/recent');
+      assert.equal(request.headers['x-ebirdapitoken'], 'test-key');
+      assert.deepEqual(
+        { lat: request.query.lat, lng: request.query.lng, back: request.query.back },
+        { lat: '36.97', lng: '-122.03', back: '30' }
+      );
+      // The radius is widened to cover rounding the center to the cache grid
+      assert.ok(Number(request.query.dist) >= 25);
+    });
+
+    it('returns only notable species for species=rare', async () => {
+      const { response, body } = await getJson('/api/birds?lat=36.8&lng=-121.9&dist=50&back=30&species=rare');
+
+      assert.equal(response.status, 200);
+      assert.ok(body.length > 0);
+      body.forEach(sighting => assert.ok(NOTABLE_SPECIES.includes(sighting.speciesCode)));
+      assert.equal(upstream.requests[0].path, '/ebird/v2/data/obs/geo/recent/notable');
+    });
+
+    it('returns sightings of one species by code', async () => {
+      const { response, body } = await getJson('/api/birds?lat=36.8&lng=-121.9&dist=50&back=30&species=blkpho');
+
+      assert.equal(response.status, 200);
+      assert.ok(body.length > 0);
+      body.forEach(sighting => assert.equal(sighting.speciesCode, 'blkpho'));
+      assert.equal(upstream.requests[0].path, '/ebird/v2/data/obs/geo/recent/blkpho');
+    });
+
+    it('serves a repeated query from the cache', async () => {
+      const url = '/api/birds?lat=36.6&lng=-121.89&dist=10&back=30';
+      const first = await fetch(`${server.url}${url}`);
+      const second = await fetch(`${server.url}${url}`);
+
+      assert.equal(first.headers.get('x-cache'), 'MISS');
+      assert.equal(second.headers.get('x-cache'), 'HIT');
+      assert.deepEqual(await second.json(), await first.json());
+      assert.equal(upstream.requests.length, 1);
+    });
+
+    it('clips bounding box queries to the box', async () => {
+      const bbox = [-122.1, 36.9, -121.9, 37.0];
+      const { response, body } = await getJson(`/api/birds?bbox=${bbox.join(',')}&back=30`);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('x-coverage'), 'complete');
+      body.forEach(({ lat, lng }) => {
+        assert.ok(lng >= bbox[0] && lng <= bbox[2] && lat >= bbox[1] && lat <= bbox[3]);
+      });
+    });
+
+    it('queries the state around a box too large to tile', async () => {
+      upstream.override('/ebird/v2/ref/region/info/US-CA', (req, res) => res.json({
+        result: 'California, United States',
+        bounds: { minX: -124.5, maxX: -114.1, minY: 32.5, maxY: 42.0 }
+      }));
+      const bbox = [-124.4, 34, -119.6, 40];
+      const { response, body } = await getJson(`/api/birds?bbox=${bbox.join(',')}&back=30`);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('x-coverage'), 'complete');
+      assert.equal(response.headers.get('x-region'), 'US-CA');
+      assert.ok(body.length > 0);
+      const observationRequests = upstream.requests.filter(request => request.path.startsWith('/ebird/v2/data/obs/'));
+      assert.deepEqual(observationRequests.map(request => request.path), ['/ebird/v2/data/obs/US-CA/recent']);
+    });
+
+    it('falls back to the tiles nearest the center of a whole-world box', async () => {
+      const started = Date.now();
+      const { response } = await getJson('/api/birds?bbox=-180,-90,180,90&back=30');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('x-coverage'), 'partial');
+      assert.equal(response.headers.get('x-tiles'), '16/259200');
+      assert.ok(Date.now() - started < 2000);
+    });
+
+    it('rejects invalid parameters without calling eBird', async () => {
+      const { response, body } = await getJson('/api/birds?lat=95&lng=-122.03&species=AMEROB&back=60');
+
+      assert.equal(response.status, 400);
+      assert.equal(body.code, 'invalid_request');
+      assert.deepEqual(Object.keys(body.fields).sort(), ['back', 'lat', 'species']);
+      assert.equal(upstream.requests.length, 0);
+    });
+
+    it('only accepts plain decimal numbers', async () => {
+      const { response, body } = await getJson('/api/birds?lat=0x1A&lng=%20-122.03&dist=1e1&back=7');
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(Object.keys(body.fields).sort(), ['dist', 'lat', 'lng']);
+      assert.equal(upstream.requests.length, 0);
+    });
+
+    it('requires a location', async () => {
+      const { response, body } = await getJson('/api/birds');
+
+      assert.equal(response.status, 400);
+      assert.equal(body.fields.lat, 'Required');
+      assert.equal(body.fields.lng, 'Required');
+    });
+  });
+
+  describe('GET /api/region-species/:regionCode', () => {
+    it('returns the species codes reported in a region', async () => {
+      const { response, body } = await getJson('/api/region-species/us-ca-087');
+
+      assert.equal(response.status, 200);
+      assert.ok(body.includes('blkpho'));
+      assert.deepEqual(body, [...body].sort());
+      assert.equal(upstream.requests[0].path, '/ebird/v2/product/spplist/US-CA-087');
+    });
+
+    it('rejects a malformed region code', async () => {
+      const { response, body } = await getJson('/api/region-species/not-a-region!');
+
+      assert.equal(response.status, 400);
+      assert.ok(body.fields.regionCode);
+      assert.equal(upstream.requests.length, 0);
+    });
+  });
+});
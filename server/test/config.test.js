@@ -0,0 +1,146 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for reading and checking the server configuration.
+*
+* Dependencies: node:test, config.js
+*/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../config');
+
+const BASE_DIR = path.resolve(__dirname, '..');
+
+describe('loadConfig', () => {
+  it('applies defaults and types values', () => {
+    const { config, warnings } = loadConfig({
+      EBIRD_API_KEY: 'key',
+      ALLOWED_ORIGINS: 'http://localhost:5173, https://birds.example.com/',
+      CACHE_TTL_BIRDS: '60',
+      SMTP_SECURE: 'TRUE'
+    }, BASE_DIR);
+
+    assert.equal(config.PORT, 3000);
+    assert.deepEqual(config.ALLOWED_ORIGINS, ['http://localhost:5173', 'https://birds.example.com']);
+    assert.equal(config.CACHE_TTL_BIRDS, 60);
+    assert.equal(config.CACHE_TTL_HOTSPOTS, 86400);
+    assert.equal(config.SMTP_SECURE, true);
+    assert.equal(config.ACCESS_LOG, true);
+    assert.equal(config.CLIENT_DIST_DIR, path.resolve(BASE_DIR, '../client/dist'));
+    assert.equal(config.OBSERVATION_DB_PATH, undefined);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('allows ALLOWED_ORIGINS to be unset', () => {
+    const { config } = loadConfig({ EBIRD_API_KEY: 'key' }, BASE_DIR);
+
+    assert.deepEqual(config.ALLOWED_ORIGINS, []);
+  });
+
+  it('treats empty values as unset', () => {
+    const { config } = loadConfig({ EBIRD_API_KEY: 'key', PORT: '', WATCH_DB_PATH: ' ' }, BASE_DIR);
+
+    assert.equal(config.PORT, 3000);
+    assert.equal(config.WATCH_DB_PATH, undefined);
+  });
+
+  it('warns when geocoding the public Nominatim faster than once a second', () => {
+    const { warnings } = loadConfig({ EBIRD_API_KEY: 'key', GEOCODER_MIN_INTERVAL_MS: '200' }, BASE_DIR);
+    const { warnings: selfHosted } = loadConfig({
+      EBIRD_API_KEY: 'key',
+      GEOCODER_MIN_INTERVAL_MS: '0',
+      NOMINATIM_API_URL: 'http://nominatim.internal:8080'
+    }, BASE_DIR);
+
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /^GEOCODER_MIN_INTERVAL_MS is below 1000/);
+    assert.deepEqual(selfHosted, []);
+  });
+
+  it('leaves type-ahead suggestions off unless chosen', () => {
+    const { config } = loadConfig({ EBIRD_API_KEY: 'key' }, BASE_DIR);
+
+    assert.equal(config.SUGGEST_GEOCODER, 'off');
+  });
+
+  it('refuses suggestions from the public Nominatim', () => {
+    assert.throws(
+      () => loadConfig({ EBIRD_API_KEY: 'key', SUGGEST_GEOCODER: 'nominatim' }, BASE_DIR),
+      /SUGGEST_GEOCODER=nominatim needs a self-hosted NOMINATIM_API_URL/
+    );
+
+    const { config } = loadConfig({
+      EBIRD_API_KEY: 'key',
+      SUGGEST_GEOCODER: 'nominatim',
+      NOMINATIM_API_URL: 'http://nominatim.internal:8080'
+    }, BASE_DIR);
+    assert.equal(config.SUGGEST_GEOCODER, 'nominatim');
+  });
+
+  it('keeps species photos on disk by default', () => {
+    const { config } = loadConfig({ EBIRD_API_KEY: 'key' }, BASE_DIR);
+    const { warnings } = loadConfig({ EBIRD_API_KEY: 'key', PHOTO_PROVIDER: 'off', PHOTO_PROXY: 'true' }, BASE_DIR);
+
+    assert.equal(config.PHOTO_PROVIDER, 'birdweather');
+    assert.equal(config.PHOTO_DB_PATH, path.resolve(BASE_DIR, 'data/photos.db'));
+    assert.equal(config.PHOTO_CACHE_TTL, 604800);
+    assert.equal(config.PHOTO_PROXY, false);
+    assert.deepEqual(warnings, ['PHOTO_PROXY is set but PHOTO_PROVIDER=off, so there are no photos to proxy']);
+  });
+
+  it('requires a token to enable watches', () => {
+    assert.throws(
+      () => loadConfig({ EBIRD_API_KEY: 'key', WATCH_DB_PATH: 'data/watches.db' }, BASE_DIR),
+      /WATCH_DB_PATH needs WATCH_API_TOKEN/
+    );
+
+    const { config } = loadConfig({ EBIRD_API_KEY: 'key', WATCH_DB_PATH: 'data/watches.db', WATCH_API_TOKEN: 'secret' }, BASE_DIR);
+    assert.equal(config.WATCH_MAX_COUNT, 50);
+  });
+
+  it('reports every invalid variable at once', () => {
+    assert.throws(() => loadConfig({
+      EBIRD_API_KEY: 'key',
+      PORT: 'eighty',
+      ALLOWED_ORIGINS: 'localhost:5173',
+      UPSTREAM_MODE: 'playback',
+      EBIRD_API_URL: 'ftp://example.com'
+    }, BASE_DIR), (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.equal(error.problems.length, 4);
+      assert.match(error.problems[0], /^PORT must be a whole number from 1 to 65535/);
+      assert.match(error.message, /ALLOWED_ORIGINS must be comma-separated origins/);
+      assert.match(error.message, /UPSTREAM_MODE must be one of live, record, replay/);
+      assert.match(error.message, /EBIRD_API_URL must be an http or https URL/);
+      return true;
+    });
+  });
+
+  it('requires an eBird API key for the public API', () => {
+    assert.throws(() => loadConfig({}, BASE_DIR), /EBIRD_API_KEY is required/);
+  });
+
+  it('only warns about a missing key for a custom eBird URL or replay', () => {
+    const mock = loadConfig({ EBIRD_API_URL: 'http://localhost:3100/ebird/v2' }, BASE_DIR);
+    const replay = loadConfig({ UPSTREAM_MODE: 'replay' }, BASE_DIR);
+
+    assert.equal(mock.warnings.length, 1);
+    assert.deepEqual(replay.warnings, []);
+  });
+});
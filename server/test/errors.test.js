@@ -0,0 +1,149 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for how upstream failures and unexpected errors are
+* reported to API clients, and for the client app fallback route.
+*
+* Dependencies: node:test, test/helpers.js
+*/
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startUpstream, startServer } = require('./helpers');
+
+describe('error handling', () => {
+  let upstream;
+  let server;
+
+  before(async () => {
+    upstream = await startUpstream();
+    server = await startServer(upstream);
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  // Each test uses its own region so cached responses don't carry over
+  const getRegionSpecies = async (regionCode) => {
+    const response = await fetch(`${server.url}/api/region-species/${regionCode}`);
+    return { response, body: await response.json() };
+  };
+
+  const SPECIES_LIST_PATH = (regionCode) => `/ebird/v2/product/spplist/${regionCode}`;
+
+  it('reports rejected eBird credentials as a server error', async () => {
+    upstream.override(SPECIES_LIST_PATH('US-AZ'), (req, res) => res.status(401).send('Unauthorized'));
+    const { response, body } = await getRegionSpecies('US-AZ');
+
+    assert.equal(response.status, 500);
+    assert.equal(body.code, 'upstream_auth');
+  });
+
+  it('passes on an eBird rate limit with its Retry-After', async () => {
+    upstream.override(SPECIES_LIST_PATH('US-NV'), (req, res) => {
+      res.set('Retry-After', '30').status(429).send('Too Many Requests');
+    });
+    const { response, body } = await getRegionSpecies('US-NV');
+
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get('retry-after'), '30');
+    assert.equal(body.code, 'upstream_rate_limited');
+  });
+
+  it('reports an unknown eBird resource as not found', async () => {
+    const response = await fetch(`${server.url}/api/checklist/S1`);
+
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).code, 'upstream_not_found');
+  });
+
+  it('reports an unparseable eBird response as a bad gateway', async () => {
+    upstream.override(SPECIES_LIST_PATH('US-OR'), (req, res) => res.type('html').send('<html>Maintenance</html>'));
+    const { response, body } = await getRegionSpecies('US-OR');
+
+    assert.equal(response.status, 502);
+    assert.equal(body.code, 'upstream_bad_response');
+  });
+
+  it('reports an eBird outage as unavailable', async () => {
+    upstream.override(SPECIES_LIST_PATH('US-WA'), (req, res) => res.status(503).send('Service Unavailable'));
+    const { response, body } = await getRegionSpecies('US-WA');
+
+    assert.equal(response.status, 503);
+    assert.equal(body.code, 'upstream_unavailable');
+  });
+
+  it('reports a slow eBird response as a gateway timeout', async () => {
+    upstream.override(SPECIES_LIST_PATH('US-ID'), (req, res) => {
+      setTimeout(() => res.json([]), 2000);
+    });
+    const { response, body } = await getRegionSpecies('US-ID');
+
+    assert.equal(response.status, 504);
+    assert.equal(body.code, 'upstream_timeout');
+  });
+
+  it('reports a failed geocoder as unavailable', async () => {
+    upstream.override('/nominatim/search', (req, res) => res.status(500).send('Internal Server Error'));
+    const response = await fetch(`${server.url}/api/forward-geocode?q=Monterey`);
+
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).code, 'upstream_unavailable');
+  });
+
+  it('reports unexpected data as an internal error', async () => {
+    // Valid JSON, but not the list of sightings the route expects
+    upstream.override('/ebird/v2/data/obs/geo/recent', (req, res) => res.json(null));
+    const response = await fetch(`${server.url}/api/birds?lat=36.97&lng=-122.03&back=29`);
+
+    assert.equal(response.status, 500);
+    assert.deepEqual(await response.json(), { error: 'Failed to fetch bird data', code: 'internal_error' });
+  });
+
+  it('answers 503 when observation history is not enabled', async () => {
+    const response = await fetch(`${server.url}/api/history/sightings?bbox=-122.1,36.9,-121.9,37.0`);
+
+    assert.equal(response.status, 503);
+  });
+
+  it('answers 503 when watches are not enabled', async () => {
+    const response = await fetch(`${server.url}/api/watches`);
+
+    assert.equal(response.status, 503);
+  });
+
+  describe('client app fallback', () => {
+    it('serves the client app for unknown paths', async () => {
+      const response = await fetch(`${server.url}/some/client/route`);
+
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /text\/html/);
+      assert.match(await response.text(), /<div id="root">/);
+    });
+
+    it('serves the client app for the root path', async () => {
+      const response = await fetch(`${server.url}/`);
+
+      assert.equal(response.status, 200);
+      assert.match(await response.text(), /<div id="root">/);
+    });
+  });
+});
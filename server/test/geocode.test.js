@@ -0,0 +1,163 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for the forward and reverse geocode routes.
+*
+* Dependencies: node:test, test/helpers.js
+*/
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startUpstream, startServer } = require('./helpers');
+
+describe('geocode routes', () => {
+  let upstream;
+  let server;
+
+  before(async () => {
+    upstream = await startUpstream();
+    // Uncached, so every request reaches the mock geocoder
+    server = await startServer(upstream, { CACHE_TTL_GEOCODE: '0' });
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  beforeEach(async () => {
+    upstream.reset();
+    // Stay under the geocode rate limit, which allows two requests a second
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  });
+
+  const getJson = async (pathname) => {
+    const response = await fetch(`${server.url}${pathname}`);
+    return { response, body: await response.json() };
+  };
+
+  describe('GET /api/forward-geocode', () => {
+    it('returns the best match for a place name', async () => {
+      const { response, body } = await getJson('/api/forward-geocode?q=Monterey');
+
+      assert.equal(response.status, 200);
+      assert.equal(body.found, true);
+      assert.equal(body.lat, 36.6002);
+      assert.equal(body.lon, -121.8947);
+      assert.match(body.displayName, /^Monterey/);
+
+      const [request] = upstream.requests;
+      assert.equal(request.path, '/nominatim/search');
+      assert.equal(request.query.q, 'Monterey');
+      assert.match(request.headers['user-agent'], /^BirdSightingsMap/);
+    });
+
+    it('lists every matching place, best first', async () => {
+      const { response, body } = await getJson('/api/forward-geocode?q=Santa%20Cruz');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(body.results.map(result => result.displayName.split(',')[0]), [
+        'Santa Cruz',
+        'Watsonville',
+        'Natural Bridges State Beach'
+      ]);
+      assert.deepEqual(body.results[0], {
+        displayName: 'Santa Cruz, Santa Cruz County, California, United States',
+        lat: 36.9742,
+        lon: -122.0308,
+        type: 'city',
+        boundingbox: ['36.9405', '37.0049', '-122.0808', '-121.9783'],
+        country: 'United States',
+        countryCode: 'US'
+      });
+      assert.equal(body.displayName, body.results[0].displayName);
+      assert.equal(upstream.requests[0].query.limit, '8');
+    });
+
+    it('reports when nothing matches', async () => {
+      const { response, body } = await getJson('/api/forward-geocode?q=Atlantis');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(body, { found: false, message: 'No location found' });
+    });
+
+    it('requires a query', async () => {
+      const { response, body } = await getJson('/api/forward-geocode');
+
+      assert.equal(response.status, 400);
+      assert.equal(body.fields.q, 'Required');
+      assert.equal(upstream.requests.length, 0);
+    });
+  });
+
+  describe('GET /api/reverse-geocode', () => {
+    it('returns the place with its eBird regions', async () => {
+      const { response, body } = await getJson('/api/reverse-geocode?lat=36.97&lon=-122.03');
+
+      assert.equal(response.status, 200);
+      assert.equal(body.found, true);
+      assert.match(body.displayName, /^Santa Cruz/);
+      assert.deepEqual(body.regions, {
+        country: 'US',
+        subnational1: 'US-CA',
+        subnational2: 'US-CA-087'
+      });
+    });
+
+    it('reports coordinates with no place', async () => {
+      const { response, body } = await getJson('/api/reverse-geocode?lat=0&lon=0');
+
+      assert.equal(response.status, 200);
+      assert.equal(body.found, false);
+      assert.equal(body.regions, undefined);
+    });
+
+    it('rejects out of range coordinates', async () => {
+      const { response, body } = await getJson('/api/reverse-geocode?lat=36.97&lon=200');
+
+      assert.equal(response.status, 400);
+      assert.ok(body.fields.lon);
+      assert.equal(upstream.requests.length, 0);
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('rejects a burst of searches from one client', async () => {
+      const statuses = [];
+      for (let i = 0; i < 3; i++) {
+        const response = await fetch(`${server.url}/api/forward-geocode?q=Santa%20Cruz`);
+        statuses.push(response.status);
+        if (response.status === 429) {
+          assert.deepEqual(await response.json(), {
+            error: 'Too many location searches, please wait a moment'
+          });
+        }
+      }
+
+      assert.deepEqual(statuses, [200, 200, 429]);
+      assert.equal(upstream.requests.length, 2);
+    });
+
+    it('counts forward and reverse geocoding together', async () => {
+      await fetch(`${server.url}/api/forward-geocode?q=Monterey`);
+      await fetch(`${server.url}/api/reverse-geocode?lat=36.6&lon=-121.89`);
+      const response = await fetch(`${server.url}/api/reverse-geocode?lat=36.6&lon=-121.89`);
+
+      assert.equal(response.status, 429);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for the geocode cache and the Photon geocoder backend,
+* including the server-wide spacing of geocoder requests.
+*
+* Dependencies: node:test, test/helpers.js
+*/
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startUpstream, startServer } = require('./helpers');
+
+describe('geocode cache with the Photon backend', () => {
+  let upstream;
+  let server;
+
+  before(async () => {
+    upstream = await startUpstream();
+    server = await startServer(upstream, {
+      GEOCODER: 'photon',
+      GEOCODER_MIN_INTERVAL_MS: '300',
+      GEOCODER_MAX_WAIT_MS: '1000'
+    });
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  beforeEach(async () => {
+    upstream.reset();
+    // Stay under the per-client geocode rate limit
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  });
+
+  const getJson = async (pathname) => {
+    const response = await fetch(`${server.url}${pathname}`);
+    return { response, body: await response.json() };
+  };
+
+  it('searches Photon and converts the result', async () => {
+    const { response, body } = await getJson('/api/forward-geocode?q=Monterey');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-cache'), 'MISS');
+    assert.equal(body.found, true);
+    assert.equal(body.displayName, 'Monterey, Monterey County, California, United States');
+    assert.deepEqual(body.results[0], {
+      displayName: 'Monterey, Monterey County, California, United States',
+      lat: 36.6002,
+      lon: -121.8947,
+      type: 'city',
+      boundingbox: ['36.5529', '36.6294', '-121.9449', '-121.8303'],
+      country: 'United States',
+      countryCode: 'US'
+    });
+    assert.equal(body.results.length, 2);
+    assert.equal(upstream.requests[0].path, '/photon/api');
+  });
+
+  it('reuses the result for the same search written differently', async () => {
+    const { response, body } = await getJson('/api/forward-geocode?q=%20%20MONTEREY%20');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-cache'), 'HIT');
+    assert.equal(body.lat, 36.6002);
+    assert.equal(upstream.requests.length, 0);
+  });
+
+  it('resolves eBird regions from Photon state and county names', async () => {
+    const { response, body } = await getJson('/api/reverse-geocode?lat=36.9701&lon=-122.0302');
+
+    assert.equal(response.status, 200);
+    assert.equal(body.found, true);
+    assert.equal(body.address.country_code, 'us');
+    assert.deepEqual(body.boundingbox, ['36.9405', '37.0049', '-122.0808', '-121.9783']);
+    assert.deepEqual(body.regions, {
+      country: 'US',
+      subnational1: 'US-CA',
+      subnational2: 'US-CA-087'
+    });
+
+    const geocodeRequests = upstream.requests.filter(request => request.path === '/photon/reverse');
+    assert.equal(geocodeRequests.length, 1);
+    assert.equal(geocodeRequests[0].query.lat, '36.970');
+    assert.equal(geocodeRequests[0].query.lon, '-122.030');
+  });
+
+  it('reuses reverse lookups for nearby coordinates', async () => {
+    const { response, body } = await getJson('/api/reverse-geocode?lat=36.9704&lon=-122.0298');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-cache'), 'HIT');
+    assert.equal(body.regions.subnational2, 'US-CA-087');
+    assert.equal(upstream.requests.filter(request => request.path === '/photon/reverse').length, 0);
+  });
+
+  it('spaces concurrent geocoder requests apart', async () => {
+    const responses = await Promise.all([
+      fetch(`${server.url}/api/forward-geocode?q=Santa%20Cruz`),
+      fetch(`${server.url}/api/reverse-geocode?lat=36.8044&lon=-121.7869`)
+    ]);
+
+    assert.deepEqual(responses.map(response => response.status), [200, 200]);
+    const [first, second] = upstream.requests
+      .filter(request => request.path.startsWith('/photon/'))
+      .map(request => request.receivedAt);
+    assert.ok(second - first >= 290, `requests were ${second - first} ms apart`);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for the liveness and readiness probes.
+*
+* Dependencies: node:test, test/helpers.js
+*/
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startUpstream, startServer } = require('./helpers');
+
+describe('health probes', () => {
+  let upstream;
+  let server;
+
+  before(async () => {
+    upstream = await startUpstream();
+    server = await startServer(upstream);
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  it('reports liveness', async () => {
+    const response = await fetch(`${server.url}/healthz`);
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'ok');
+  });
+
+  it('is ready when the client build exists', async () => {
+    const response = await fetch(`${server.url}/readyz`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.status, 'ready');
+    assert.equal(body.checks.clientDist.ok, true);
+    assert.equal(body.checks.config.ok, true);
+  });
+
+  it('is not ready without the client build', async () => {
+    fs.rmSync(path.join(server.clientDistDir, 'index.html'));
+    const response = await fetch(`${server.url}/readyz`);
+    const body = await response.json();
+
+    assert.equal(response.status, 503);
+    assert.equal(body.status, 'not ready');
+    assert.equal(body.checks.clientDist.ok, false);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Test harness that runs the server app against the mock
+* upstream. Individual upstream paths can be overridden to script failures,
+* and every upstream request is logged for assertions.
+*
+* Dependencies: express, mock/upstream.js
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createMockUpstream } = require('../mock/upstream');
+
+/**
+ * Starts listening on a free port
+ * @param {Object} app - Express app
+ * @returns {Promise<{url: string, close: Function}>} Base URL and shutdown
+ */
+const listen = (app) => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => {
+        server.closeAllConnections();
+        server.close(done);
+      })
+    });
+  });
+});
+
+/**
+ * Starts the mock upstream with support for per-path overrides
+ * @returns {Promise<Object>} Upstream handle
+ */
+const startUpstream = async () => {
+  const overrides = new Map();
+  const requests = [];
+  const app = express();
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, query: req.query, headers: req.headers, receivedAt: Date.now() });
+    const override = overrides.get(req.path);
+    return override ? override(req, res, next) : next();
+  });
+  app.use(createMockUpstream());
+
+  const { url, close } = await listen(app);
+  return {
+    url,
+    requests,
+    close,
+    /**
+     * Replaces the handler for one upstream path
+     * @param {string} pathname - Request path, e.g. "/nominatim/search"
+     * @param {Function} handler - Express handler
+     */
+    override: (pathname, handler) => overrides.set(pathname, handler),
+    /**
+     * Removes overrides and clears the request log
+     */
+    reset: () => {
+      overrides.clear();
+      requests.length = 0;
+    }
+  };
+};
+
+/**
+ * Loads the server app pointed at the given upstream and starts it. The app
+ * reads its configuration when first loaded, so each test file gets one.
+ * @param {Object} upstream - Handle from startUpstream
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<{url: string, clientDistDir: string, dataDir: string, close: Function}>} Server handle
+ */
+const startServer = async (upstream, env = {}) => {
+  const clientDistDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-map-dist-'));
+  fs.writeFileSync(path.join(clientDistDir, 'index.html'), '<!doctype html><div id="root"></div>');
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-map-data-'));
+
+  // Set explicitly so a developer's server/.env can't change the setup
+  Object.assign(process.env, {
+    ALLOWED_ORIGINS: 'http://localhost:5173',
+    EBIRD_API_KEY: 'test-key',
+    EBIRD_API_URL: `${upstream.url}/ebird/v2`,
+    NOMINATIM_API_URL: `${upstream.url}/nominatim`,
+    PHOTON_API_URL: `${upstream.url}/photon`,
+    GEOCODER: 'nominatim',
+    GEOCODER_MIN_INTERVAL_MS: '0',
+    SUGGEST_GEOCODER: 'photon',
+    SUGGEST_MIN_INTERVAL_MS: '0',
+    BIRDWEATHER_API_URL: `${upstream.url}/birdweather`,
+    WIKIPEDIA_API_URL: `${upstream.url}/wikipedia`,
+    PHOTO_PROVIDER: 'birdweather',
+    PHOTO_DB_PATH: path.join(dataDir, 'photos.db'),
+    PHOTO_PROXY: 'false',
+    UPSTREAM_MODE: 'live',
+    UPSTREAM_RETRIES: '0',
+    UPSTREAM_TIMEOUT_MS: '500',
+    OBSERVATION_DB_PATH: '',
+    WATCH_DB_PATH: '',
+    SERVER_DEBUG_LEVEL: '0',
+    ACCESS_LOG: 'false',
+    CLIENT_DIST_DIR: clientDistDir,
+    ...env
+  });
+
+  const { app } = require('../server');
+  const { url, close } = await listen(app);
+  return {
+    url,
+    clientDistDir,
+    dataDir,
+    close: async () => {
+      await close();
+      fs.rmSync(clientDistDir, { recursive: true, force: true });
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+};
+
+module.exports = { startUpstream, startServer };
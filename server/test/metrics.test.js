@@ -0,0 +1,92 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for the /metrics endpoint.
+*
+* Dependencies: node:test, test/helpers.js
+*/
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startUpstream, startServer } = require('./helpers');
+
+describe('GET /metrics', () => {
+  let upstream;
+  let server;
+
+  before(async () => {
+    upstream = await startUpstream();
+    server = await startServer(upstream, { METRICS_TOKEN: 'metrics-secret' });
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  const getMetrics = async () => {
+    const response = await fetch(`${server.url}/metrics`, {
+      headers: { Authorization: 'Bearer metrics-secret' }
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    return response.text();
+  };
+
+  it('requires the configured token', async () => {
+    const response = await fetch(`${server.url}/metrics`);
+
+    assert.equal(response.status, 401);
+  });
+
+  it('counts requests by route pattern and times them', async () => {
+    await fetch(`${server.url}/api/checklist/S228104511`);
+    await fetch(`${server.url}/api/checklist/S228104511`);
+    await fetch(`${server.url}/api/checklist/S1`);
+    const text = await getMetrics();
+
+    assert.match(text, /^http_requests_total\{method="GET",route="\/api\/checklist\/:subId",status="200"\} 2$/m);
+    assert.match(text, /^http_requests_total\{method="GET",route="\/api\/checklist\/:subId",status="404"\} 1$/m);
+    assert.match(text, /^http_request_duration_seconds_count\{method="GET",route="\/api\/checklist\/:subId"\} 3$/m);
+    assert.match(text, /^http_request_duration_seconds_bucket\{method="GET",route="\/api\/checklist\/:subId",le="\+Inf"\} 3$/m);
+  });
+
+  it('counts upstream calls, errors and cache lookups', async () => {
+    const text = await getMetrics();
+
+    // The repeated checklist was served from the cache
+    assert.match(text, /^upstream_requests_total\{provider="ebird",outcome="success"\} 1$/m);
+    assert.match(text, /^upstream_requests_total\{provider="ebird",outcome="error"\} 1$/m);
+    assert.match(text, /^upstream_errors_total\{provider="ebird",code="upstream_not_found"\} 1$/m);
+    assert.match(text, /^upstream_request_duration_seconds_count\{provider="ebird"\} 2$/m);
+    assert.match(text, /^cache_lookups_total\{cache="response",namespace="checklist",result="hit"\} 1$/m);
+    assert.match(text, /^cache_lookups_total\{cache="response",namespace="checklist",result="miss"\} 2$/m);
+    assert.match(text, /^cache_entries\{cache="response"\} 1$/m);
+  });
+
+  it('counts geocode rate limiter rejections', async () => {
+    for (let i = 0; i < 3; i++) {
+      await fetch(`${server.url}/api/forward-geocode?q=Monterey`);
+    }
+    const text = await getMetrics();
+
+    // The second search was served from the geocode cache
+    assert.match(text, /^rate_limit_rejections_total\{limiter="geocode"\} 1$/m);
+    assert.match(text, /^upstream_requests_total\{provider="nominatim",outcome="success"\} 1$/m);
+    assert.match(text, /^cache_lookups_total\{cache="response",namespace="geocode",result="hit"\} 1$/m);
+  });
+});
@@ -0,0 +1,254 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for species photo lookups: the persistent photo store,
+* the photo routes with the image proxy on, and the Wikipedia provider.
+*
+* Dependencies: node:test, express, test/helpers.js, store/photoStore.js,
+* providers/wikipedia.js
+*/
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { startUpstream, startServer } = require('./helpers');
+const { PhotoStore } = require('../store/photoStore');
+const { WikipediaProvider } = require('../providers/wikipedia');
+
+const ROBIN = 'Turdus migratorius_American Robin';
+const PHOEBE = 'Sayornis nigricans_Black Phoebe';
+const LOOKUP_PATH = '/birdweather/api/v1/species/lookup';
+
+describe('PhotoStore', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-map-photos-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps photos and misses across reopening', () => {
+    const dbPath = path.join(dataDir, 'reopen.db');
+    const photo = { imageUrl: 'https://example.com/robin.jpg', thumbnailUrl: 'https://example.com/robin-t.jpg' };
+
+    const store = new PhotoStore(dbPath);
+    store.savePhotos('birdweather', new Map([[ROBIN, photo], [PHOEBE, null]]), { ttlMs: 60000, missTtlMs: 60000 });
+    store.close();
+
+    const reopened = new PhotoStore(dbPath);
+    const found = reopened.getPhotos('birdweather', [ROBIN, PHOEBE, 'Pica nuttalli_Yellow-billed Magpie']);
+    assert.deepEqual([...found], [[ROBIN, photo], [PHOEBE, null]]);
+    assert.equal(reopened.getPhotos('wikipedia', [ROBIN]).size, 0);
+    reopened.close();
+  });
+
+  it('forgets entries once they expire', () => {
+    const store = new PhotoStore(path.join(dataDir, 'expiry.db'));
+    store.savePhotos('birdweather', new Map([
+      [ROBIN, { imageUrl: 'https://example.com/robin.jpg', thumbnailUrl: 'https://example.com/robin-t.jpg' }],
+      [PHOEBE, null]
+    ]), { ttlMs: 60000, missTtlMs: 0 });
+
+    assert.deepEqual([...store.getPhotos('birdweather', [ROBIN, PHOEBE]).keys()], [ROBIN]);
+    assert.equal(store.prune(), 1);
+    assert.equal(store.count(), 1);
+    store.close();
+  });
+});
+
+describe('photo routes', () => {
+  let upstream;
+  let server;
+
+  before(async () => {
+    upstream = await startUpstream();
+    server = await startServer(upstream, { PHOTO_PROXY: 'true' });
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  beforeEach(() => {
+    upstream.reset();
+  });
+
+  /**
+   * Records the species in each BirdWeather lookup, then lets the mock answer
+   * @returns {string[][]} Species sent with each lookup
+   */
+  const captureLookups = () => {
+    const lookups = [];
+    upstream.override(LOOKUP_PATH, (req, res, next) => express.json()(req, res, () => {
+      lookups.push(req.body.species);
+      next();
+    }));
+    return lookups;
+  };
+
+  const postPhotos = async (species) => {
+    const response = await fetch(`${server.url}/api/photos`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ species })
+    });
+    return { response, body: await response.json() };
+  };
+
+  it('answers with proxied URLs and asks BirdWeather only about new species', async () => {
+    const lookups = captureLookups();
+
+    const first = await postPhotos([ROBIN]);
+    assert.equal(first.response.status, 200);
+    assert.deepEqual(first.body.species[ROBIN], {
+      imageUrl: `/api/photos/image?species=${encodeURIComponent(ROBIN)}&size=full`,
+      thumbnailUrl: `/api/photos/image?species=${encodeURIComponent(ROBIN)}&size=thumbnail`
+    });
+
+    const second = await postPhotos([ROBIN, PHOEBE]);
+    assert.deepEqual(Object.keys(second.body.species).sort(), [PHOEBE, ROBIN]);
+    assert.deepEqual(lookups, [[ROBIN], [PHOEBE]]);
+  });
+
+  it('remembers species BirdWeather has no photo for', async () => {
+    const magpie = 'Pica nuttalli_Yellow-billed Magpie';
+    upstream.override(LOOKUP_PATH, (req, res) => res.json({ species: {} }));
+
+    assert.deepEqual((await postPhotos([magpie])).body, { species: {} });
+    assert.deepEqual((await postPhotos([magpie])).body, { species: {} });
+    assert.equal(upstream.requests.filter(request => request.path === LOOKUP_PATH).length, 1);
+  });
+
+  it('serves a photo through the server with cache headers', async () => {
+    await postPhotos([ROBIN]);
+    upstream.reset();
+
+    const response = await fetch(
+      `${server.url}/api/photos/image?species=${encodeURIComponent(ROBIN)}&size=thumbnail`
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/svg+xml; charset=utf-8');
+    assert.equal(response.headers.get('cache-control'), 'public, max-age=604800');
+    assert.match(response.headers.get('content-security-policy'), /default-src 'none'/);
+    assert.match(await response.text(), /American Robin/);
+
+    // The lookup came from the photo store, so only the image was fetched
+    assert.deepEqual(upstream.requests.map(request => request.path), [
+      `/birdweather/images/${encodeURIComponent(ROBIN)}.svg`
+    ]);
+    assert.equal(upstream.requests[0].query.size, 'thumb');
+  });
+
+  it('only proxies photos the provider gave for the species', async () => {
+    upstream.override(LOOKUP_PATH, (req, res) => res.json({ species: {} }));
+
+    const response = await fetch(`${server.url}/api/photos/image?species=${encodeURIComponent('Pica nuttalli_Yellow-billed Magpie')}`);
+
+    assert.equal(response.status, 404);
+    assert.deepEqual(await response.json(), { error: 'No photo for this species' });
+    assert.ok(upstream.requests.every(request => request.path === LOOKUP_PATH));
+  });
+
+  it('reports a failed image download', async () => {
+    await postPhotos([PHOEBE]);
+    upstream.override(`/birdweather/images/${encodeURIComponent(PHOEBE)}.svg`, (req, res) => res.status(503).end());
+
+    const response = await fetch(`${server.url}/api/photos/image?species=${encodeURIComponent(PHOEBE)}&size=full`);
+
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).code, 'upstream_unavailable');
+  });
+
+  it('rejects names that are not species names without asking BirdWeather', async () => {
+    const { response, body } = await postPhotos([ROBIN, 'x'.repeat(50)]);
+
+    assert.equal(response.status, 400);
+    assert.ok(body.fields.species);
+    assert.equal(upstream.requests.length, 0);
+  });
+
+  it('validates image requests', async () => {
+    const response = await fetch(`${server.url}/api/photos/image?species=${encodeURIComponent(ROBIN)}&size=huge`);
+
+    assert.equal(response.status, 400);
+    assert.ok((await response.json()).fields.size);
+    assert.equal(upstream.requests.length, 0);
+  });
+});
+
+describe('WikipediaProvider', () => {
+  let upstream;
+
+  before(async () => {
+    upstream = await startUpstream();
+  });
+
+  beforeEach(() => {
+    upstream.reset();
+  });
+
+  after(async () => {
+    await upstream.close();
+  });
+
+  it('finds lead images by scientific name', async () => {
+    const wikipedia = new WikipediaProvider({ baseUrl: `${upstream.url}/wikipedia`, requestOptions: { retries: 0 } });
+
+    const photos = await wikipedia.lookupPhotos([PHOEBE, 'Raphus cucullatus_Dodo']);
+
+    assert.deepEqual(photos, {
+      [PHOEBE]: {
+        imageUrl: `${upstream.url}/wikipedia/images/Black%20Phoebe.svg`,
+        thumbnailUrl: `${upstream.url}/wikipedia/images/Black%20Phoebe.svg?width=240`
+      }
+    });
+
+    const [request] = upstream.requests;
+    assert.equal(request.path, '/wikipedia/w/api.php');
+    assert.equal(request.query.titles, 'Sayornis nigricans|Raphus cucullatus');
+    assert.match(request.headers['user-agent'], /^BirdSightingsMap/);
+  });
+
+  it('scales large originals down for the full-size photo', async () => {
+    const thumbDir = 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/ab/Sayornis.jpg';
+    upstream.override('/wikipedia/w/api.php', (req, res) => res.json({
+      query: {
+        pages: [{
+          title: 'Sayornis nigricans',
+          thumbnail: { source: `${thumbDir}/240px-Sayornis.jpg`, width: 240, height: 180 },
+          original: { source: 'https://upload.wikimedia.org/wikipedia/commons/a/ab/Sayornis.jpg', width: 6000, height: 4500 }
+        }]
+      }
+    }));
+    const wikipedia = new WikipediaProvider({ baseUrl: `${upstream.url}/wikipedia`, requestOptions: { retries: 0 } });
+
+    const photos = await wikipedia.lookupPhotos([PHOEBE]);
+
+    assert.deepEqual(photos[PHOEBE], {
+      imageUrl: `${thumbDir}/1280px-Sayornis.jpg`,
+      thumbnailUrl: `${thumbDir}/240px-Sayornis.jpg`
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for the eBird hotspot and region info routes used by
+* the location search.
+*
+* Dependencies: node:test, test/helpers.js
+*/
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startUpstream, startServer } = require('./helpers');
+
+describe('eBird place lookups', () => {
+  let upstream;
+  let server;
+
+  before(async () => {
+    upstream = await startUpstream();
+    server = await startServer(upstream);
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  const getJson = async (pathname) => {
+    const response = await fetch(`${server.url}${pathname}`);
+    return { response, body: await response.json() };
+  };
+
+  describe('GET /api/hotspots/:locId', () => {
+    it('returns the hotspot name and location', async () => {
+      const { response, body } = await getJson('/api/hotspots/l270418');
+
+      assert.equal(response.status, 200);
+      assert.equal(body.locId, 'L270418');
+      assert.equal(body.name, 'Natural Bridges SB');
+      assert.equal(body.lat, 36.9519);
+      assert.equal(body.lng, -122.0573);
+      assert.equal(upstream.requests[0].path, '/ebird/v2/ref/hotspot/info/L270418');
+    });
+
+    it('answers 404 for an unknown hotspot', async () => {
+      const { response, body } = await getJson('/api/hotspots/L1');
+
+      assert.equal(response.status, 404);
+      assert.equal(body.code, 'upstream_not_found');
+    });
+
+    it('rejects IDs that are not location IDs', async () => {
+      const { response, body } = await getJson('/api/hotspots/S123');
+
+      assert.equal(response.status, 400);
+      assert.equal(body.fields.locId, 'Must be an eBird location ID');
+      assert.equal(upstream.requests.length, 0);
+    });
+  });
+
+  describe('GET /api/region-info/:regionCode', () => {
+    it('returns the region name and bounds', async () => {
+      const { response, body } = await getJson('/api/region-info/us-ca-087');
+
+      assert.equal(response.status, 200);
+      assert.equal(body.result, 'Santa Cruz, California, United States');
+      assert.deepEqual(Object.keys(body.bounds).sort(), ['maxX', 'maxY', 'minX', 'minY']);
+      assert.equal(upstream.requests[0].query.regionNameFormat, 'detailed');
+    });
+
+    it('serves repeated lookups from the cache', async () => {
+      const { response } = await getJson('/api/region-info/US-CA-087');
+
+      assert.equal(response.headers.get('x-cache'), 'HIT');
+      assert.equal(upstream.requests.length, 0);
+    });
+
+    it('answers 404 for an unknown region', async () => {
+      const { response } = await getJson('/api/region-info/US-XX');
+
+      assert.equal(response.status, 404);
+    });
+  });
+});
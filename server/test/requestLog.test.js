@@ -0,0 +1,69 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for request IDs: returned to the client and passed on
+* to upstream calls made for the request.
+*
+* Dependencies: node:test, test/helpers.js
+*/
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startUpstream, startServer } = require('./helpers');
+
+describe('request IDs', () => {
+  let upstream;
+  let server;
+
+  before(async () => {
+    upstream = await startUpstream();
+    server = await startServer(upstream);
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('generates an ID and sends it upstream', async () => {
+    const response = await fetch(`${server.url}/api/region-species/US-CA-053`);
+    const requestId = response.headers.get('x-request-id');
+
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    assert.equal(upstream.requests[0].headers['x-request-id'], requestId);
+  });
+
+  it('keeps an ID supplied by the client', async () => {
+    const response = await fetch(`${server.url}/api/region-species/US-CA-087`, {
+      headers: { 'X-Request-Id': 'bug-report-0042' }
+    });
+
+    assert.equal(response.headers.get('x-request-id'), 'bug-report-0042');
+    assert.equal(upstream.requests[0].headers['x-request-id'], 'bug-report-0042');
+  });
+
+  it('replaces a supplied ID that is not ID-like', async () => {
+    const response = await fetch(`${server.url}/api/birds`, {
+      headers: { 'X-Request-Id': 'not an id; <script>' }
+    });
+
+    assert.notEqual(response.headers.get('x-request-id'), 'not an id; <script>');
+    assert.match(response.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for the live sightings poller: which observations are
+* pushed across polls, and the cache age limit the pollers fetch with.
+*
+* Dependencies: node:test, stream/sightingStream.js, utils/cache.js
+*/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SightingStream } = require('../stream/sightingStream');
+const { ResponseCache } = require('../utils/cache');
+
+const ROBIN = { subId: 'S1', speciesCode: 'amerob' };
+const PHOEBE = { subId: 'S2', speciesCode: 'blkpho' };
+
+/**
+ * Subscribes to a stream whose upstream answers from a list the test changes
+ * @param {Object} [options] - Extra SightingStream options
+ * @returns {Object} The stream, the current results, pushed batches and unsubscribe
+ */
+const subscribeToStream = (options) => {
+  const state = { results: [ROBIN], pushed: [] };
+  state.stream = new SightingStream({ fetchSightings: async () => state.results, intervalMs: 60000, ...options });
+  state.unsubscribe = state.stream.subscribe('area', {}, batch => state.pushed.push(batch));
+  return state;
+};
+
+describe('SightingStream', () => {
+  it('pushes each observation once, even if it drops out of the results', async () => {
+    const state = subscribeToStream();
+    await state.stream.poll();
+
+    state.results = [PHOEBE];
+    await state.stream.poll();
+    state.results = [ROBIN, PHOEBE];
+    await state.stream.poll();
+
+    state.unsubscribe();
+    assert.deepEqual(state.pushed, [[PHOEBE]]);
+  });
+
+  it('forgets observations not reported for longer than seenTtlMs', async () => {
+    const state = subscribeToStream({ seenTtlMs: 0 });
+    await state.stream.poll();
+
+    state.results = [PHOEBE];
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await state.stream.poll();
+    state.results = [ROBIN];
+    await state.stream.poll();
+
+    state.unsubscribe();
+    assert.deepEqual(state.pushed, [[PHOEBE], [ROBIN]]);
+  });
+});
+
+describe('ResponseCache maxAgeMs', () => {
+  it('uses a cached value no older than maxAgeMs', async () => {
+    const cache = new ResponseCache({ ttls: { birds: 60000 } });
+    let calls = 0;
+    const fetcher = async () => ++calls;
+
+    await cache.wrap('birds', 'key', fetcher);
+    const cached = await cache.wrap('birds', 'key', fetcher, { maxAgeMs: 60000 });
+
+    assert.equal(cached.value, 1);
+    assert.equal(cached.hit, true);
+  });
+
+  it('fetches again and stores the fresh value when the cached one is older', async () => {
+    const cache = new ResponseCache({ ttls: { birds: 60000 } });
+    let calls = 0;
+    const fetcher = async () => ++calls;
+
+    await cache.wrap('birds', 'key', fetcher);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const refreshed = await cache.wrap('birds', 'key', fetcher, { maxAgeMs: 1 });
+    const cached = await cache.wrap('birds', 'key', fetcher);
+
+    assert.deepEqual(refreshed, { value: 2, hit: false, age: 0 });
+    assert.equal(cached.value, 2);
+    assert.equal(cached.hit, true);
+  });
+});
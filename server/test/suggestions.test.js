@@ -0,0 +1,98 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for the type-ahead location suggestion route.
+*
+* Dependencies: node:test, test/helpers.js
+*/
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startUpstream, startServer } = require('./helpers');
+
+describe('GET /api/geocode-suggestions', () => {
+  let upstream;
+  let server;
+
+  before(async () => {
+    upstream = await startUpstream();
+    server = await startServer(upstream);
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  beforeEach(async () => {
+    upstream.reset();
+    // Stay under the suggestion rate limit, which allows five requests a second
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  });
+
+  const getJson = async (pathname) => {
+    const response = await fetch(`${server.url}${pathname}`);
+    return { response, body: await response.json() };
+  };
+
+  it('suggests places for a partly typed name', async () => {
+    const { response, body } = await getJson('/api/geocode-suggestions?q=Monte');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.suggestions.map(place => place.displayName.split(',')[0]), ['Monterey', 'Moss Landing']);
+    assert.equal(body.suggestions[0].type, 'city');
+
+    const [request] = upstream.requests;
+    assert.equal(request.path, '/photon/api');
+    assert.equal(request.query.limit, '5');
+  });
+
+  it('serves repeated text from the geocode cache', async () => {
+    const { response, body } = await getJson('/api/geocode-suggestions?q=monte%20');
+
+    assert.equal(response.headers.get('x-cache'), 'HIT');
+    assert.equal(body.suggestions.length, 2);
+    assert.equal(upstream.requests.length, 0);
+  });
+
+  it('waits for a few characters before asking the geocoder', async () => {
+    const { response, body } = await getJson('/api/geocode-suggestions?q=Mo');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body, { suggestions: [] });
+    assert.equal(upstream.requests.length, 0);
+  });
+
+  it('limits how fast one client asks for suggestions', async () => {
+    const statuses = [];
+    for (const q of ['Wat', 'Wats', 'Watso', 'Watson', 'Watsonv', 'Watsonvi']) {
+      const response = await fetch(`${server.url}/api/geocode-suggestions?q=${q}`);
+      statuses.push(response.status);
+    }
+
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+    assert.equal(upstream.requests.length, 5);
+  });
+
+  it('reports geocoder failures', async () => {
+    upstream.override('/photon/api', (req, res) => res.status(500).end());
+    const { response, body } = await getJson('/api/geocode-suggestions?q=Santa');
+
+    assert.equal(response.status, 503);
+    assert.equal(body.code, 'upstream_unavailable');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for the process-wide upstream request throttle.
+*
+* Dependencies: node:test, utils/throttle.js, utils/upstream.js
+*/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { UpstreamThrottle } = require('../utils/throttle');
+const { UpstreamError } = require('../utils/upstream');
+
+describe('UpstreamThrottle', () => {
+  it('lets the first request through at once', async () => {
+    const throttle = new UpstreamThrottle({ name: 'Nominatim', minIntervalMs: 200, maxWaitMs: 1000 });
+    const startedAt = Date.now();
+
+    await throttle.acquire();
+
+    assert.ok(Date.now() - startedAt < 50);
+  });
+
+  it('spaces waiting requests by the minimum interval', async () => {
+    const throttle = new UpstreamThrottle({ name: 'Nominatim', minIntervalMs: 100, maxWaitMs: 1000 });
+    const startedAt = Date.now();
+    const times = [];
+
+    await Promise.all([0, 1, 2].map(() => throttle.acquire().then(() => times.push(Date.now() - startedAt))));
+
+    assert.ok(times[1] >= 95, `second request after ${times[1]} ms`);
+    assert.ok(times[2] >= 195, `third request after ${times[2]} ms`);
+  });
+
+  it('turns requests away when the wait is too long', async () => {
+    const throttle = new UpstreamThrottle({ name: 'Nominatim', minIntervalMs: 2000, maxWaitMs: 500 });
+    await throttle.acquire();
+
+    await assert.rejects(throttle.acquire(), (error) => {
+      assert.ok(error instanceof UpstreamError);
+      assert.equal(error.status, 429);
+      assert.equal(error.code, 'upstream_rate_limited');
+      assert.equal(error.retryAfter, 2);
+      return true;
+    });
+
+    // A rejected request doesn't claim a slot
+    assert.ok(throttle.nextSlot - Date.now() <= 2000);
+  });
+
+  it('shares the queue with requests that give up sooner', async () => {
+    const throttle = new UpstreamThrottle({ name: 'Photon', minIntervalMs: 300, maxWaitMs: 1000 });
+    const impatient = throttle.withMaxWait(100);
+    await throttle.acquire();
+
+    await assert.rejects(impatient.acquire(), { code: 'upstream_rate_limited' });
+
+    // The patient request still gets the slot the impatient one gave up
+    const startedAt = Date.now();
+    await throttle.acquire();
+    assert.ok(Date.now() - startedAt < 400, `waited ${Date.now() - startedAt} ms`);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Tests for rare-bird watches: the watch routes, and the
+* scheduler with a webhook or SMTP server that never answers, a store that
+* fails, and old deliveries.
+*
+* Dependencies: node:test, express, test/helpers.js, store/watchStore.js,
+* watches/scheduler.js, notifiers/webhook.js, notifiers/smtp.js
+*/
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { startUpstream, startServer } = require('./helpers');
+const { WatchStore } = require('../store/watchStore');
+const { WatchScheduler } = require('../watches/scheduler');
+const { WebhookNotifier } = require('../notifiers/webhook');
+const { SmtpNotifier } = require('../notifiers/smtp');
+
+const SIGHTING = { subId: 'S1', speciesCode: 'verfly', comName: 'Vermilion Flycatcher', locName: 'Pier', obsDt: '2025-01-01 08:00', howMany: 1 };
+const AREA = { type: 'circle', lat: 37.8, lng: -122.4, dist: 10 };
+const NOTABLE_PATH = '/ebird/v2/data/obs/geo/recent/notable';
+const TOKEN = 'watch-secret';
+
+describe('watch routes', () => {
+  let upstream;
+  let server;
+  let dataDir;
+  let notable;
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-map-watch-routes-'));
+    upstream = await startUpstream();
+    server = await startServer(upstream, {
+      WATCH_DB_PATH: path.join(dataDir, 'watches.db'),
+      WATCH_API_TOKEN: TOKEN,
+      WATCH_MAX_COUNT: '2',
+      WATCH_LOG_FILE: path.join(dataDir, 'alerts.log'),
+      // Checks would otherwise reuse sightings cached within the poll interval
+      CACHE_TTL_BIRDS: '0'
+    });
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    upstream.reset();
+    notable = [SIGHTING];
+    upstream.override(NOTABLE_PATH, (req, res) => res.json(notable));
+  });
+
+  const request = async (method, route, { body, token = TOKEN } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${server.url}${route}`, {
+      method,
+      headers,
+      body: body && JSON.stringify(body)
+    });
+    return { response, body: response.status === 204 ? null : await response.json() };
+  };
+
+  it('requires the token to change or check watches', async () => {
+    const created = await request('POST', '/api/watches', { body: { name: 'Pier', area: AREA } });
+    assert.equal(created.response.status, 201);
+    const route = `/api/watches/${created.body.id}`;
+
+    for (const [method, target] of [['POST', '/api/watches'], ['PUT', route], ['DELETE', route], ['POST', `${route}/check`]]) {
+      const { response, body } = await request(method, target, { body: { area: AREA }, token: 'wrong' });
+      assert.equal(response.status, 401, `${method} ${target}`);
+      assert.deepEqual(body, { error: 'Changing watches requires a valid token' });
+    }
+
+    const { response } = await request('GET', route, { token: null });
+    assert.equal(response.status, 200);
+    assert.equal((await request('DELETE', route)).response.status, 204);
+  });
+
+  it('only alerts on sightings reported after the watch was created', async () => {
+    const { body: watch } = await request('POST', '/api/watches', { body: { area: AREA } });
+
+    const first = await request('POST', `/api/watches/${watch.id}/check`);
+    assert.deepEqual(first.body, { found: 1, delivered: {}, errors: [] });
+
+    notable = [SIGHTING, { ...SIGHTING, subId: 'S2' }];
+    const second = await request('POST', `/api/watches/${watch.id}/check`);
+    assert.deepEqual(second.body, { found: 2, delivered: { log: 1 }, errors: [] });
+
+    await request('DELETE', `/api/watches/${watch.id}`);
+  });
+
+  it('only alerts on sightings reported after the watch was changed', async () => {
+    const { body: watch } = await request('POST', '/api/watches', { body: { area: AREA, species: ['other'] } });
+
+    const updated = await request('PUT', `/api/watches/${watch.id}`, { body: { area: AREA } });
+    assert.equal(updated.response.status, 200);
+    const check = await request('POST', `/api/watches/${watch.id}/check`);
+    assert.deepEqual(check.body, { found: 1, delivered: {}, errors: [] });
+
+    await request('DELETE', `/api/watches/${watch.id}`);
+  });
+
+  it('stops creating watches at WATCH_MAX_COUNT', async () => {
+    await request('POST', '/api/watches', { body: { area: AREA } });
+    await request('POST', '/api/watches', { body: { area: AREA } });
+
+    const { response, body } = await request('POST', '/api/watches', { body: { area: AREA } });
+    assert.equal(response.status, 409);
+    assert.deepEqual(body, { error: 'No more than 2 watches can be saved' });
+    assert.equal((await request('GET', '/api/watches')).body.watches.length, 2);
+  });
+});
+
+describe('WatchScheduler', () => {
+  let dataDir;
+  let store;
+  let hangingServer;
+  let hangingUrl;
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-map-watches-'));
+    store = new WatchStore(path.join(dataDir, 'watches.db'));
+
+    // Accepts the request and never answers
+    const app = express();
+    app.post('/hook', () => {});
+    await new Promise(resolve => {
+      hangingServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    hangingUrl = `http://127.0.0.1:${hangingServer.address().port}/hook`;
+  });
+
+  after(async () => {
+    hangingServer.closeAllConnections();
+    await new Promise(resolve => hangingServer.close(resolve));
+    store.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('gives up on a webhook that never answers', async () => {
+    const watch = store.createWatch({ name: 'Pier', area: AREA, species: [], back: 7, notifiers: null });
+    const scheduler = new WatchScheduler({
+      store,
+      fetchSightings: async () => [SIGHTING],
+      notifiers: [new WebhookNotifier({ url: hangingUrl, timeoutMs: 200 })],
+      intervalMs: 60000
+    });
+
+    await scheduler.checkAll();
+
+    assert.equal(scheduler.running, false);
+    assert.equal(store.getWatch(watch.id).lastError, 'webhook: Webhook did not respond in time');
+    // Not delivered, so the next check tries again
+    assert.equal(store.filterUndelivered(watch.id, 'webhook', [SIGHTING]).length, 1);
+    store.deleteWatch(watch.id);
+  });
+
+  it('gives up on an SMTP server that never answers', async () => {
+    const silentServer = net.createServer(() => {});
+    await new Promise(resolve => silentServer.listen(0, '127.0.0.1', resolve));
+    const notifier = new SmtpNotifier({
+      host: '127.0.0.1',
+      port: silentServer.address().port,
+      secure: false,
+      from: 'alerts@example.com',
+      to: 'birder@example.com',
+      timeoutMs: 200
+    });
+
+    try {
+      await assert.rejects(notifier.send({ id: 1, name: 'Pier' }, [SIGHTING]));
+    } finally {
+      notifier.transport.close();
+      await new Promise(resolve => silentServer.close(resolve));
+    }
+  });
+
+  it('forgets deliveries older than the longest lookback', async () => {
+    const watch = store.createWatch({ name: 'Pier', area: AREA, species: [], back: 7, notifiers: null });
+    store.markDelivered(watch.id, 'log', [SIGHTING]);
+    store.db.prepare('UPDATE watch_deliveries SET delivered_at = ?')
+      .run(new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString());
+    store.markDelivered(watch.id, 'log', [{ ...SIGHTING, subId: 'S2' }]);
+
+    const scheduler = new WatchScheduler({ store, fetchSightings: async () => [], notifiers: [], intervalMs: 60000 });
+    await scheduler.checkAll();
+
+    assert.equal(store.filterUndelivered(watch.id, 'log', [SIGHTING]).length, 1);
+    assert.equal(store.filterUndelivered(watch.id, 'log', [{ ...SIGHTING, subId: 'S2' }]).length, 0);
+    store.deleteWatch(watch.id);
+  });
+
+  it('settles when the store fails', async () => {
+    const scheduler = new WatchScheduler({
+      store: { listWatches: () => { throw new Error('database is locked'); } },
+      fetchSightings: async () => [],
+      notifiers: [],
+      intervalMs: 60000
+    });
+
+    await scheduler.checkAll();
+    assert.equal(scheduler.running, false);
+  });
+});
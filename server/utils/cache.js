@@ -0,0 +1,203 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Response cache for upstream API calls. Entries are grouped by
+* namespace (one per endpoint), each with its own TTL, and are kept in a
+* pluggable store. The default store is an in-memory LRU; a file or SQLite
+* backend can be swapped in by implementing the CacheStore interface.
+*
+* Dependencies: debug.js, metrics.js
+*/
+
+const { debug } = require('./debug');
+const { metrics } = require('./metrics');
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {*} value - Cached response data
+ * @property {number} storedAt - Epoch milliseconds when the entry was written
+ * @property {number} expiresAt - Epoch milliseconds after which the entry is stale
+ */
+
+/**
+ * Storage backend interface. All methods may return promises so that
+ * disk or database backed stores can be used interchangeably.
+ * @typedef {Object} CacheStore
+ * @property {function(string): (CacheEntry|undefined|Promise<CacheEntry|undefined>)} get
+ * @property {function(string, CacheEntry): (void|Promise<void>)} set
+ * @property {function(string): (void|Promise<void>)} delete
+ * @property {function(): (void|Promise<void>)} clear
+ * @property {function(): (number|Promise<number>)} size
+ */
+
+/**
+ * In-memory cache store with least-recently-used eviction
+ * @implements {CacheStore}
+ */
+class MemoryStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=1000] - Entries kept before evicting the oldest
+   */
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Re-insert so Map iteration order tracks recency
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      debug.debug('Evicting cache entry:', oldestKey);
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Namespaced response cache with per-namespace TTLs
+ */
+class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {CacheStore} [options.store] - Storage backend, defaults to a MemoryStore
+   * @param {Object.<string, number>} options.ttls - TTL in milliseconds per namespace
+   * @param {number} [options.maxEntryBytes=2097152] - Responses larger than this are not stored
+   */
+  constructor({ store = new MemoryStore(), ttls, maxEntryBytes = 2 * 1024 * 1024 }) {
+    this.store = store;
+    this.ttls = ttls;
+    this.maxEntryBytes = maxEntryBytes;
+    this.pending = new Map();
+  }
+
+  /**
+   * Returns a cached value or runs the fetcher and caches its result.
+   * Concurrent misses for the same key share a single fetcher call.
+   * @param {string} namespace - Cache namespace, selects the TTL
+   * @param {string} key - Normalized request key
+   * @param {Function} fetcher - Async function producing the value on a miss
+   * @param {Object} [options]
+   * @param {number} [options.maxAgeMs=Infinity] - Oldest cached value to accept; an older
+   * one is fetched again and replaced
+   * @returns {Promise<{value: *, hit: boolean, age: number}>} Value with cache status and age in seconds
+   */
+  async wrap(namespace, key, fetcher, { maxAgeMs = Infinity } = {}) {
+    const ttl = this.ttls[namespace];
+    if (!ttl) {
+      return { value: await fetcher(), hit: false, age: 0 };
+    }
+
+    const fullKey = `${namespace}:${key}`;
+    const now = Date.now();
+    const entry = await this.store.get(fullKey);
+
+    if (entry && entry.expiresAt > now && now - entry.storedAt <= maxAgeMs) {
+      const age = Math.floor((now - entry.storedAt) / 1000);
+      debug.debug('Cache hit:', { key: fullKey, age });
+      metrics.cacheLookups.inc({ cache: 'response', namespace, result: 'hit' });
+      return { value: entry.value, hit: true, age };
+    }
+
+    if (entry && entry.expiresAt <= now) {
+      await this.store.delete(fullKey);
+    }
+
+    if (this.pending.has(fullKey)) {
+      debug.debug('Joining in-flight request:', fullKey);
+      metrics.cacheLookups.inc({ cache: 'response', namespace, result: 'joined' });
+      return { value: await this.pending.get(fullKey), hit: false, age: 0 };
+    }
+
+    debug.debug('Cache miss:', fullKey);
+    metrics.cacheLookups.inc({ cache: 'response', namespace, result: 'miss' });
+    const request = fetcher();
+    this.pending.set(fullKey, request);
+
+    try {
+      const value = await request;
+      await this.storeValue(fullKey, value, ttl);
+      return { value, hit: false, age: 0 };
+    } finally {
+      this.pending.delete(fullKey);
+    }
+  }
+
+  /**
+   * Writes a value to the store unless it exceeds the entry size limit
+   * @param {string} fullKey - Namespaced cache key
+   * @param {*} value - Value to cache
+   * @param {number} ttl - Time-to-live in milliseconds
+   */
+  async storeValue(fullKey, value, ttl) {
+    const size = Buffer.byteLength(JSON.stringify(value));
+    if (size > this.maxEntryBytes) {
+      debug.warn('Response too large to cache:', { key: fullKey, size });
+      return;
+    }
+
+    const storedAt = Date.now();
+    await this.store.set(fullKey, {
+      value,
+      storedAt,
+      expiresAt: storedAt + ttl
+    });
+  }
+
+  /**
+   * Removes all cached entries
+   */
+  async clear() {
+    await this.store.clear();
+  }
+}
+
+/**
+ * Sets cache status headers on an Express response
+ * @param {Object} res - Express response
+ * @param {{hit: boolean, age: number}} result - Result returned by ResponseCache.wrap
+ */
+const setCacheHeaders = (res, { hit, age }) => {
+  res.set('X-Cache', hit ? 'HIT' : 'MISS');
+  res.set('Age', String(age));
+};
+
+module.exports = { MemoryStore, ResponseCache, setCacheHeaders };
@@ -15,14 +15,166 @@
 * along with this program.  If not, see <https://www.gnu.org/licenses/>.
 *
 * Project: bird-sightings-map
-* Description: Debug utility that provides conditional console logging based on
-* environment-configured debug levels. Supports error, warn, info, and debug levels.
-* 
+* Description: Leveled logging that writes one JSON object per line. Each
+* line carries the ID of the request being handled, secrets are redacted and
+* large values are truncated. The level comes from SERVER_DEBUG_LEVEL, as a
+* number (0-4) or a level name.
+*
 * Dependencies: none
 */
 
+const { AsyncLocalStorage } = require('async_hooks');
+
+/** @constant {string[]} LEVEL_NAMES - Level names, indexed by SERVER_DEBUG_LEVEL number */
+const LEVEL_NAMES = ['off', 'error', 'warn', 'info', 'debug'];
+
+/**
+ * Reads the log level, accepting the original numeric levels or their names
+ * @param {string} [value] - SERVER_DEBUG_LEVEL
+ * @returns {number} Level from 0 (off) to 4 (debug)
+ */
+const parseLevel = (value = '0') => {
+  const byName = LEVEL_NAMES.indexOf(value.trim().toLowerCase());
+  if (byName !== -1) {
+    return byName;
+  }
+  const level = parseInt(value);
+  return Number.isInteger(level) ? Math.min(Math.max(level, 0), 4) : 0;
+};
+
 /** @constant {number} DEBUG_LEVEL - Current debug level from environment, defaults to 0 */
-const DEBUG_LEVEL = parseInt(process.env.SERVER_DEBUG_LEVEL || '0');
+const DEBUG_LEVEL = parseLevel(process.env.SERVER_DEBUG_LEVEL);
+
+// Longest string logged in full, e.g. a raw upstream response body
+const MAX_STRING_LENGTH = parseInt(process.env.LOG_MAX_STRING_LENGTH || '1000');
+// Longest array logged in full, and how deep nested objects are followed
+const MAX_ARRAY_ITEMS = 20;
+const MAX_DEPTH = 5;
+
+// Fields whose values are never logged
+const SECRET_KEY_PATTERN = /(token|api[-_]?key|authorization|password|pass|secret)$/i;
+// Environment variables whose values are redacted wherever they appear
+const SECRET_ENV_VARS = ['EBIRD_API_KEY', 'SMTP_PASS', 'WATCH_WEBHOOK_URL'];
+
+/**
+ * Context of the request being handled, shared across its async calls
+ * @type {AsyncLocalStorage<{requestId: string}>}
+ */
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * ID of the request being handled
+ * @returns {string|undefined} Request ID, or undefined outside a request
+ */
+const getRequestId = () => requestContext.getStore()?.requestId;
+
+/**
+ * Runs a function outside any request context, so timers it starts aren't
+ * attributed to the request that happened to start them
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+const withoutRequestContext = (fn) => requestContext.exit(fn);
+
+/**
+ * Replaces configured secret values in a string
+ * @param {string} text - Text to clean
+ * @returns {string} Text with secrets redacted
+ */
+const redactSecrets = (text) => SECRET_ENV_VARS.reduce((result, name) => {
+  const secret = process.env[name];
+  return secret && secret.length >= 4 ? result.split(secret).join('[REDACTED]') : result;
+}, text);
+
+/**
+ * Makes a value safe and compact for a log line: secrets redacted, long
+ * strings and arrays truncated, errors reduced to their useful fields
+ * @param {*} value - Value to log
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {*} JSON-serializable value
+ */
+const sanitize = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    const text = redactSecrets(value);
+    return text.length > MAX_STRING_LENGTH
+      ? `${text.slice(0, MAX_STRING_LENGTH)}... (${text.length - MAX_STRING_LENGTH} more characters)`
+      : text;
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' || typeof value === 'function' ? String(value) : value;
+  }
+  if (value instanceof Error) {
+    return sanitize({
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      status: value.status,
+      ...(DEBUG_LEVEL >= 4 && { stack: value.stack })
+    }, depth);
+  }
+  if (value instanceof Date || value instanceof URL) {
+    return sanitize(value.toString(), depth);
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map(item => sanitize(item, depth + 1));
+    return value.length > MAX_ARRAY_ITEMS
+      ? [...items, `... (${value.length - MAX_ARRAY_ITEMS} more items)`]
+      : items;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY_PATTERN.test(key) && item ? '[REDACTED]' : sanitize(item, depth + 1)
+  ]));
+};
+
+/**
+ * Writes one log line, regardless of the configured level
+ * @param {string} level - Level name
+ * @param {string} message - Log message
+ * @param {Object} [fields] - Extra top-level fields
+ */
+const writeLog = (level, message, fields = {}) => {
+  const requestId = getRequestId();
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: redactSecrets(message),
+    ...(requestId && { requestId }),
+    ...sanitize(fields)
+  });
+
+  if (level === 'error' || level === 'warn') {
+    process.stderr.write(line + '\n');
+  } else {
+    process.stdout.write(line + '\n');
+  }
+};
+
+/**
+ * Builds the logging function for one level. A leading string argument is
+ * the message (without its trailing colon); anything after it is logged as
+ * data, a single value as-is and several as an array.
+ * @param {number} level - Level number
+ * @returns {Function} Logging function
+ */
+const leveled = (level) => (...args) => {
+  if (DEBUG_LEVEL < level) {
+    return false;
+  }
+
+  const [first, ...rest] = args;
+  const hasMessage = typeof first === 'string';
+  const message = hasMessage ? first.replace(/:\s*$/, '') : '';
+  const details = hasMessage ? rest : args;
+
+  writeLog(LEVEL_NAMES[level], message, details.length === 0 ? {} : {
+    data: details.length === 1 ? details[0] : details
+  });
+  return true;
+};
 
 /**
  * Debug utility object with leveled logging functions
@@ -33,10 +185,16 @@ const DEBUG_LEVEL = parseInt(process.env.SERVER_DEBUG_LEVEL || '0');
  * @property {Function} debug - Logs debug messages when debug level >= 4
  */
 const debug = {
-  error: (...args) => DEBUG_LEVEL >= 1 && console.error(new Date(), '[ERROR]', ...args),
-  warn: (...args) => DEBUG_LEVEL >= 2 && console.warn(new Date(), '[WARN]', ...args),
-  info: (...args) => DEBUG_LEVEL >= 3 && console.info(new Date(), '[INFO]', ...args),
-  debug: (...args) => DEBUG_LEVEL >= 4 && console.log(new Date(), '[DEBUG]', ...args)
+  error: leveled(1),
+  warn: leveled(2),
+  info: leveled(3),
+  debug: leveled(4)
 };
 
-module.exports = { debug };
\ No newline at end of file
+module.exports = {
+  debug,
+  writeLog,
+  requestContext,
+  getRequestId,
+  withoutRequestContext
+};
@@ -0,0 +1,258 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Geographic helpers for covering a bounding box with eBird
+* geo queries (one circle for small boxes, lattice-aligned tiles for large
+* ones), and for merging and clipping the results.
+*
+* Dependencies: debug.js
+*/
+
+const { debug } = require('./debug');
+
+/**
+ * Tile edge length in degrees. Tiles are aligned to a fixed lattice so that
+ * overlapping viewports reuse the same tiles (and their cache entries). At
+ * 0.5 degrees the covering circle stays below eBird's 50 km radius limit.
+ * @type {number}
+ */
+const TILE_SIZE_DEG = 0.5;
+
+/**
+ * Largest covering circle radius in km answered with a single query. Kept
+ * below eBird's 50 km limit to leave room for cache key rounding.
+ * @type {number}
+ */
+const SINGLE_QUERY_MAX_DIST = 45;
+
+/**
+ * @typedef {Object} BoundingBox
+ * @property {number} minLng - Western edge
+ * @property {number} minLat - Southern edge
+ * @property {number} maxLng - Eastern edge
+ * @property {number} maxLat - Northern edge
+ */
+
+/**
+ * @typedef {Object} Tile
+ * @property {number} lat - Latitude of the tile center
+ * @property {number} lng - Longitude of the tile center
+ * @property {number} dist - Radius in km of the circle covering the tile
+ */
+
+/**
+ * Calculates the distance between two geographic coordinates using the Haversine formula
+ * @param {number} lat1 - Latitude of first point
+ * @param {number} lon1 - Longitude of first point
+ * @param {number} lat2 - Latitude of second point
+ * @param {number} lon2 - Longitude of second point
+ * @returns {number} Distance in kilometers
+ */
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Earth's radius in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+};
+
+/**
+ * Parses a "minLng,minLat,maxLng,maxLat" string into a bounding box
+ * @param {string} value - Raw bbox query parameter
+ * @returns {BoundingBox|null} Parsed bounding box, or null if malformed
+ */
+const parseBbox = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const parts = value.split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+    return null;
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180 ||
+      minLat >= maxLat || minLng >= maxLng) {
+    return null;
+  }
+
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+/**
+ * Builds the lattice tile whose south-west corner is at the given indices
+ * @param {number} row - Latitude index (south edge / TILE_SIZE_DEG)
+ * @param {number} col - Longitude index (west edge / TILE_SIZE_DEG)
+ * @returns {Tile} Tile center and covering radius
+ */
+const latticeTile = (row, col) => {
+  const south = row * TILE_SIZE_DEG;
+  const west = col * TILE_SIZE_DEG;
+  const lat = Number((south + TILE_SIZE_DEG / 2).toFixed(4));
+  const lng = Number((west + TILE_SIZE_DEG / 2).toFixed(4));
+  // The corner nearest the equator is the farthest from the center
+  const cornerLat = Math.abs(south) < Math.abs(south + TILE_SIZE_DEG) ? south : south + TILE_SIZE_DEG;
+  const dist = Math.ceil(calculateDistance(lat, lng, cornerLat, west));
+  return { lat, lng, dist };
+};
+
+/**
+ * Splits a bounding box into lattice-aligned tiles, each with a covering circle.
+ * When more than maxTiles are needed, only the tiles closest to the box center
+ * are built, working outward ring by ring from the center tile, so a huge box
+ * costs no more than a small one.
+ * @param {BoundingBox} bbox - Area to cover
+ * @param {number} maxTiles - Maximum number of tiles to return
+ * @returns {{tiles: Tile[], total: number, complete: boolean}} Tiles to query
+ */
+const buildTileGrid = (bbox, maxTiles) => {
+  const firstRow = Math.floor(bbox.minLat / TILE_SIZE_DEG);
+  const lastRow = Math.ceil(bbox.maxLat / TILE_SIZE_DEG) - 1;
+  const firstCol = Math.floor(bbox.minLng / TILE_SIZE_DEG);
+  const lastCol = Math.ceil(bbox.maxLng / TILE_SIZE_DEG) - 1;
+  const total = (lastRow - firstRow + 1) * (lastCol - firstCol + 1);
+
+  const centerLat = (bbox.minLat + bbox.maxLat) / 2;
+  const centerLng = (bbox.minLng + bbox.maxLng) / 2;
+  const centerRow = Math.min(Math.floor(centerLat / TILE_SIZE_DEG), lastRow);
+  const centerCol = Math.min(Math.floor(centerLng / TILE_SIZE_DEG), lastCol);
+
+  const distanceTo = tile => calculateDistance(centerLat, centerLng, tile.lat, tile.lng);
+
+  // Collect whole rings until there are enough tiles. Away from the equator a
+  // tile some rings out east or west can be nearer than one a ring north or
+  // south, so keep adding rings while they still bring a nearer tile.
+  let tiles = [];
+  for (let ring = 0; tiles.length < total; ring++) {
+    const ringTiles = [];
+    for (let row = centerRow - ring; row <= centerRow + ring; row++) {
+      for (let col = centerCol - ring; col <= centerCol + ring; col++) {
+        const onRing = Math.abs(row - centerRow) === ring || Math.abs(col - centerCol) === ring;
+        if (onRing && row >= firstRow && row <= lastRow && col >= firstCol && col <= lastCol) {
+          ringTiles.push(latticeTile(row, col));
+        }
+      }
+    }
+
+    if (tiles.length >= maxTiles) {
+      const farthestKept = distanceTo(tiles[maxTiles - 1]);
+      if (ringTiles.every(tile => distanceTo(tile) >= farthestKept)) break;
+    }
+    tiles = tiles.concat(ringTiles);
+    if (tiles.length >= maxTiles) {
+      tiles = tiles
+        .map(tile => ({ tile, distance: distanceTo(tile) }))
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ tile }) => tile);
+    }
+  }
+
+  if (total <= maxTiles) {
+    return { tiles, total, complete: true };
+  }
+
+  debug.warn('Tile grid exceeds limit, keeping tiles nearest center:', { total, maxTiles });
+  return { tiles: tiles.slice(0, maxTiles), total, complete: false };
+};
+
+/**
+ * Calculates the smallest circle centered on the box that contains it
+ * @param {BoundingBox} bbox - Area to cover
+ * @returns {Tile} Box center and radius in km to its farthest corner
+ */
+const coveringCircle = (bbox) => {
+  const lat = (bbox.minLat + bbox.maxLat) / 2;
+  const lng = (bbox.minLng + bbox.maxLng) / 2;
+  // The corners on the edge nearest the equator are the farthest from the center
+  const cornerLat = Math.abs(bbox.minLat) < Math.abs(bbox.maxLat) ? bbox.minLat : bbox.maxLat;
+  const dist = calculateDistance(lat, lng, cornerLat, bbox.minLng);
+  return {
+    lat: Number(lat.toFixed(4)),
+    lng: Number(lng.toFixed(4)),
+    dist: Number(dist.toFixed(1))
+  };
+};
+
+/**
+ * Chooses the geo queries that cover a bounding box: a single circle when
+ * it fits within one query, otherwise a tile grid capped at maxTiles
+ * @param {BoundingBox} bbox - Area to cover
+ * @param {number} maxTiles - Maximum number of tiles to return
+ * @returns {{tiles: Tile[], total: number, complete: boolean}} Circles to query
+ */
+const planCoverage = (bbox, maxTiles) => {
+  const circle = coveringCircle(bbox);
+  if (circle.dist <= SINGLE_QUERY_MAX_DIST) {
+    return { tiles: [circle], total: 1, complete: true };
+  }
+  return buildTileGrid(bbox, maxTiles);
+};
+
+/**
+ * Checks whether eBird region bounds contain a whole bounding box
+ * @param {{minX: number, maxX: number, minY: number, maxY: number}} bounds - Region bounds from eBird
+ * @param {BoundingBox} bbox - Box to test
+ * @returns {boolean} Whether the box lies inside the bounds
+ */
+const boundsContain = (bounds, bbox) =>
+  bounds.minX <= bbox.minLng && bounds.maxX >= bbox.maxLng &&
+  bounds.minY <= bbox.minLat && bounds.maxY >= bbox.maxLat;
+
+/**
+ * Keeps only observations located inside a bounding box
+ * @param {Object[]} observations - Observations with lat and lng
+ * @param {BoundingBox} bbox - Box to clip to
+ * @returns {Object[]} Observations inside the box
+ */
+const clipToBbox = (observations, bbox) => observations.filter(observation =>
+  observation.lat >= bbox.minLat &&
+  observation.lat <= bbox.maxLat &&
+  observation.lng >= bbox.minLng &&
+  observation.lng <= bbox.maxLng
+);
+
+/**
+ * Merges observation lists, keeping one record per checklist and species
+ * @param {Object[][]} observationLists - Observation arrays from each tile
+ * @returns {Object[]} De-duplicated observations
+ */
+const mergeObservations = (observationLists) => {
+  const merged = new Map();
+  observationLists.flat().forEach(observation => {
+    const key = `${observation.subId}|${observation.speciesCode}`;
+    if (!merged.has(key)) {
+      merged.set(key, observation);
+    }
+  });
+  return [...merged.values()];
+};
+
+module.exports = {
+  TILE_SIZE_DEG,
+  SINGLE_QUERY_MAX_DIST,
+  calculateDistance,
+  parseBbox,
+  buildTileGrid,
+  coveringCircle,
+  planCoverage,
+  boundsContain,
+  clipToBbox,
+  mergeObservations
+};
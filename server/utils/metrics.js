@@ -0,0 +1,301 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: In-process metrics exposed in the Prometheus text format:
+* route traffic and latency, upstream calls and errors per provider,
+* rate limiter rejections and cache lookups.
+*
+* Dependencies: none
+*/
+
+// Latency buckets in seconds, from cache hits to slow upstream retries
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escapes a label value for the text format
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabel = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+/**
+ * Formats a label set, e.g. {route="/api/birds",status="200"}
+ * @param {Object} labels - Label names and values
+ * @returns {string} Label set, or '' when there are none
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Base for metrics keyed by label values
+ */
+class Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description shown in the HELP line
+   * @param {string[]} [labelNames] - Label names, in output order
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Gets the stored series for a label set, creating it if needed
+   * @param {Object} labels - Label values
+   * @param {Function} create - Returns a new series
+   * @returns {Object} Series
+   */
+  seriesFor(labels, create) {
+    const values = this.labelNames.map(name => String(labels[name] ?? ''));
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      const labelSet = Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+      this.series.set(key, { labels: labelSet, ...create() });
+    }
+    return this.series.get(key);
+  }
+}
+
+/**
+ * Value that only goes up
+ */
+class Counter extends Metric {
+  /**
+   * @param {Object} [labels] - Label values
+   * @param {number} [amount=1] - Amount to add
+   */
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * @returns {string[]} Text format lines
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} counter`,
+      ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)
+    ];
+  }
+}
+
+/**
+ * Value read when metrics are collected
+ */
+class Gauge extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description shown in the HELP line
+   * @param {string[]} labelNames - Label names
+   * @param {Function} collect - Returns an array of {labels, value}
+   */
+  constructor(name, help, labelNames, collect) {
+    super(name, help, labelNames);
+    this.collect = collect;
+  }
+
+  /**
+   * @returns {string[]} Text format lines
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} gauge`,
+      ...this.collect().map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)
+    ];
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets
+ */
+class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description shown in the HELP line
+   * @param {string[]} labelNames - Label names
+   * @param {number[]} [buckets] - Upper bounds, ascending
+   */
+  constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * @returns {string[]} Text format lines
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Collection of metrics rendered together
+ */
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * @param {Metric} metric - Metric to add
+   * @returns {Metric} The same metric
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @returns {string} Every metric in the Prometheus text format
+   */
+  render() {
+    return this.metrics.flatMap(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+const registry = new Registry();
+
+/**
+ * Metrics recorded across the server
+ */
+const metrics = {
+  httpRequests: registry.register(new Counter(
+    'http_requests_total',
+    'HTTP requests handled, by route and status',
+    ['method', 'route', 'status']
+  )),
+  httpDuration: registry.register(new Histogram(
+    'http_request_duration_seconds',
+    'Time to handle HTTP requests, by route',
+    ['method', 'route']
+  )),
+  upstreamRequests: registry.register(new Counter(
+    'upstream_requests_total',
+    'Upstream API calls, one per attempt, by provider and outcome',
+    ['provider', 'outcome']
+  )),
+  upstreamErrors: registry.register(new Counter(
+    'upstream_errors_total',
+    'Failed upstream API calls, by provider and error code',
+    ['provider', 'code']
+  )),
+  upstreamDuration: registry.register(new Histogram(
+    'upstream_request_duration_seconds',
+    'Upstream API call latency, by provider',
+    ['provider']
+  )),
+  rateLimited: registry.register(new Counter(
+    'rate_limit_rejections_total',
+    'Requests rejected by a rate limiter',
+    ['limiter']
+  )),
+  cacheLookups: registry.register(new Counter(
+    'cache_lookups_total',
+    'Cache lookups, by cache, namespace and result (hit, miss or joined an in-flight request)',
+    ['cache', 'namespace', 'result']
+  ))
+};
+
+/**
+ * Adds a gauge read from live state when metrics are collected
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @param {Function} collect - Returns an array of {labels, value}
+ */
+const registerGauge = (name, help, labelNames, collect) => {
+  registry.register(new Gauge(name, help, labelNames, collect));
+};
+
+/**
+ * Express middleware that counts and times each request by its route
+ * pattern, so /api/checklist/S1 and /api/checklist/S2 share one series
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const recordRequestMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.once('close', () => {
+    // Static files and unmatched paths have no route
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+};
+
+/**
+ * Creates the /metrics route handler
+ * @param {Object} [options]
+ * @param {string} [options.token] - Bearer token required to read metrics
+ * @returns {Function} Express route handler
+ */
+const metricsHandler = ({ token } = {}) => (req, res) => {
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Metrics require a valid token' });
+  }
+  res.type('text/plain; version=0.0.4').send(registry.render());
+};
+
+module.exports = {
+  metrics,
+  registerGauge,
+  recordRequestMetrics,
+  metricsHandler
+};
@@ -0,0 +1,156 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Records upstream request and response pairs to a fixture
+* directory and plays them back, so a reported session can be reproduced
+* with the exact upstream data it saw. Requests are matched by a normalized
+* key built from the method, URL and body; headers (including API tokens)
+* are never part of the key or the recording.
+*
+* Dependencies: utils/debug.js
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { debug } = require('./debug');
+
+/**
+ * @typedef {Object} RecordedResponse
+ * @property {number} status - HTTP status
+ * @property {string} [retryAfter] - Retry-After header, if sent
+ * @property {string} body - Response body text
+ */
+
+/**
+ * Orders object keys so equal JSON bodies produce the same key
+ * @param {*} value - Parsed JSON value
+ * @returns {*} Copy with object keys sorted
+ */
+const sortKeys = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value).sort().map(key => [key, sortKeys(value[key])])
+    );
+  }
+  return value;
+};
+
+/**
+ * Builds the key a request is recorded under. Query parameters are sorted
+ * and empty ones dropped, so parameter order doesn't matter.
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {URL|string} request.url - Request URL
+ * @param {*} [request.body] - JSON request body
+ * @returns {string} Normalized request key
+ */
+const requestKey = ({ method, url, body }) => {
+  const parsed = new URL(url);
+  const params = [...parsed.searchParams]
+    .filter(([, value]) => value !== '')
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+  parsed.hash = '';
+
+  const key = `${method.toUpperCase()} ${parsed.href}`;
+  return body === undefined ? key : `${key} ${JSON.stringify(sortKeys(body))}`;
+};
+
+/**
+ * Reads and writes recorded upstream responses
+ */
+class UpstreamRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - 'record' or 'replay'
+   * @param {string} options.dir - Fixture directory, one JSON file per request
+   */
+  constructor({ mode, dir }) {
+    this.mode = mode;
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  /**
+   * Path of the fixture file for a request
+   * @param {string} service - Upstream name, used as the file name prefix
+   * @param {string} key - Normalized request key
+   * @returns {string} Fixture file path
+   */
+  fixturePath(service, key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+    return path.join(this.dir, `${service.toLowerCase()}-${hash}.json`);
+  }
+
+  /**
+   * Saves a response, replacing any earlier recording of the same request
+   * @param {string} service - Upstream name
+   * @param {Object} request - Method, URL and body, see requestKey
+   * @param {RecordedResponse} response - Response to save
+   */
+  async save(service, request, response) {
+    const key = requestKey(request);
+    const fixture = { service, key, recordedAt: new Date().toISOString(), response };
+
+    await fs.promises.writeFile(this.fixturePath(service, key), JSON.stringify(fixture, null, 2));
+    debug.debug('Recorded upstream response:', key);
+  }
+
+  /**
+   * Loads the recorded response for a request
+   * @param {string} service - Upstream name
+   * @param {Object} request - Method, URL and body, see requestKey
+   * @returns {Promise<RecordedResponse|null>} Recorded response, or null if there is none
+   */
+  async load(service, request) {
+    const key = requestKey(request);
+
+    try {
+      const fixture = JSON.parse(await fs.promises.readFile(this.fixturePath(service, key), 'utf8'));
+      debug.debug('Replaying upstream response:', key);
+      return fixture.response;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      debug.warn('No recorded upstream response:', key);
+      return null;
+    }
+  }
+}
+
+/**
+ * Creates the recorder for the configured upstream mode
+ * @param {Object} config - Server configuration from loadConfig
+ * @returns {UpstreamRecorder|null} Recorder, or null in live mode
+ */
+const createRecorder = (config) => {
+  const mode = config.UPSTREAM_MODE;
+  if (mode === 'live') {
+    return null;
+  }
+
+  const dir = config.UPSTREAM_FIXTURE_DIR;
+  debug.info(`Upstream ${mode} mode using fixtures in:`, dir);
+  return new UpstreamRecorder({ mode, dir });
+};
+
+module.exports = { UpstreamRecorder, createRecorder, requestKey };
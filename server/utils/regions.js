@@ -0,0 +1,86 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Helpers for mapping Nominatim reverse geocoding addresses to
+* eBird region codes. States and provinces come from the ISO 3166-2 code in
+* the address; counties are matched by name against eBird's region list.
+*
+* Dependencies: none
+*/
+
+/**
+ * Suffixes dropped from county names before matching (Nominatim says
+ * "Santa Cruz County" where eBird says "Santa Cruz")
+ * @type {RegExp}
+ */
+const REGION_SUFFIXES = /\s+(county|parish|borough|census area|municipality|city and borough|district|department|province)$/;
+
+/**
+ * @typedef {Object} RegionCodes
+ * @property {string|null} country - eBird country code (e.g., "US")
+ * @property {string|null} subnational1 - eBird state/province code (e.g., "US-CA")
+ * @property {string|null} subnational2 - eBird county code (e.g., "US-CA-087")
+ */
+
+/**
+ * Normalizes a region name for comparison
+ * @param {string} name - Region name
+ * @returns {string} Lowercase name without accents or common suffixes
+ */
+const normalizeRegionName = (name) => name
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/^(county|city) of\s+/, '')
+  .replace(REGION_SUFFIXES, '')
+  .trim();
+
+/**
+ * Finds the region whose name matches, ignoring case, accents and suffixes
+ * @param {Array<{code: string, name: string}>} regions - eBird region list
+ * @param {string} name - Name to look for
+ * @returns {string|null} Matching region code
+ */
+const matchRegionByName = (regions, name) => {
+  if (!name) return null;
+  const target = normalizeRegionName(name);
+  const match = regions.find(region => normalizeRegionName(region.name) === target);
+  return match ? match.code : null;
+};
+
+/**
+ * Reads the state/province ISO 3166-2 code from a Nominatim address
+ * @param {Object} address - Nominatim address details
+ * @returns {string|null} ISO 3166-2 code (e.g., "US-CA")
+ */
+const getIsoSubdivision = (address) =>
+  address['ISO3166-2-lvl4'] || address['ISO3166-2-lvl3'] || null;
+
+/**
+ * Reads the county-level name from a Nominatim address
+ * @param {Object} address - Nominatim address details
+ * @returns {string|null} County (or equivalent) name
+ */
+const getCountyName = (address) =>
+  address.county || address.state_district || null;
+
+module.exports = {
+  normalizeRegionName,
+  matchRegionByName,
+  getIsoSubdivision,
+  getCountyName
+};
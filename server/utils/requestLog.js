@@ -0,0 +1,65 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Express middleware that gives each request a correlation ID,
+* makes it available to every log line and upstream call made while
+* handling the request, and writes an access log line when it finishes.
+*
+* Dependencies: utils/debug.js
+*/
+
+const crypto = require('crypto');
+const { writeLog, requestContext } = require('./debug');
+
+// Incoming IDs are reused when they look like an ID and not arbitrary text
+const REQUEST_ID_PATTERN = /^[\w.-]{8,64}$/;
+
+/**
+ * Creates the request ID and access log middleware
+ * @param {Object} [options]
+ * @param {boolean} [options.accessLog=true] - Whether to log each finished request
+ * @param {string[]} [options.quietPaths=[]] - Paths left out of the access log
+ * @returns {Function} Express middleware
+ */
+const requestLogger = ({ accessLog = true, quietPaths = [] } = {}) => (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  if (accessLog && !quietPaths.includes(req.path)) {
+    // 'close' also covers clients that disconnect, like stream subscribers
+    res.once('close', () => {
+      requestContext.run({ requestId }, () => {
+        writeLog(res.statusCode >= 500 ? 'error' : 'info', 'request', {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+          bytes: parseInt(res.get('Content-Length')) || undefined,
+          finished: res.writableFinished
+        });
+      });
+    });
+  }
+
+  requestContext.run({ requestId }, next);
+};
+
+module.exports = { requestLogger };
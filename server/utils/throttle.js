@@ -0,0 +1,85 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Process-wide spacing of requests to an upstream API, shared
+* by every client of this server. Callers wait for the next free slot, or
+* are turned away when the wait would be too long.
+*
+* Dependencies: utils/debug.js, utils/metrics.js, utils/upstream.js
+*/
+
+const { debug } = require('./debug');
+const { metrics } = require('./metrics');
+const { UpstreamError } = require('./upstream');
+
+/**
+ * Spaces upstream requests at least minIntervalMs apart
+ */
+class UpstreamThrottle {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Upstream name, used in messages and metrics
+   * @param {number} options.minIntervalMs - Least time between requests
+   * @param {number} options.maxWaitMs - Longest a request may wait for its slot
+   */
+  constructor({ name, minIntervalMs, maxWaitMs }) {
+    this.name = name;
+    this.minIntervalMs = minIntervalMs;
+    this.maxWaitMs = maxWaitMs;
+    this.nextSlot = 0;
+  }
+
+  /**
+   * Waits for the next free slot and claims it
+   * @param {Object} [options]
+   * @param {number} [options.maxWaitMs] - Overrides the longest wait for this request
+   * @returns {Promise<void>} Resolves when the request may be sent
+   * @throws {UpstreamError} rateLimited if the slot is further away than the longest wait
+   */
+  async acquire({ maxWaitMs = this.maxWaitMs } = {}) {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    const wait = slot - now;
+
+    if (wait > maxWaitMs) {
+      debug.warn(`${this.name} request throttled:`, { waitMs: wait });
+      metrics.rateLimited.inc({ limiter: `${this.name.toLowerCase()}-upstream` });
+      throw new UpstreamError('rateLimited', `Too many ${this.name} requests right now, try again shortly`, {
+        retryAfter: Math.ceil(wait / 1000),
+        retryable: false
+      });
+    }
+
+    this.nextSlot = slot + this.minIntervalMs;
+    if (wait > 0) {
+      debug.debug(`Waiting for ${this.name} request slot:`, { waitMs: wait });
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Shares this throttle's queue with requests that give up sooner, such as
+   * type-ahead suggestions that are stale after a moment
+   * @param {number} maxWaitMs - Longest those requests may wait
+   * @returns {{acquire: Function}} Throttle to pass to fetchJson
+   */
+  withMaxWait(maxWaitMs) {
+    return { acquire: () => this.acquire({ maxWaitMs }) };
+  }
+}
+
+module.exports = { UpstreamThrottle };
@@ -0,0 +1,373 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: JSON requests to upstream APIs (eBird, Nominatim) with a
+* per-request timeout, bounded retry with jittered backoff for transient
+* failures, and errors sorted by type so routes can answer with a matching
+* status and error code. Responses can be recorded to, or replayed from, a
+* fixture directory through an UpstreamRecorder, and attempts spaced out
+* by an UpstreamThrottle. Images (species photos) are fetched as bytes,
+* without retries or recording.
+*
+* Dependencies: node-fetch, utils/debug.js, utils/metrics.js, utils/recorder.js
+*/
+
+const { debug, getRequestId } = require('./debug');
+const { metrics } = require('./metrics');
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+/**
+ * Upstream failure types, with the status and code sent to API clients
+ * and whether a retry may succeed
+ */
+const UPSTREAM_ERROR_TYPES = {
+  auth: { status: 500, code: 'upstream_auth', retryable: false },
+  rateLimited: { status: 429, code: 'upstream_rate_limited', retryable: true },
+  notFound: { status: 404, code: 'upstream_not_found', retryable: false },
+  timeout: { status: 504, code: 'upstream_timeout', retryable: true },
+  badResponse: { status: 502, code: 'upstream_bad_response', retryable: false },
+  unavailable: { status: 503, code: 'upstream_unavailable', retryable: true }
+};
+
+// Longest wait between attempts, including a Retry-After from the upstream
+const MAX_RETRY_DELAY_MS = 5000;
+
+/**
+ * @typedef {import('./recorder').RecordedResponse} RecordedResponse
+ * @typedef {import('./recorder').UpstreamRecorder} UpstreamRecorder
+ * @typedef {import('./throttle').UpstreamThrottle} UpstreamThrottle
+ */
+
+/**
+ * Error from an upstream API request
+ */
+class UpstreamError extends Error {
+  /**
+   * @param {string} type - Key of UPSTREAM_ERROR_TYPES
+   * @param {string} message - Message safe to show API clients
+   * @param {Object} [details]
+   * @param {number} [details.upstreamStatus] - HTTP status from the upstream
+   * @param {number} [details.retryAfter] - Seconds the upstream asked us to wait
+   * @param {boolean} [details.retryable] - Overrides the type's default
+   */
+  constructor(type, message, { upstreamStatus, retryAfter, retryable } = {}) {
+    super(message);
+    const { status, code, retryable: retryableByDefault } = UPSTREAM_ERROR_TYPES[type];
+    this.name = 'UpstreamError';
+    this.type = type;
+    this.status = status;
+    this.code = code;
+    this.upstreamStatus = upstreamStatus;
+    this.retryAfter = retryAfter;
+    this.retryable = retryable ?? retryableByDefault;
+  }
+}
+
+/**
+ * Sorts a non-OK upstream response into an UpstreamError
+ * @param {string} service - Upstream name used in messages
+ * @param {RecordedResponse} response - Status, Retry-After and body
+ * @returns {UpstreamError} Error for the response
+ */
+const errorForResponse = (service, response) => {
+  const upstreamStatus = response.status;
+
+  if (upstreamStatus === 401 || upstreamStatus === 403) {
+    return new UpstreamError('auth', `${service} rejected the server's API credentials`, { upstreamStatus });
+  }
+  if (upstreamStatus === 429) {
+    const retryAfter = parseInt(response.retryAfter);
+    return new UpstreamError('rateLimited', `${service} request quota exceeded, try again later`, {
+      upstreamStatus,
+      retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined
+    });
+  }
+  if (upstreamStatus === 404) {
+    return new UpstreamError('notFound', `Not found on ${service}`, { upstreamStatus });
+  }
+  // Other 4xx responses won't change on retry
+  return new UpstreamError('unavailable', `${service} request failed`, {
+    upstreamStatus,
+    retryable: upstreamStatus >= 500
+  });
+};
+
+/**
+ * Sends one request to the upstream. The timeout covers reading the body
+ * as well as connecting.
+ * @param {URL|string} url - Request URL
+ * @param {Object} options - See fetchJson
+ * @returns {Promise<RecordedResponse>} Status, Retry-After and body text
+ * @throws {UpstreamError} If the upstream can't be reached in time
+ */
+const sendRequest = async (url, { service, method, headers, body, timeoutMs }) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const requestId = getRequestId();
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        // Lets upstream logs, or a proxy in between, be matched to ours
+        ...(requestId && { 'X-Request-Id': requestId }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal
+    });
+    const retryAfter = response.headers.get('retry-after');
+    return {
+      status: response.status,
+      ...(retryAfter !== null && { retryAfter }),
+      body: await response.text()
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new UpstreamError('timeout', `${service} did not respond in time`);
+    }
+    debug.error(`${service} request error:`, error.message);
+    throw new UpstreamError('unavailable', `${service} is unreachable`);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Gets the response to one request: from the recorder in replay mode,
+ * otherwise from the upstream, saving it first in record mode
+ * @param {URL|string} url - Request URL
+ * @param {Object} options - See fetchJson
+ * @returns {Promise<RecordedResponse>} Status, Retry-After and body text
+ * @throws {UpstreamError} If there is no response
+ */
+const exchange = async (url, options) => {
+  const { service, method, body, recorder } = options;
+  const request = { method, url, body };
+
+  if (recorder?.mode === 'replay') {
+    const recorded = await recorder.load(service, request);
+    if (!recorded) {
+      throw new UpstreamError('unavailable', `No recorded ${service} response for this request`, {
+        retryable: false
+      });
+    }
+    return recorded;
+  }
+
+  const response = await sendRequest(url, options);
+  if (recorder?.mode === 'record') {
+    // A failed write shouldn't fail the request being recorded
+    await recorder.save(service, request, response).catch(error => {
+      debug.error(`Failed to record ${service} response:`, error.message);
+    });
+  }
+  return response;
+};
+
+/**
+ * Makes one upstream request and parses its JSON body
+ * @param {URL|string} url - Request URL
+ * @param {Object} options - See fetchJson
+ * @returns {Promise<*>} Parsed response body
+ * @throws {UpstreamError} If the request fails
+ */
+const fetchOnce = async (url, options) => {
+  const { service } = options;
+  const response = await exchange(url, options);
+
+  debug.info(`${service} API response status:`, response.status);
+
+  if (response.status < 200 || response.status >= 300) {
+    debug.error(`${service} API error:`, response.body);
+    throw errorForResponse(service, response);
+  }
+
+  debug.debug(`${service} raw response:`, response.body);
+
+  try {
+    return JSON.parse(response.body);
+  } catch (error) {
+    debug.error(`Failed to parse ${service} response:`, error.message);
+    throw new UpstreamError('badResponse', `Invalid response format from ${service}`, {
+      upstreamStatus: response.status
+    });
+  }
+};
+
+/**
+ * Counts and times one upstream attempt
+ * @param {string} service - Upstream name
+ * @param {bigint} startedAt - process.hrtime.bigint() when the attempt began
+ * @param {UpstreamError} [error] - Error, if the attempt failed
+ */
+const recordAttempt = (service, startedAt, error) => {
+  const provider = service.toLowerCase();
+  metrics.upstreamRequests.inc({ provider, outcome: error ? 'error' : 'success' });
+  metrics.upstreamDuration.observe({ provider }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  if (error) {
+    metrics.upstreamErrors.inc({ provider, code: error.code || 'internal_error' });
+  }
+};
+
+/**
+ * Picks the wait before a retry: full jitter over an exponential window,
+ * or the upstream's Retry-After when it gave one
+ * @param {number} attempt - Zero-based number of the failed attempt
+ * @param {number} baseDelayMs - Window for the first retry
+ * @param {UpstreamError} error - Error from the failed attempt
+ * @returns {number} Delay in milliseconds
+ */
+const retryDelay = (attempt, baseDelayMs, error) => {
+  if (error.retryAfter !== undefined) {
+    return error.retryAfter * 1000;
+  }
+  return Math.random() * Math.min(baseDelayMs * 2 ** attempt, MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * Fetches JSON from an upstream API, retrying transient failures
+ * (timeouts, network errors, 5xx and 429 responses)
+ * @param {URL|string} url - Request URL
+ * @param {Object} options
+ * @param {string} options.service - Upstream name used in messages and logs
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.headers] - Request headers
+ * @param {*} [options.body] - Request body, sent as JSON
+ * @param {number} [options.timeoutMs=10000] - Time allowed for each attempt
+ * @param {number} [options.retries=2] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=250] - Backoff window for the first retry
+ * @param {UpstreamRecorder} [options.recorder] - Records or replays responses
+ * @param {UpstreamThrottle} [options.throttle] - Spaces out attempts, including retries
+ * @returns {Promise<*>} Parsed response body
+ * @throws {UpstreamError} If the last attempt fails or the failure isn't transient
+ */
+const fetchJson = async (url, {
+  service,
+  method = 'GET',
+  headers = {},
+  body,
+  timeoutMs = 10000,
+  retries = 2,
+  baseDelayMs = 250,
+  recorder,
+  throttle
+}) => {
+  for (let attempt = 0; ; attempt++) {
+    // Not counted as an upstream call when the throttle turns it away
+    await throttle?.acquire();
+    const startedAt = process.hrtime.bigint();
+    try {
+      const data = await fetchOnce(url, { service, method, headers, body, timeoutMs, recorder });
+      recordAttempt(service, startedAt);
+      return data;
+    } catch (error) {
+      recordAttempt(service, startedAt, error);
+      const delay = retryDelay(attempt, baseDelayMs, error);
+      if (!error.retryable || attempt >= retries || delay > MAX_RETRY_DELAY_MS) {
+        throw error;
+      }
+      debug.warn(`Retrying ${service} request:`, {
+        code: error.code,
+        attempt: attempt + 1,
+        delayMs: Math.round(delay)
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+};
+
+/**
+ * Fetches an image, e.g. a species photo being proxied to the browser
+ * @param {URL|string} url - Image URL
+ * @param {Object} options
+ * @param {string} options.service - Upstream name used in messages and metrics
+ * @param {number} [options.timeoutMs=10000] - Time allowed for the whole download
+ * @param {number} [options.maxBytes=5242880] - Largest image accepted
+ * @returns {Promise<{contentType: string, body: Buffer}>} Image type and bytes
+ * @throws {UpstreamError} If the request fails or the response isn't an image
+ */
+const fetchImage = async (url, { service, timeoutMs = 10000, maxBytes = 5 * 1024 * 1024 }) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const startedAt = process.hrtime.bigint();
+
+  try {
+    const response = await fetch(url, { headers: { Accept: 'image/*' }, signal: controller.signal });
+    if (!response.ok) {
+      throw errorForResponse(service, {
+        status: response.status,
+        retryAfter: response.headers.get('retry-after') ?? undefined
+      });
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    const contentLength = parseInt(response.headers.get('content-length'));
+    if (!contentType.startsWith('image/') || contentLength > maxBytes) {
+      throw new UpstreamError('badResponse', `${service} did not return a usable image`, {
+        upstreamStatus: response.status
+      });
+    }
+
+    const body = Buffer.from(await response.arrayBuffer());
+    if (body.length > maxBytes) {
+      throw new UpstreamError('badResponse', `${service} did not return a usable image`, {
+        upstreamStatus: response.status
+      });
+    }
+    recordAttempt(service, startedAt);
+    return { contentType, body };
+  } catch (error) {
+    let upstreamError = error;
+    if (!(error instanceof UpstreamError)) {
+      upstreamError = error.name === 'AbortError'
+        ? new UpstreamError('timeout', `${service} did not respond in time`)
+        : new UpstreamError('unavailable', `${service} is unreachable`);
+      debug.error(`${service} image request error:`, error.message);
+    }
+    recordAttempt(service, startedAt, upstreamError);
+    throw upstreamError;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Responds to a failed request. Upstream errors get their own status and
+ * code; anything else is an internal error with the fallback message.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const sendUpstreamError = (res, error, fallbackMessage) => {
+  if (!(error instanceof UpstreamError)) {
+    return res.status(500).json({ error: fallbackMessage, code: 'internal_error' });
+  }
+
+  if (error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status).json({ error: error.message, code: error.code });
+};
+
+module.exports = {
+  UpstreamError,
+  fetchJson,
+  fetchImage,
+  sendUpstreamError
+};
@@ -0,0 +1,51 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Builds upstream API URLs with every path segment and query
+* parameter encoded.
+*
+* Dependencies: none
+*/
+
+/**
+ * Builds a URL from a base, path segments and query parameters
+ * @param {string} baseUrl - Base URL, e.g. "https://api.ebird.org/v2"
+ * @param {Array<string|number>} [segments=[]] - Path segments, each encoded
+ * so it can't add path levels or a query string
+ * @param {Object} [params={}] - Query parameters; null and undefined values are left out
+ * @returns {URL} Upstream request URL
+ * @throws {Error} If a segment is empty or a dot segment
+ */
+const buildUrl = (baseUrl, segments = [], params = {}) => {
+  // URL parsing resolves "." and ".." even when percent-encoded
+  if (segments.some(segment => ['', '.', '..'].includes(String(segment)))) {
+    throw new Error('Invalid URL path segment');
+  }
+
+  const pathname = segments.map(segment => `/${encodeURIComponent(String(segment))}`).join('');
+  const url = new URL(baseUrl.replace(/\/+$/, '') + pathname);
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.append(key, String(value));
+    }
+  });
+
+  return url;
+};
+
+module.exports = { buildUrl };
@@ -0,0 +1,246 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Request parameter validation shared by the API routes. Each
+* route declares a schema of rules; invalid requests are answered with a 400
+* listing a message per field, so nothing unchecked reaches an upstream API.
+*
+* Dependencies: utils/debug.js, utils/geo.js
+*/
+
+const { debug } = require('./debug');
+const { parseBbox } = require('./geo');
+
+// eBird region codes: country (US), state (US-CA) or county (US-CA-087)
+const REGION_CODE_PATTERN = /^[A-Z]{2}(-[A-Z0-9]{1,3}){0,2}$/;
+
+// eBird species codes, e.g. amerob or x00001
+const SPECIES_CODE_PATTERN = /^[a-z0-9]{4,8}$/;
+
+// eBird checklist (submission) IDs, e.g. S123456789
+const CHECKLIST_ID_PATTERN = /^S\d+$/;
+
+// eBird location IDs, e.g. L123456
+const LOCATION_ID_PATTERN = /^L\d+$/;
+
+// Sighting query species: all recent, notable (rare) or a single species code
+const SPECIES_FILTER_PATTERN = /^(recent|rare|[a-z0-9]{4,8})$/;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Plain decimal numbers. Number() would also take hex, exponents and padding.
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Species names as the map builds them, "Scientific name_Common name", e.g.
+// Sayornis nigricans_Black Phoebe or Branta canadensis [canadensis Group]_Canada Goose (canadensis Group)
+const SPECIES_NAME_PATTERN = /^(?=.{3,200}$)[A-Z][a-z]+[A-Za-z0-9 .()[\]/×-]*_[^_\s<>\p{Cc}][^_<>\p{Cc}]*$/u;
+
+/**
+ * @typedef {Function} Rule
+ * Checks one raw parameter value
+ * @param {string|number|boolean} raw - Value from the query, path or body
+ * @returns {{value?: *, error?: string}} Parsed value, or an error message
+ */
+
+/**
+ * Rule for a number within a range. Strings must be plain decimals; numbers
+ * from a JSON body are taken as they are.
+ * @param {Object} options
+ * @param {number} options.min - Smallest allowed value
+ * @param {number} options.max - Largest allowed value
+ * @param {boolean} [options.integer=false] - Whether the value must be whole
+ * @param {string} [options.message] - Error message, describing the range by default
+ * @returns {Rule} Number rule
+ */
+const number = ({
+  min,
+  max,
+  integer = false,
+  message = `Must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}`
+}) => (raw) => {
+  if (typeof raw !== 'number' && !DECIMAL_PATTERN.test(raw)) {
+    return { error: message };
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    return { error: message };
+  }
+  return { value };
+};
+
+/**
+ * Rule for a string matching a pattern
+ * @param {RegExp} regex - Pattern the whole value must match
+ * @param {string} message - Error message when it doesn't
+ * @param {Function} [transform] - Applied to the value before matching
+ * @returns {Rule} Pattern rule
+ */
+const pattern = (regex, message, transform = value => value) => (raw) => {
+  const value = transform(String(raw));
+  return regex.test(value) ? { value } : { error: message };
+};
+
+/**
+ * Rule for one of a fixed set of strings
+ * @param {string[]} values - Allowed values
+ * @returns {Rule} Choice rule
+ */
+const oneOf = (values) => (raw) => {
+  const value = String(raw);
+  return values.includes(value) ? { value } : { error: `Must be one of: ${values.join(', ')}` };
+};
+
+/**
+ * Rule for free text of limited length
+ * @param {Object} options
+ * @param {number} options.maxLength - Longest allowed value after trimming
+ * @returns {Rule} Text rule
+ */
+const text = ({ maxLength }) => (raw) => {
+  const value = String(raw).trim();
+  if (!value || value.length > maxLength) {
+    return { error: `Must be 1 to ${maxLength} characters` };
+  }
+  return { value };
+};
+
+/**
+ * Rule for a "minLng,minLat,maxLng,maxLat" bounding box
+ * @type {Rule}
+ */
+const boundingBox = (raw) => {
+  const value = parseBbox(raw);
+  return value ? { value } : { error: 'Must be minLng,minLat,maxLng,maxLat within world bounds' };
+};
+
+/**
+ * Rule for a YYYY-MM-DD calendar date
+ * @type {Rule}
+ */
+const date = (raw) => {
+  const value = String(raw);
+  // Date.parse rolls impossible days like 02-30 over, so compare the round trip
+  const valid = DATE_PATTERN.test(value) && !isNaN(Date.parse(value)) &&
+    new Date(value).toISOString().slice(0, 10) === value;
+  return valid ? { value } : { error: 'Must be a date as YYYY-MM-DD' };
+};
+
+/**
+ * Rules for the parameters the API routes share
+ * @type {Object.<string, Rule>}
+ */
+const RULES = {
+  latitude: number({ min: -90, max: 90 }),
+  longitude: number({ min: -180, max: 180 }),
+  distance: number({ min: 0, max: 50 }),
+  back: number({ min: 1, max: 30, integer: true }),
+  maxResults: number({ min: 1, max: 50, integer: true }),
+  id: number({ min: 1, max: Number.MAX_SAFE_INTEGER, integer: true, message: 'Must be a positive whole number' }),
+  speciesCode: pattern(SPECIES_CODE_PATTERN, 'Must be an eBird species code'),
+  speciesFilter: pattern(SPECIES_FILTER_PATTERN, 'Must be recent, rare or an eBird species code'),
+  regionCode: pattern(REGION_CODE_PATTERN, 'Must be an eBird region code', value => value.toUpperCase()),
+  checklistId: pattern(CHECKLIST_ID_PATTERN, 'Must be an eBird checklist ID'),
+  locationId: pattern(LOCATION_ID_PATTERN, 'Must be an eBird location ID', value => value.toUpperCase()),
+  detail: oneOf(['simple', 'full']),
+  flag: oneOf(['true', 'false']),
+  photoSize: oneOf(['thumbnail', 'full']),
+  bbox: boundingBox,
+  date,
+  query: text({ maxLength: 200 }),
+  speciesName: pattern(SPECIES_NAME_PATTERN, 'Must be a species name as "Scientific name_Common name"')
+};
+
+/**
+ * @typedef {Object} FieldSchema
+ * @property {Rule} rule - Rule the value must pass
+ * @property {boolean} [required=false] - Whether the field must be present
+ * @property {*} [default] - Raw value used when the field is missing
+ */
+
+/**
+ * Validates input fields against a schema. Fields not in the schema are ignored.
+ * @param {Object.<string, FieldSchema>} schema - Rules by field name
+ * @param {Object} [input={}] - Raw values by field name
+ * @returns {{values?: Object, fields?: Object.<string, string>}} Parsed values,
+ * or error messages by field name
+ */
+const validateFields = (schema, input = {}) => {
+  const values = {};
+  const fields = {};
+
+  Object.entries(schema).forEach(([name, { rule, required = false, default: fallback }]) => {
+    let raw = input[name];
+    if (raw === undefined || raw === null || raw === '') {
+      if (required) {
+        fields[name] = 'Required';
+        return;
+      }
+      if (fallback === undefined) return;
+      raw = fallback;
+    }
+
+    // Repeated query parameters arrive as arrays, bracketed ones as objects
+    if (typeof raw === 'object') {
+      fields[name] = 'Must be a single value';
+      return;
+    }
+
+    const result = rule(raw);
+    if (result.error) {
+      fields[name] = result.error;
+    } else {
+      values[name] = result.value;
+    }
+  });
+
+  return Object.keys(fields).length ? { fields } : { values };
+};
+
+/**
+ * Responds 400 with error messages by field name
+ * @param {Object} res - Express response
+ * @param {Object.<string, string>} fields - Error messages by field name
+ */
+const sendValidationError = (res, fields) => {
+  debug.warn('Invalid request parameters:', fields);
+  res.status(400).json({ error: 'Invalid request parameters', code: 'invalid_request', fields });
+};
+
+/**
+ * Creates middleware validating the path and query parameters of a request.
+ * Parsed values are stored on req.valid.
+ * @param {Object.<string, FieldSchema>} schema - Rules by parameter name
+ * @param {Function} [check] - Cross-field check called with the parsed
+ * values, returning error messages by field name or null
+ * @returns {Function} Express middleware
+ */
+const validateRequest = (schema, check) => (req, res, next) => {
+  const { values, fields } = validateFields(schema, { ...req.query, ...req.params });
+  const errors = fields || (check && check(values));
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+  req.valid = values;
+  next();
+};
+
+module.exports = {
+  RULES,
+  validateFields,
+  validateRequest,
+  sendValidationError
+};
@@ -0,0 +1,174 @@
+/**
+* Copyright (C) 2025 Michelle Tomasko
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*
+* Project: bird-sightings-map
+* Description: Periodically checks every saved watch for rare birds and sends
+* sightings not yet delivered to each of the watch's notifiers.
+*
+* Dependencies: utils/debug.js
+*/
+
+const { debug } = require('../utils/debug');
+
+// Watches look back at most 30 days, so a sighting delivered longer ago than
+// that can't be returned again and its delivery record can go
+const DELIVERY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Polls saved watches and delivers new rarities
+ */
+class WatchScheduler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - WatchStore holding watches and deliveries
+   * @param {Function} options.fetchSightings - Async function returning rare sightings for a watch
+   * @param {Object[]} options.notifiers - Notifiers with name and send(watch, sightings)
+   * @param {number} options.intervalMs - Time between checks in milliseconds
+   */
+  constructor({ store, fetchSightings, notifiers, intervalMs }) {
+    this.store = store;
+    this.fetchSightings = fetchSightings;
+    this.notifiers = notifiers;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Starts polling. The first check runs after one interval.
+   */
+  start() {
+    if (this.timer) return;
+    debug.info('Starting watch scheduler:', { intervalMs: this.intervalMs });
+    this.timer = setInterval(() => this.checkAll(), this.intervalMs);
+    // Don't keep the process alive just for polling
+    this.timer.unref();
+  }
+
+  /**
+   * Stops polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Checks every watch in turn, then forgets deliveries too old to matter.
+   * Skipped if the previous run is still going. Errors are logged rather
+   * than thrown, since this runs from a timer.
+   */
+  async checkAll() {
+    if (this.running) {
+      debug.warn('Previous watch check still running, skipping');
+      return;
+    }
+
+    this.running = true;
+    try {
+      const watches = this.store.listWatches();
+      debug.debug('Checking watches:', watches.length);
+      for (const watch of watches) {
+        await this.checkWatch(watch);
+      }
+      this.store.pruneDeliveries(DELIVERY_RETENTION_MS);
+    } catch (error) {
+      debug.error('Watch check failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Fetches a watch's rare sightings and sends each notifier the ones it
+   * hasn't delivered yet
+   * @param {Object} watch - Watch to check
+   * @returns {Promise<{found: number, delivered: Object.<string, number>, errors: string[]}>}
+   * Sightings found, sightings delivered per notifier and any errors
+   */
+  async checkWatch(watch) {
+    const result = { found: 0, delivered: {}, errors: [] };
+
+    let sightings;
+    try {
+      sightings = await this.fetchWatchedSightings(watch);
+    } catch (error) {
+      debug.error('Failed to fetch sightings for watch:', { id: watch.id, error: error.message });
+      result.errors.push(`fetch: ${error.message}`);
+      this.store.recordCheck(watch.id, result.errors.join('; '));
+      return result;
+    }
+    result.found = sightings.length;
+
+    for (const notifier of this.notifiersFor(watch)) {
+      const pending = this.store.filterUndelivered(watch.id, notifier.name, sightings);
+      if (pending.length === 0) continue;
+
+      try {
+        await notifier.send(watch, pending);
+        this.store.markDelivered(watch.id, notifier.name, pending);
+        result.delivered[notifier.name] = pending.length;
+      } catch (error) {
+        debug.error('Notifier failed:', { id: watch.id, notifier: notifier.name, error: error.message });
+        result.errors.push(`${notifier.name}: ${error.message}`);
+      }
+    }
+
+    debug.info('Checked watch:', { id: watch.id, ...result });
+    this.store.recordCheck(watch.id, result.errors.length ? result.errors.join('; ') : null);
+    return result;
+  }
+
+  /**
+   * Marks the rarities already in a new watch's area as delivered, so the
+   * first check only alerts on sightings reported after the watch was saved
+   * @param {Object} watch - Newly created watch
+   * @returns {Promise<number>} Sightings marked as delivered
+   * @throws {Error} If the sightings can't be fetched
+   */
+  async recordBaseline(watch) {
+    const sightings = await this.fetchWatchedSightings(watch);
+    for (const notifier of this.notifiersFor(watch)) {
+      this.store.markDelivered(watch.id, notifier.name, sightings);
+    }
+    debug.info('Recorded watch baseline:', { id: watch.id, count: sightings.length });
+    return sightings.length;
+  }
+
+  /**
+   * Fetches a watch's rare sightings, limited to its species if it has any
+   * @param {Object} watch - Watch to fetch for
+   * @returns {Promise<Object[]>} eBird observation records
+   */
+  async fetchWatchedSightings(watch) {
+    const sightings = await this.fetchSightings(watch);
+    return watch.species.length > 0
+      ? sightings.filter(sighting => watch.species.includes(sighting.speciesCode))
+      : sightings;
+  }
+
+  /**
+   * @param {Object} watch - Watch to deliver for
+   * @returns {Object[]} The notifiers the watch uses
+   */
+  notifiersFor(watch) {
+    return watch.notifiers
+      ? this.notifiers.filter(notifier => watch.notifiers.includes(notifier.name))
+      : this.notifiers;
+  }
+}
+
+module.exports = { WatchScheduler };